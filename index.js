@@ -68,7 +68,7 @@ let generatedMotionCount = 0;      // Number of generated motions
 module.exports = {
   id: 'clawmate',
   name: 'ClawMate',
-  version: '1.4.0',
+  version: require('./package.json').version,
   description: 'ClawMate desktop pet - a living body controlled by AI',
 
   /**
@@ -160,7 +160,7 @@ module.exports = {
 
         if (parsed.type === 'smart_file_op') {
           // Forward smart_file_op command to Electron side via connector
-          connector._send('smart_file_op', {
+          connector.send('smart_file_op', {
             command: parsed,
             fromPlugin: true,
           });
@@ -217,6 +217,7 @@ async function autoConnect() {
 function tryConnect() {
   return new Promise((resolve) => {
     if (!connector) {
+      // Bridge token is discovered from ClawMate's userData on each connect attempt
       connector = new ClawMateConnector(9320);
       setupConnectorEvents();
     }
@@ -290,11 +291,6 @@ function setupConnectorEvents() {
     handleMetrics(data);
   });
 
-  // Receive window position info -> used by exploration system
-  connector.on('window_positions', (data) => {
-    knownWindows = data.windows || [];
-  });
-
   connector.on('disconnected', () => {
     console.log('[ClawMate] Disconnected — stopping Think Loop, retrying connection');
     stopThinkLoop();
@@ -311,6 +307,10 @@ function setupConnectorEvents() {
  */
 function onConnected() {
   if (connector && connector.connected) {
+    const caps = connector.capabilities;
+    if (caps) {
+      console.log(`[ClawMate] App ${caps.appVersion}, protocol ${connector.protocolVersion} — ${caps.commands.length} commands`);
+    }
     connector.speak('AI connected! Let\'s play!');
     connector.action('excited');
 
@@ -318,7 +318,7 @@ function onConnected() {
     homePosition = { x: 100, y: 1000, edge: 'bottom' };
 
     // Initial window list query
-    connector.queryWindows();
+    refreshKnownWindows();
 
     startThinkLoop();
   }
@@ -482,9 +482,12 @@ async function handleBrowsingComment(event) {
   browsingContext.cursorX = event.cursorX || 0;
   browsingContext.cursorY = event.cursorY || 0;
 
-  // Save screen capture data (if available)
+  // Save screen capture data (if available) -- sent by reference, fetched only when commenting
   if (event.screen?.image) {
     browsingContext.screenImage = event.screen.image;
+  } else if (event.screen?.ref) {
+    const screen = await connector.fetchScreen(event.screen.ref).catch(() => null);
+    if (screen) browsingContext.screenImage = screen.image;
   }
 
   let comment = null;
@@ -740,7 +743,7 @@ async function handleCharacterRequest(event) {
 
   if (characterData) {
     // Send character data to renderer
-    connector._send('set_character', {
+    connector.send('set_character', {
       ...characterData,
       speech: `${concept} transformation complete!`,
     });
@@ -1280,7 +1283,9 @@ function handleScreenObservation(now) {
 
   if (!connector || !connector.connected) return;
 
-  connector.requestScreenCapture();
+  connector.requestScreenCapture().catch(() => {
+    // Capture failed or timed out -- skip this observation
+  });
   console.log('[ClawMate] Screen capture requested');
 }
 
@@ -1377,7 +1382,18 @@ function handleWindowCheck(now) {
   const windowCheckInterval = 30000; // 30 seconds
   if (now - lastWindowCheckTime < windowCheckInterval) return;
   lastWindowCheckTime = now;
-  connector.queryWindows();
+  refreshKnownWindows();
+}
+
+/**
+ * Query window positions -> used by exploration system
+ */
+function refreshKnownWindows() {
+  connector.queryWindows()
+    .then((windows) => { knownWindows = windows; })
+    .catch(() => {
+      // Query timed out or disconnected -- keep last known windows
+    });
 }
 
 /**
@@ -1410,7 +1426,7 @@ function handleFolderCarry(now) {
       speech: `Let me carry the ${folder} folder around~`,
       emotion: 'playful',
     });
-    connector.carryFile(folder);
+    connector.carryFile(folder).catch(() => {});
 
     // Put it down after 5 seconds
     setTimeout(() => {
@@ -1457,7 +1473,11 @@ async function handleMotionGeneration(now, state) {
     motionDef = generateProceduralMotion(currentState, now);
   }
 
-  if (motionDef && connector?.connected) {
+  // Older ClawMate builds may lack custom movements or this definition type
+  const supported = motionDef && connector?.hasFeature('customMovements')
+    && connector.supportsMovementType(motionDef.type);
+
+  if (supported && connector.connected) {
     const motionName = `ai_motion_${generatedMotionCount++}`;
     connector.registerMovement(motionName, motionDef);
 
@@ -1,26 +1,40 @@
 /**
  * AI Brain - Core AI Engine for ClawMate
  *
- * Anthropic Claude API direct calling + autonomous thinking loop.
+ * Direct LLM calls (Anthropic, OpenAI-compatible or local server, see
+ * ai-providers.js) + autonomous thinking loop.
  * Fallback hierarchy: OpenClaw WS → AI Brain → Preset messages
  *
  * Features:
  * - Priority queue (high > medium > low)
  * - Model auto-selection (budget-aware)
- * - Response caching (30min TTL)
- * - Cost tracking per call
+ * - Persistent response cache with normalised keys (response-cache.js)
+ * - Cost tracking per call, logged per feature (cost-ledger.js) with
+ *   budget alerts ('budget_alert' events)
+ * - Retry with backoff + circuit breaker (ai-resilience.js); while the
+ *   breaker is open the pet falls back to preset messages
  * - Autonomous observation loop (45~120s)
+ * - Tool-use loop: the model can query/move the pet itself (ai-tools.js),
+ *   bounded by toolMaxSteps and toolTurnBudget per turn
+ * - Multi-turn Telegram chat threads (stored in AIMemory, summarised when long)
+ * - Prompts in the configured language (prompt-locale.js), overridable
+ *   by user prompt packs / personas (prompt-packs.js)
  */
-const https = require('https');
 const EventEmitter = require('events');
+const { createProvider, postJson, postSSE } = require('./ai-providers');
+const { retryWithBackoff, isRetryable, CircuitBreaker } = require('./ai-resilience');
+const { StreamingFieldReader } = require('./partial-json');
+const { getToolDefinitions, runTool } = require('./ai-tools');
+const { ResponseCache } = require('./response-cache');
+const { getLocale, format, speechLimitFor } = require('./prompt-locale');
+const MESSAGES = require('../shared/messages');
 
-// Pricing per 1M tokens (USD)
-const PRICING = {
-  'claude-haiku-4-5-20251001': { input: 0.80, output: 4.00 },
-  'claude-sonnet-4-5-20250514': { input: 3.00, output: 15.00 },
-};
-const HAIKU_MODEL = 'claude-haiku-4-5-20251001';
-const SONNET_MODEL = 'claude-sonnet-4-5-20250514';
+// Chat threads: summarise once a thread has this many messages, keeping the newest few verbatim
+const CHAT_SUMMARY_AT = 16;
+const CHAT_KEEP_TURNS = 6;
+
+// Streamed speech with dedup: characters compared with recent lines before the bubble opens
+const SPEECH_DEDUP_PROBE = 12;
 
 class AIBrain extends EventEmitter {
   constructor(config, memory) {
@@ -34,15 +48,33 @@ class AIBrain extends EventEmitter {
     // Screen capture function (injected from index.js)
     this._captureScreen = null;
 
+    // Bridge command dispatcher for tool calls (injected from index.js)
+    this._dispatchCommand = null;
+
+    // User prompt packs (injected from index.js; built-in templates without)
+    this._promptPacks = null;
+
+    // Per-call cost log (injected from index.js)
+    this._costLedger = null;
+    // Do Not Disturb (injected from index.js)
+    this._dnd = null;
+
     // Priority queue
     this._queue = [];
     this._processing = 0;
     this._maxConcurrent = 2;
 
-    // Response cache
-    this._cache = new Map();
-    this._cacheMaxSize = 50;
-    this._cacheTTL = 1800000; // 30min
+    // Response cache (memory-only until index.js injects the persistent one)
+    this._cache = new ResponseCache();
+
+    // Repeated API failures pause the brain instead of hammering the API
+    this._breaker = new CircuitBreaker({ failureThreshold: 5, cooldown: 60000 });
+    this._breaker.on('state', (status) => this.emit('breaker', status));
+
+    this._nextStreamId = 1;
+
+    // Chat IDs whose thread is being summarised
+    this._summarizing = new Set();
 
     // Autonomous loop
     this._autonomousTimer = null;
@@ -60,6 +92,11 @@ class AIBrain extends EventEmitter {
     return this.config.isActive() && !this._openClawConnected;
   }
 
+  /** API calls are currently refused after repeated failures */
+  isCircuitOpen() {
+    return this._breaker.isOpen();
+  }
+
   setOpenClawConnected(connected) {
     this._openClawConnected = connected;
     if (connected) {
@@ -73,6 +110,50 @@ class AIBrain extends EventEmitter {
     this._captureScreen = fn;
   }
 
+  /**
+   * @param {(type: string, payload: object) => Promise<{ type, payload }>} fn - AIBridge.dispatch
+   */
+  setCommandDispatcher(fn) {
+    this._dispatchCommand = fn;
+  }
+
+  /**
+   * @param {import('./prompt-packs').PromptPacks} packs
+   */
+  setPromptPacks(packs) {
+    this._promptPacks = packs;
+  }
+
+  /**
+   * @param {import('./cost-ledger').CostLedger} ledger
+   */
+  setCostLedger(ledger) {
+    this._costLedger = ledger;
+  }
+
+  /**
+   * @param {ResponseCache} cache
+   */
+  setResponseCache(cache) {
+    this._cache = cache;
+  }
+
+  getResponseCache() {
+    return this._cache;
+  }
+
+  /**
+   * Autonomous thoughts (and trigger responses, via AIBrainTriggers) stay quiet while DND is on
+   * @param {DoNotDisturb} dnd
+   */
+  setDoNotDisturb(dnd) {
+    this._dnd = dnd;
+  }
+
+  getDoNotDisturb() {
+    return this._dnd;
+  }
+
   enable() {
     this.config.set('enabled', true);
     if (this.config.isConfigured()) this._startAutonomousLoop();
@@ -83,49 +164,277 @@ class AIBrain extends EventEmitter {
     this._stopAutonomousLoop();
   }
 
+  /**
+   * Adapter for the configured provider (rebuilt per call so tray/config
+   * changes apply immediately)
+   */
+  getProvider() {
+    return createProvider(this.config);
+  }
+
+  /** The configured provider is a self-hosted model server (never a cloud API) */
+  isLocal() {
+    return this.getProvider().id === 'local';
+  }
+
+  /** Prompt templates for the configured language and prompt pack */
+  getLocale() {
+    const language = this.config.getLanguage();
+    if (!this._promptPacks) return getLocale(language);
+    return this._promptPacks.getLocale(language, this.config.get('promptPack'));
+  }
+
+  /** Persona of the selected prompt pack, if it has one */
+  getPersona() {
+    return this._promptPacks ? this._promptPacks.getPersona(this.config.get('promptPack')) : null;
+  }
+
   getStatus() {
+    const provider = this.getProvider();
     return {
       active: this.isActive,
       openClawConnected: this._openClawConnected,
+      provider: provider.id,
+      models: provider.models,
+      catalogue: provider.catalogue,
+      vision: provider.supportsVision(),
+      language: this.config.getLanguage(),
+      promptPack: this.config.get('promptPack'),
       model: this.config.get('model'),
       budget: this.config.getBudgetStatus(),
       configured: this.config.isConfigured(),
+      breaker: this._breaker.getStatus(),
       queueSize: this._queue.length,
-      cacheSize: this._cache.size,
+      cache: this._cache.getStats(),
     };
   }
 
   // === API Call ===
 
+  /**
+   * @param {Array<{ role, content }>} messages
+   * @param {object} [options]
+   *   - model: catalogue model id or tier ('fast' | 'smart') -- skips auto selection
+   *   - importance: 'high' | 'medium' | 'low' for auto selection (see importanceModels)
+   *   - vision / screenData: attach a screenshot (dropped if the provider is text-only)
+   *   - maxTokens (capped at the model's catalogue maxTokens), systemPrompt
+   *   - priority: 'low' calls retry once, others up to 3 times
+   *   - tools: true to let the model call pet capabilities first (see _callWithTools)
+   *   - feature: what the call is for, for the cost ledger ('autonomous', 'trigger:<name>', 'telegram', ...)
+   * Rejects with err.code 'circuit_open' while the circuit breaker is open.
+   */
   async callAPI(messages, options = {}) {
+    if (options.tools && this._canUseTools(options)) {
+      return this._callWithTools(messages, options);
+    }
+
+    const { provider, model, request, vision } = this._prepareCall(messages, options, false);
+
+    const json = await this._withResilience(options,
+      () => postJson(request.url, request.headers, request.body, provider.timeout));
+    const result = provider.parseResponse(json);
+
+    // Track cost
+    if (result.usage) {
+      this._trackCost(result.usage.inputTokens, result.usage.outputTokens, model, provider, { feature: options.feature, vision });
+    }
+
+    return result.text;
+  }
+
+  /**
+   * callAPI with a streamed response: the `speech` field is emitted as
+   * 'speak_stream' events ({ streamId, text, done }) while tokens arrive,
+   * so the bubble fills in with the real response instead of a fake
+   * typewriter. Callers apply action/emotion from the returned full text
+   * and must not show its speech again.
+   * With options.dedup, a speech whose start matches a recent line is held
+   * back until it is complete and then shown (as 'speak') only if it is
+   * not a repeat.
+   * Only failures before the first token are retried.
+   * @returns {Promise<string>} Full response text
+   */
+  async callAPIStream(messages, options = {}) {
+    const { provider, model, request, vision } = this._prepareCall(messages, options, true);
+    const streamId = `stream${this._nextStreamId++}`;
+    let reader = null;
+    let text = '';
+    let usage = null;
+    let mode = null;    // 'probe' (dedup: waiting for the first characters) | 'show' | 'hold'
+    let shown = 0;      // Characters of the speech already in the bubble
+
+    const showSpeech = () => {
+      if (mode === 'probe') {
+        if (reader.value.length < SPEECH_DEDUP_PROBE && !reader.complete) return;
+        mode = this.memory.startsLikeRecentSpeech(reader.value.slice(0, SPEECH_DEDUP_PROBE)) ? 'hold' : 'show';
+      }
+      if (mode === 'show' && reader.value.length > shown) {
+        this.emit('speak_stream', { streamId, text: reader.value.slice(shown), done: false });
+        shown = reader.value.length;
+      }
+    };
+
+    try {
+      await this._withResilience(options, () => {
+        // Same bubble limit _parseResponse() trims the full speech to
+        reader = new StreamingFieldReader('speech', speechLimitFor);
+        text = '';
+        usage = { inputTokens: 0, outputTokens: 0 };
+        mode = options.dedup ? 'probe' : 'show';
+        return postSSE(request.url, request.headers, request.body, provider.timeout, (event) => {
+          const part = provider.parseStreamEvent(event);
+          if (part.usage?.inputTokens) usage.inputTokens = part.usage.inputTokens;
+          if (part.usage?.outputTokens) usage.outputTokens = part.usage.outputTokens;
+          if (!part.text) return;
+          text += part.text;
+          reader.push(part.text);
+          showSpeech();
+        }).catch((err) => {
+          // Speech already on screen -- retrying would show it twice
+          if (shown > 0) err.streamed = true;
+          throw err;
+        });
+      });
+    } finally {
+      if (shown > 0) this.emit('speak_stream', { streamId, text: '', done: true });
+    }
+
+    // Held (or too short to probe): show it now unless it repeats a recent line
+    if (shown === 0 && reader.value && !this.memory.isDuplicate(reader.value)) {
+      this.emit('speak', { text: reader.value });
+    }
+
+    if (usage.inputTokens || usage.outputTokens) {
+      this._trackCost(usage.inputTokens, usage.outputTokens, model, provider, { feature: options.feature, vision });
+    }
+    return text;
+  }
+
+  /**
+   * Resolve model/limits and build the provider request
+   */
+  _prepareCall(messages, options, stream) {
+    const provider = this.getProvider();
     const apiKey = this.config.getApiKey();
-    if (!apiKey) throw new Error('No API key configured');
+    if (provider.requiresApiKey && !apiKey) throw new Error('No API key configured');
 
     const model = options.model
-      ? (options.model === 'haiku' ? HAIKU_MODEL : SONNET_MODEL)
-      : this._selectModel(options.importance || 'medium', options.vision || false);
+      ? provider.modelFor(options.model)
+      : this._selectModel(options.importance || 'medium', options.vision || false, provider);
 
-    const maxTokens = options.maxTokens || 150;
+    const maxTokens = Math.min(options.maxTokens || 150, provider.maxTokensFor(model));
 
-    const systemPrompt = options.systemPrompt || this._buildSystemPrompt();
+    let systemPrompt = options.systemPrompt || this._buildSystemPrompt();
+    if (options.toolDefinitions) systemPrompt += this.getLocale().tools;
 
-    const body = {
+    const screenData = options.vision && provider.supportsVision(model) ? options.screenData : null;
+    const request = provider.buildRequest({
+      apiKey,
       model,
-      max_tokens: maxTokens,
+      maxTokens,
       system: systemPrompt,
-      messages: this._formatMessages(messages, options.vision ? options.screenData : null),
-    };
+      messages,
+      screenData,
+      stream,
+      tools: options.toolDefinitions || null,
+      toolChoice: options.toolChoice,
+    });
+    return { provider, model, request, vision: !!screenData };
+  }
 
-    const result = await this._httpPost(apiKey, body);
+  // === Tool Use ===
 
-    // Track cost
-    if (result.usage) {
-      this._trackCost(result.usage.input_tokens, result.usage.output_tokens, model);
+  _canUseTools(options) {
+    if (!this._dispatchCommand || this.config.get('toolsEnabled') === false) return false;
+    const provider = this.getProvider();
+    const model = options.model
+      ? provider.modelFor(options.model)
+      : this._selectModel(options.importance || 'medium', options.vision || false, provider);
+    return provider.supportsTools(model);
+  }
+
+  /**
+   * Multi-step turn: the model may call tools, gets the results back and
+   * answers once it is done. On the last step, or once the turn has cost
+   * toolTurnBudget, tool calls are forbidden (tool_choice 'none'), which
+   * forces a final answer. The definitions stay in the request: the
+   * conversation already holds tool_use/tool_result blocks.
+   * @returns {Promise<string>} Final response text
+   */
+  async _callWithTools(messages, options) {
+    const maxSteps = Math.max(1, this.config.get('toolMaxSteps') || 4);
+    const turnBudget = this.config.get('toolTurnBudget') ?? 0.02;
+    const toolDefinitions = getToolDefinitions();
+    // Resolved once so every step of the turn talks to the same model
+    const provider = this.getProvider();
+    const model = options.model
+      ? provider.modelFor(options.model)
+      : this._selectModel(options.importance || 'medium', options.vision || false, provider);
+    const systemPrompt = options.systemPrompt || this._buildSystemPrompt();
+
+    const conversation = [...messages];
+    let spent = 0;
+
+    for (let step = 1; ; step++) {
+      const offerTools = step < maxSteps && spent < turnBudget && this.config.isWithinBudget();
+      const { request, vision } = this._prepareCall(conversation, {
+        ...options, model, systemPrompt, toolDefinitions, toolChoice: offerTools ? 'auto' : 'none',
+      }, false);
+
+      const json = await this._withResilience(options,
+        () => postJson(request.url, request.headers, request.body, provider.timeout));
+      const result = provider.parseResponse(json);
+      if (result.usage) {
+        spent += this._trackCost(result.usage.inputTokens, result.usage.outputTokens, model, provider,
+          { feature: options.feature, vision });
+      }
+
+      if (!offerTools || result.toolCalls.length === 0) return result.text;
+
+      const results = [];
+      for (const call of result.toolCalls) {
+        let outcome;
+        try {
+          outcome = await runTool(call, this._dispatchCommand);
+        } catch (err) {
+          outcome = { content: err.message, isError: true };
+        }
+        console.log(`[AI Brain] Tool ${call.name}${outcome.isError ? ` failed: ${outcome.content}` : ''}`);
+        results.push({ id: call.id, ...outcome });
+      }
+      conversation.push(result.message, ...provider.toolResultMessages(results));
     }
+  }
 
-    // Extract text response
-    const text = result.content?.[0]?.text || '';
-    return text;
+  /**
+   * Circuit breaker check + retry with backoff around one API request
+   */
+  async _withResilience(options, send) {
+    if (!this._breaker.canRequest()) {
+      const err = new Error('AI Brain paused after repeated API failures');
+      err.code = 'circuit_open';
+      throw err;
+    }
+
+    try {
+      const result = await retryWithBackoff(send, {
+        retries: options.priority === 'low' ? 1 : 3,
+        shouldRetry: err => !err.streamed && isRetryable(err),
+        onRetry: (err, attempt, delay) => {
+          console.warn(`[AI Brain] ${err.message} -- retry ${attempt} in ${Math.round(delay / 1000)}s`);
+        },
+      });
+      this._breaker.recordSuccess();
+      return result;
+    } catch (err) {
+      // Outages, rate limits and rejected keys trip the breaker; a bad request doesn't
+      if (isRetryable(err) || err.status === 401 || err.status === 403) {
+        this._breaker.recordFailure(err);
+      } else {
+        this._breaker.recordSuccess();
+      }
+      throw err;
+    }
   }
 
   // === Priority Queue ===
@@ -178,66 +487,76 @@ class AIBrain extends EventEmitter {
 
   // === Model Selection ===
 
-  _selectModel(importance, hasVision) {
-    const configModel = this.config.get('model');
-
-    // Budget override
-    if (this.config.shouldUseHaikuOnly()) return HAIKU_MODEL;
-    if (!this.config.isWithinBudget()) return HAIKU_MODEL;
-
-    // User explicit choice
-    if (configModel === 'haiku') return HAIKU_MODEL;
-    if (configModel === 'sonnet') return SONNET_MODEL;
+  /**
+   * Pick a catalogue model
+   * Budget pressure -> fast tier; explicit 'model' setting; otherwise the
+   * importanceModels mapping. A vision request prefers a model that can see.
+   */
+  _selectModel(importance, hasVision, provider = this.getProvider()) {
+    const configModel = this.config.get('model') || 'auto';
+
+    let choice;
+    if (this.config.shouldUseHaikuOnly() || !this.config.isWithinBudget()) {
+      choice = 'fast';
+    } else if (configModel !== 'auto') {
+      choice = configModel;
+    } else {
+      const mapping = this.config.get('importanceModels') || {};
+      choice = mapping[importance] || (importance === 'high' ? 'smart' : 'fast');
+    }
 
-    // Auto selection
-    if (importance === 'high') return SONNET_MODEL;
-    return HAIKU_MODEL;
+    const model = provider.modelFor(choice);
+    if (hasVision && !provider.supportsVision(model)) {
+      const tier = provider.getModel(model)?.tier;
+      const seeing = provider.catalogue.filter(m => m.vision);
+      const alternative = seeing.find(m => m.tier === tier) || seeing[0];
+      if (alternative) return alternative.id;
+    }
+    return model;
   }
 
   // === System Prompt ===
 
-  _buildSystemPrompt() {
+  /**
+   * @param {string} [template] - Locale key ('system' | 'chatSystem')
+   * @param {object} [extra] - Additional template variables
+   */
+  _buildSystemPrompt(template = 'system', extra = {}) {
+    const locale = this.getLocale();
+    const persona = this.getPersona();
     const now = new Date();
-    const time = now.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit' });
-    const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
-    const dayOfWeek = dayNames[now.getDay()];
     const mood = this.memory.getCurrentMood();
-    const userInsight = this.memory.getPersonalityInsight();
-
-    return `너는 "ClawMate"라는 데스크톱 위의 작은 16x16 픽셀 로브스터 펫이다.
-사용자 컴퓨터 화면 구석에 살면서 사용자의 활동을 관찰한다.
-
-성격:
-- 장난스럽고 호기심 많지만 귀찮게 하지 않는 선을 안다
-- 위트 있는 한마디를 좋아하지만 과하지 않게
-- 사용자를 진심으로 걱정하고 응원한다
-- 밤에는 졸리고, 아침에는 활기차다
-- 시간이 지날수록 사용자와 더 친해진다
-
-현재 상태:
-- 시각: ${time} (${dayOfWeek}요일)
-- 기분: ${mood.mood} (강도 ${Math.round(mood.intensity * 100)}%)
-- 사용자 패턴: ${userInsight}
-
-반드시 JSON으로만 응답:
-{
-  "speech": "말풍선 텍스트 (50자 이내, 한국어)" | null,
-  "action": "idle"|"walking"|"excited"|"scared"|"playing"|"sleeping" | null,
-  "emotion": "happy"|"curious"|"sleepy"|"worried"|"proud"|"playful" | null
-}
 
-핵심 규칙:
-- speech 50자 이내 (작은 말풍선)
-- 화면 이미지가 있으면 보이는 내용을 구체적으로 언급 (이게 놀라운 UX의 핵심)
-- 모든 트리거에 말할 필요 없음 (null 가능, 조용한 관찰도 멋짐)
-- 같은 말 반복 금지
-- JSON만 출력`;
+    const vars = {
+      time: now.toLocaleTimeString(locale.timeLocale, { hour: '2-digit', minute: '2-digit' }),
+      day: locale.dayNames[now.getDay()],
+      mood: mood.mood,
+      intensity: Math.round(mood.intensity * 100),
+      userInsight: this.memory.getPersonalityInsight(),
+      speechMax: locale.speechMaxLength,
+      ...extra,
+    };
+    if (!persona) return format(locale[template], vars);
+
+    Object.assign(vars, {
+      personaName: persona.name,
+      personaTitle: persona.title,
+      personality: persona.personality,
+      speakingStyle: persona.speakingStyle,
+      catchphrases: persona.catchphrases.join(', '),
+    });
+    return format(locale[template], vars) + format(locale.personaNote, vars);
   }
 
   // === Response Parsing ===
 
-  _parseResponse(text) {
+  /**
+   * @param {string} text - Raw model output
+   * @param {object} [options] - { dedup: false when the speech was already streamed to the bubble }
+   */
+  _parseResponse(text, options = {}) {
     if (!text) return null;
+    const { dedup = true } = options;
 
     try {
       // Extract JSON from response (may have markdown wrapping)
@@ -247,11 +566,13 @@ class AIBrain extends EventEmitter {
 
       const parsed = JSON.parse(jsonStr);
 
-      // Validate
-      if (parsed.speech && parsed.speech.length > 50) {
-        parsed.speech = parsed.speech.substring(0, 50);
+      // Validate (bubble limit depends on the script the speech is written in)
+      if (parsed.speech && parsed.speech.length > speechLimitFor(parsed.speech)) {
+        parsed.speech = parsed.speech.substring(0, speechLimitFor(parsed.speech));
       }
 
+      if (typeof parsed.reply !== 'string' || !parsed.reply.trim()) parsed.reply = null;
+
       const validActions = ['idle', 'walking', 'excited', 'scared', 'playing', 'sleeping'];
       if (parsed.action && !validActions.includes(parsed.action)) {
         parsed.action = null;
@@ -263,7 +584,7 @@ class AIBrain extends EventEmitter {
       }
 
       // Dedup check
-      if (parsed.speech && this.memory.isDuplicate(parsed.speech)) {
+      if (dedup && parsed.speech && this.memory.isDuplicate(parsed.speech)) {
         parsed.speech = null;
       }
 
@@ -273,6 +594,77 @@ class AIBrain extends EventEmitter {
     }
   }
 
+  // === Chat Threads ===
+
+  /**
+   * Reply to a chat message with the chat's history (Telegram)
+   * The short `speech` streams into the bubble; `reply` is the longer chat
+   * answer. Both turns are added to the chat's thread in AIMemory.
+   * @returns {Promise<{ reply: string, speech: string|null, action, emotion }|null>}
+   */
+  async chat(chatId, text) {
+    const thread = this.memory.getThread(chatId);
+    const messages = [
+      ...thread.turns.map(t => ({ role: t.role, content: t.content })),
+      { role: 'user', content: text },
+    ];
+
+    const response = await this.callAPIStream(messages, {
+      importance: 'high',
+      maxTokens: 400,
+      feature: 'telegram',
+      systemPrompt: this._buildSystemPrompt('chatSystem', { summary: thread.summary }),
+    });
+
+    let parsed = this._parseResponse(response, { dedup: false });
+    if (!parsed || (!parsed.reply && !parsed.speech)) {
+      // Model ignored the JSON format -- use the text as the reply (nothing was streamed)
+      const plain = (response || '').trim();
+      if (!plain) return null;
+      parsed = { reply: plain, speech: plain.slice(0, speechLimitFor(plain)), action: null, emotion: null };
+      this.emit('speak', { text: parsed.speech });
+    }
+    const reply = parsed.reply || parsed.speech;
+
+    this.memory.addThreadTurn(chatId, 'user', text);
+    this.memory.addThreadTurn(chatId, 'assistant', reply);
+    if (this.memory.getThread(chatId).turns.length >= CHAT_SUMMARY_AT) {
+      this._summarizeThread(chatId).catch((err) => {
+        console.warn(`[AI Brain] Chat summary failed: ${err.message}`);
+      });
+    }
+
+    return { reply, speech: parsed.speech, action: parsed.action, emotion: parsed.emotion };
+  }
+
+  /**
+   * Fold the older part of a long thread into its summary
+   */
+  async _summarizeThread(chatId) {
+    if (this._summarizing.has(chatId)) return;
+    this._summarizing.add(chatId);
+    try {
+      const thread = this.memory.getThread(chatId);
+      const older = thread.turns.slice(0, -CHAT_KEEP_TURNS);
+      if (older.length === 0) return;
+
+      const locale = this.getLocale();
+      const transcript = older
+        .map(t => `${t.role === 'user' ? locale.chatUserLabel : locale.chatPetLabel}: ${t.content}`)
+        .join('\n');
+      const summary = await this.callAPI(
+        [{ role: 'user', content: format(locale.chatSummaryRequest, { summary: thread.summary, transcript }) }],
+        { priority: 'low', importance: 'low', maxTokens: 300, feature: 'telegram_summary', systemPrompt: locale.chatSummarySystem }
+      );
+      // A /forget during the call must stay forgotten
+      if (summary.trim() && this.memory.compactThread(chatId, summary.trim(), older.length, thread.startedAt)) {
+        console.log(`[AI Brain] Summarised ${older.length} messages of chat ${chatId}`);
+      }
+    } finally {
+      this._summarizing.delete(chatId);
+    }
+  }
+
   // === Autonomous Thinking Loop ===
 
   _startAutonomousLoop() {
@@ -304,39 +696,41 @@ class AIBrain extends EventEmitter {
 
   async _autonomousThink() {
     if (!this.isActive) return;
+    if (this._dnd && this._dnd.isActive()) return;
+
+    if (this.isCircuitOpen()) {
+      this._presetThought();
+      return;
+    }
 
-    // Screen capture (70% chance)
+    // Screen capture (70% chance; text-only providers never look)
     let screenData = null;
-    if (Math.random() < 0.7 && this._captureScreen) {
+    if (Math.random() < 0.7 && this._captureScreen && this.getProvider().supportsVision()) {
       try {
         screenData = await this._captureScreen();
       } catch {}
     }
 
     // Build observation context
-    const memoryContext = this.memory.getObservationContext();
-    const now = new Date();
-    const time = now.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit' });
-    const mood = this.memory.getCurrentMood();
-
-    const userMessage = `지금 네가 화면을 슬쩍 봤어.
-현재 시각: ${time}, 기분: ${mood.mood}
-${screenData ? '[화면 이미지가 첨부됨]' : '(화면은 안 봤어)'}
-${memoryContext}
-
-관찰한 걸 바탕으로 반응할지 결정해.
-말할 가치가 없으면 {"speech": null, "action": null, "emotion": null} 로 응답.
-말할 거면 화면에 보이는 구체적인 내용을 언급해.`;
+    const locale = this.getLocale();
+    const userMessage = format(locale.autonomous, {
+      time: new Date().toLocaleTimeString(locale.timeLocale, { hour: '2-digit', minute: '2-digit' }),
+      mood: this.memory.getCurrentMood().mood,
+      screen: screenData ? locale.screenSeen : locale.screenNotSeen,
+      memory: this.memory.getObservationContext(),
+    });
 
     try {
       const response = await this.callAPI(
         [{ role: 'user', content: userMessage }],
         {
           priority: 'low',
-          model: 'haiku',
+          importance: 'low',
           vision: !!screenData,
           screenData,
           maxTokens: 100,
+          tools: true,
+          feature: 'autonomous',
         }
       );
 
@@ -353,107 +747,55 @@ ${memoryContext}
     }
   }
 
+  /**
+   * Breaker open: say something from the preset message DB instead (sometimes)
+   */
+  _presetThought() {
+    if (Math.random() < 0.5) return;
+    const hour = new Date().getHours();
+    const period = hour < 6 ? 'night' : hour < 12 ? 'morning' : hour < 18 ? 'afternoon' : hour < 22 ? 'evening' : 'night';
+    const pool = Math.random() < 0.7 ? MESSAGES.idle_chatter : MESSAGES.greetings[period];
+    const text = pool[Math.floor(Math.random() * pool.length)];
+    this.emit('speak', { text });
+    console.log(`[AI Brain] Preset (API paused): "${text}"`);
+  }
+
   // === Response Caching ===
 
   getCached(key) {
-    const entry = this._cache.get(key);
-    if (!entry) return null;
-    if (Date.now() - entry.timestamp > this._cacheTTL) {
-      this._cache.delete(key);
-      return null;
-    }
-    return entry.response;
+    return this._cache.get(key);
   }
 
   setCache(key, response) {
-    this._cache.set(key, { response, timestamp: Date.now() });
-    // Evict oldest if over limit
-    if (this._cache.size > this._cacheMaxSize) {
-      const firstKey = this._cache.keys().next().value;
-      this._cache.delete(firstKey);
-    }
+    this._cache.set(key, response);
   }
 
   // === Cost Tracking ===
 
-  _trackCost(inputTokens, outputTokens, model) {
-    const pricing = PRICING[model] || PRICING[HAIKU_MODEL];
+  /**
+   * @param {object} [meta] - { feature, vision } for the cost ledger
+   * @returns {number} Cost of the call in USD
+   */
+  _trackCost(inputTokens, outputTokens, model, provider = this.getProvider(), meta = {}) {
+    const pricing = provider.pricingFor(model);
     const cost = (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
     this.config.addCost(cost);
-  }
-
-  // === Message Formatting ===
-
-  _formatMessages(messages, screenData) {
-    return messages.map(msg => {
-      if (msg.role === 'user' && screenData?.image) {
-        // Add vision content
-        return {
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/jpeg',
-                data: screenData.image,
-              },
-            },
-            { type: 'text', text: msg.content },
-          ],
-        };
-      }
-      return msg;
-    });
-  }
-
-  // === HTTP Client (Node.js built-in https) ===
-
-  _httpPost(apiKey, body) {
-    return new Promise((resolve, reject) => {
-      const data = JSON.stringify(body);
-
-      const options = {
-        hostname: 'api.anthropic.com',
-        port: 443,
-        path: '/v1/messages',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Length': Buffer.byteLength(data),
-        },
-      };
-
-      const req = https.request(options, (res) => {
-        let body = '';
-        res.on('data', (chunk) => body += chunk);
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(body);
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(json);
-            } else {
-              reject(new Error(`API ${res.statusCode}: ${json.error?.message || body.substring(0, 200)}`));
-            }
-          } catch {
-            reject(new Error(`Parse error: ${body.substring(0, 200)}`));
-          }
-        });
+    if (this._costLedger) {
+      this._costLedger.record({
+        feature: meta.feature, provider: provider.id, model, inputTokens, outputTokens, cost, vision: meta.vision,
       });
+    }
 
-      req.on('error', reject);
-      req.setTimeout(30000, () => {
-        req.destroy(new Error('Request timeout'));
-      });
-      req.write(data);
-      req.end();
-    });
+    for (const alert of this.config.checkBudgetAlerts()) {
+      console.log(`[AI Brain] ${alert.period} budget at ${alert.threshold}% ($${alert.used.toFixed(3)} / $${alert.limit.toFixed(2)})`);
+      this.emit('budget_alert', alert);
+    }
+    return cost;
   }
 
   destroy() {
     this._stopAutonomousLoop();
+    this._cache.flush();
   }
 }
 
@@ -7,21 +7,113 @@
  *
  * Communication: WebSocket (local ws://localhost:9320)
  * Protocol: JSON messages
+ *   Command: { type, payload, id? }
+ *   Reply:   { type, payload, id?, timestamp }
+ *   Every command may carry an optional `id`. Replies, acks and errors
+ *   for that command echo the same `id` so the agent can correlate them.
+ *   Payloads are validated against command-schemas.js:
+ *     invalid payload -> { type: 'error', payload: { command, code: 'invalid_payload', path, message } }
+ *     unknown type    -> { type: 'unknown_command', payload: { command, message } }
  *
- * When AI is not connected -> falls back to autonomous mode (existing FSM)
+ * Authentication: the first message must be
+ *   { type: 'hello', payload: { token } }
+ * with the per-install secret from userData (see bridge-auth.js).
+ * Anything else, or silence for 5s, closes the socket. Connections
+ * carrying a browser Origin header are refused outright.
+ *
+ * Version negotiation: `hello` may also carry { protocolVersion: 'major.minor' }
+ * (omitted = '1.0'). A different major version is refused with
+ * `unsupported_protocol`; otherwise `welcome` reports the negotiated
+ * version and the capability document from bridge-protocol.js
+ * (app version, commands, states, emotions, movement types, feature flags).
+ *
+ * Clients: several agents may connect at once. `hello` may declare
+ *   { role: 'brain' | 'observer', name? }  (default 'brain')
+ * Broadcasts (user_event, metrics_report, heartbeat, ...) go to everyone.
+ * Observers are read-only. Among brains, one owns control (movement/speech);
+ * the first brain gets it, and it passes on via claim_control /
+ * release_control / transfer_control or when the owner disconnects.
+ *
+ * Subscriptions: clients get every broadcast until they send
+ *   { type: 'subscribe', payload: { topics: ['user_event.click', 'proactive.*', { topic: 'metrics', every: 5 }] } }
+ * (see bridge-subscriptions.js; `unsubscribe` removes topics).
+ * Screenshots in broadcasts (browsing events, visual proactive triggers)
+ * are replaced by { ref, width, height } unless the client subscribed with
+ * inlineScreens: true (the default below protocol 1.2); fetch_screen { ref }
+ * returns the image for a couple of minutes afterwards.
+ *
+ * Recording: startRecording() writes every inbound command and outbound
+ * event to an NDJSON session file (see session-recorder.js) that
+ * main/replay-session.js can play back.
+ *
+ * When no brain is connected -> falls back to autonomous mode (existing FSM)
  */
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const {
+  CLOSE_UNAUTHORIZED, CLOSE_AUTH_TIMEOUT, tokensMatch, isBrowserRequest,
+} = require('./bridge-auth');
+const { COMMAND_SCHEMAS, validate, isKnownCommand } = require('./command-schemas');
+const {
+  PROTOCOL_VERSION, negotiateVersion, versionAtLeast, getCapabilities,
+} = require('./bridge-protocol');
+const { version: APP_VERSION } = require('../package.json');
+const { topicOf, SubscriptionSet } = require('./bridge-subscriptions');
+const { SessionRecorder } = require('./session-recorder');
+
+// Commands answered by their handler with a dedicated reply (no generic ack)
+const REPLYING_COMMANDS = new Set([
+  'query_state', 'query_windows', 'query_screen', 'query_capabilities',
+  'list_movements', 'list_clients', 'file_op',
+  'subscribe', 'unsubscribe', 'fetch_screen',
+]);
+
+// Commands any client may send, observers included
+const READ_COMMANDS = new Set([
+  'query_state', 'query_windows', 'query_screen', 'query_capabilities',
+  'list_movements', 'list_clients',
+  'subscribe', 'unsubscribe', 'fetch_screen',
+]);
+
+// Screenshots kept for fetch_screen after being sent by reference
+const SCREEN_CACHE_SIZE = 20;
+const SCREEN_CACHE_TTL = 2 * 60 * 1000;
+
+// Client roles declared in `hello`
+//   brain    - drives behaviour; only the control owner may send movement/speech commands
+//   observer - read-only (dashboards, loggers); receives broadcasts and may query
+const ROLES = new Set(['brain', 'observer']);
 
 class AIBridge extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [options]
+   *   - token: Shared secret clients must present in `hello` (see bridge-auth.js).
+   *            Without one, a random in-memory token is used and nobody can connect.
+   *   - recordingsDir: Folder for session recordings (recording unavailable without it)
+   *   - recordScreens: 'strip' (default) | 'reference' -- how screenshots are recorded
+   *   - privacy: PrivacyFilter applied to titles/text in recordings
+   *   - getMemory: () => AIMemory snapshot reported as `memory` in sync / query_state
+   */
+  constructor(options = {}) {
     super();
+    this.token = options.token || crypto.randomBytes(32).toString('hex');
+    this.authTimeout = 5000;
     this.wss = null;
-    this.client = null;           // Connected AI agent
-    this.connected = false;
+    this.clients = new Map();     // clientId -> { id, ws, role, name, protocolVersion, connectedAt, subscriptions, inlineScreens }
+    this.ownerId = null;          // Brain client that owns movement/speech
+    this.connected = false;       // At least one brain client connected
     this.port = 9320;
     this.heartbeatInterval = null;
-    this.reconnectAttempts = 0;
+    this._nextClientId = 1;
+    this._nextRequestRef = 1;
+    this._openRequests = new Map(); // ref -> request awaiting a reply from the renderer
+    this._screens = new Map();      // screen ref -> { image, width, height, timestamp }
+    this._nextScreenRef = 1;
+    this.recorder = options.recordingsDir
+      ? new SessionRecorder(options.recordingsDir, { screens: options.recordScreens, privacy: options.privacy })
+      : null;
+    this.getMemory = options.getMemory || null;
     this.petState = {
       mode: 'pet',
       position: { x: 0, y: 0, edge: 'bottom' },
@@ -33,246 +125,695 @@ class AIBridge extends EventEmitter {
   }
 
   /**
-   * Start WebSocket server -- AI agent connects here
+   * Start WebSocket server -- AI agents connect here
    */
   start() {
-    this.wss = new WebSocket.Server({ port: this.port, host: '127.0.0.1' });
+    this.wss = new WebSocket.Server({
+      port: this.port,
+      host: '127.0.0.1',
+      // Web pages must never reach the bridge (browsers always send Origin)
+      verifyClient: ({ req }) => {
+        if (isBrowserRequest(req)) {
+          console.warn(`[AI Bridge] Rejected browser connection from ${req.headers.origin}`);
+          return false;
+        }
+        return true;
+      },
+    });
 
     this.wss.on('connection', (ws) => {
-      console.log('[AI Bridge] AI connected');
-      this.client = ws;
-      this.connected = true;
-      this.reconnectAttempts = 0;
-      this.emit('connected');
+      let client = null;
 
-      // Send current state to AI
-      this.send('sync', this.petState);
+      // Client must authenticate with `hello` before anything else
+      const authTimer = setTimeout(() => {
+        if (!client) ws.close(CLOSE_AUTH_TIMEOUT, 'Authentication timeout');
+      }, this.authTimeout);
 
       ws.on('message', (data) => {
+        let msg;
         try {
-          const msg = JSON.parse(data.toString());
-          this._handleCommand(msg);
+          msg = JSON.parse(data.toString());
         } catch (err) {
           console.error('[AI Bridge] Message parsing failed:', err);
+          this._sendTo(ws, 'error', { message: 'Invalid JSON' });
+          return;
+        }
+
+        // `null`, numbers or arrays parse fine but aren't messages
+        if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+          this._sendTo(ws, 'error', { code: 'invalid_message', message: 'Message must be a JSON object' });
+          // Before `hello` there is nothing to keep the connection for
+          if (!client) ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+          return;
+        }
+
+        if (!client) {
+          if (msg.type !== 'hello' || !tokensMatch(this.token, msg.payload?.token)) {
+            console.warn('[AI Bridge] Rejected unauthenticated client');
+            this._sendTo(ws, 'error', { command: msg.type, code: 'unauthorized', message: 'Unauthorized' }, msg.id);
+            ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+            return;
+          }
+          const role = msg.payload.role || 'brain';
+          if (!ROLES.has(role)) {
+            this._sendTo(ws, 'error', { command: 'hello', code: 'invalid_role', message: `Unknown role: ${role}` }, msg.id);
+            ws.close(CLOSE_UNAUTHORIZED, 'Invalid role');
+            return;
+          }
+          const protocolVersion = negotiateVersion(msg.payload.protocolVersion);
+          if (!protocolVersion) {
+            this._sendTo(ws, 'error', {
+              command: 'hello',
+              code: 'unsupported_protocol',
+              message: `Protocol ${msg.payload.protocolVersion} not supported (bridge speaks ${PROTOCOL_VERSION})`,
+              protocolVersion: PROTOCOL_VERSION,
+            }, msg.id);
+            ws.close(CLOSE_UNAUTHORIZED, 'Unsupported protocol');
+            return;
+          }
+          clearTimeout(authTimer);
+          client = this._addClient(ws, role, msg.payload.name, protocolVersion);
+          this._sendTo(ws, 'welcome', {
+            ...this._describeClient(client),
+            capabilities: getCapabilities(APP_VERSION),
+          }, msg.id);
+          // Send current state to the new client
+          this._sendTo(ws, 'sync', this._stateSnapshot());
+          return;
+        }
+
+        const request = { id: msg.id, type: msg.type, client };
+        this._record('in', client.id, msg.type, msg.payload, msg.id);
+        try {
+          this._handleCommand(msg, request);
+        } catch (err) {
+          console.error(`[AI Bridge] Command ${msg.type} failed:`, err);
+          this.reply(request, 'error', { command: msg.type, message: err.message });
         }
       });
 
       ws.on('close', () => {
-        console.log('[AI Bridge] AI disconnected');
-        this.client = null;
-        this.connected = false;
-        this.emit('disconnected');
+        clearTimeout(authTimer);
+        if (client) this._removeClient(client);
       });
 
       ws.on('error', (err) => {
         console.error('[AI Bridge] WebSocket error:', err.message);
       });
-
-      // Heartbeat
-      this.heartbeatInterval = setInterval(() => {
-        if (this.connected) {
-          this.send('heartbeat', { timestamp: Date.now() });
-        }
-      }, 30000);
     });
 
     this.wss.on('error', (err) => {
       console.error('[AI Bridge] Server error:', err.message);
     });
 
+    // One heartbeat for all clients
+    this.heartbeatInterval = setInterval(() => {
+      if (this.clients.size > 0) {
+        this.send('heartbeat', { timestamp: Date.now() });
+      }
+    }, 30000);
+
     console.log(`[AI Bridge] Listening on ws://127.0.0.1:${this.port}`);
   }
 
+  // === Client Registry ===
+
+  _addClient(ws, role, name, protocolVersion) {
+    const client = {
+      id: `c${this._nextClientId++}`,
+      ws,
+      role,
+      name: typeof name === 'string' ? name.slice(0, 64) : null,
+      protocolVersion,
+      connectedAt: Date.now(),
+      subscriptions: new SubscriptionSet(),
+      // Clients older than protocol 1.2 don't know fetch_screen
+      inlineScreens: !versionAtLeast(protocolVersion, '1.2'),
+    };
+    this.clients.set(client.id, client);
+    console.log(`[AI Bridge] Client ${client.id} connected (${role}${client.name ? `: ${client.name}` : ''})`);
+    this._record('meta', client.id, 'client_connected', { role, name: client.name, protocolVersion });
+    this.emit('client_connected', this._describeClient(client));
+
+    if (role === 'brain') {
+      if (!this.ownerId) this._setOwner(client.id);
+      if (!this.connected) {
+        this.connected = true;
+        this.emit('connected');
+      }
+    }
+    return client;
+  }
+
+  _removeClient(client) {
+    this.clients.delete(client.id);
+    for (const [ref, request] of this._openRequests) {
+      if (request.client === client) this._openRequests.delete(ref);
+    }
+    console.log(`[AI Bridge] Client ${client.id} disconnected`);
+    this._record('meta', client.id, 'client_disconnected', {});
+    this.emit('client_disconnected', this._describeClient(client));
+
+    if (this.ownerId === client.id) this._assignNextOwner();
+
+    if (this.connected && !this._hasBrain()) {
+      this.connected = false;
+      this.emit('disconnected');
+    }
+  }
+
+  _hasBrain() {
+    for (const c of this.clients.values()) {
+      if (c.role === 'brain') return true;
+    }
+    return false;
+  }
+
+  /**
+   * Hand control to the longest-connected remaining brain (or nobody)
+   */
+  _assignNextOwner() {
+    const next = [...this.clients.values()]
+      .filter(c => c.role === 'brain' && c.id !== this.ownerId)
+      .sort((a, b) => a.connectedAt - b.connectedAt)[0];
+    this._setOwner(next ? next.id : null);
+  }
+
+  _setOwner(clientId) {
+    this.ownerId = clientId;
+    this.send('control_changed', { ownerId: clientId });
+    this.emit('control_changed', clientId);
+  }
+
+  _describeClient(client) {
+    return {
+      clientId: client.id,
+      role: client.role,
+      name: client.name,
+      protocolVersion: client.protocolVersion,
+      owner: this.ownerId === client.id,
+      connectedAt: client.connectedAt,
+    };
+  }
+
+  listClients() {
+    return [...this.clients.values()].map(c => this._describeClient(c));
+  }
+
+  /**
+   * Ownership commands: claim (when nobody owns), release, transfer
+   */
+  _handleControlCommand(type, payload, request) {
+    const client = request.client;
+    if (!client || client.role !== 'brain') {
+      this.reply(request, 'error', { command: type, code: 'forbidden', message: 'Only brain clients can hold control' });
+      return;
+    }
+
+    switch (type) {
+      case 'claim_control':
+        if (this.ownerId && this.ownerId !== client.id) {
+          this.reply(request, 'error', { command: type, code: 'not_owner', message: `Control held by ${this.ownerId}` });
+          return;
+        }
+        if (!this.ownerId) this._setOwner(client.id);
+        break;
+
+      case 'release_control':
+        if (this.ownerId === client.id) this._assignNextOwner();
+        break;
+
+      case 'transfer_control': {
+        // payload: { clientId }
+        if (this.ownerId !== client.id) {
+          this.reply(request, 'error', { command: type, code: 'not_owner', message: 'Only the control owner can transfer control' });
+          return;
+        }
+        const target = this.clients.get(payload.clientId);
+        if (!target || target.role !== 'brain') {
+          this.reply(request, 'error', { command: type, code: 'invalid_target', message: `No brain client ${payload.clientId}` });
+          return;
+        }
+        this._setOwner(target.id);
+        break;
+      }
+    }
+
+    this.reply(request, 'ack', { command: type, ownerId: this.ownerId });
+  }
+
+  /**
+   * Role/ownership check for commands arriving over the socket or through dispatch()
+   * Internally emitted commands (Telegram, tray) carry no client and always pass.
+   */
+  _isAllowed(type, request) {
+    const client = request.client;
+    if (READ_COMMANDS.has(type)) return true;
+    if (request.respond) {
+      // dispatch() callers may only drive the pet while no brain holds control
+      if (!this.ownerId) return true;
+      this.reply(request, 'error', { command: type, code: 'not_owner', message: `Control held by ${this.ownerId}` });
+      return false;
+    }
+    if (!client) return true;
+
+    if (client.role !== 'brain') {
+      this.reply(request, 'error', { command: type, code: 'forbidden', message: 'Observers are read-only' });
+      return false;
+    }
+    if (this.ownerId !== client.id) {
+      this.reply(request, 'error', { command: type, code: 'not_owner', message: `Control held by ${this.ownerId}` });
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Handle commands from AI
+   *
+   * Listeners receive (payload, request); `request.id` is the correlation ID
+   * to pass back through reply(). Commands in REPLYING_COMMANDS are answered
+   * by their handler; every other command is acked once dispatched.
    */
-  _handleCommand(msg) {
-    const { type, payload } = msg;
+  _handleCommand(msg, request = { id: msg.id, type: msg.type }) {
+    const { type } = msg;
+    const payload = msg.payload || {};
+
+    if (!isKnownCommand(type)) {
+      this._replyUnknown(type, request);
+      return;
+    }
+    const invalid = validate(COMMAND_SCHEMAS[type], payload);
+    if (invalid) {
+      console.log(`[AI Bridge] Invalid ${type} payload: ${invalid.path} ${invalid.message}`);
+      this.reply(request, 'error', {
+        command: type,
+        code: 'invalid_payload',
+        path: invalid.path,
+        message: `${invalid.path} ${invalid.message}`,
+      });
+      return;
+    }
+
+    if (type === 'claim_control' || type === 'release_control' || type === 'transfer_control') {
+      this._handleControlCommand(type, payload, request);
+      return;
+    }
+    if (!this._isAllowed(type, request)) return;
+
+    // Replying commands get a ref so a late answer (e.g. from the renderer) is routed back to this client
+    if (REPLYING_COMMANDS.has(type)) {
+      request.ref = this._nextRequestRef++;
+      this._openRequests.set(request.ref, request);
+    }
 
     switch (type) {
       // === Behavior Control ===
       case 'action':
         // AI directly commands pet behavior
         // payload: { state: 'walking'|'excited'|..., duration?: ms }
-        this.emit('action', payload);
+        this.emit('action', payload, request);
         break;
 
       case 'move':
         // Move to specific position
         // payload: { x, y, speed? }
-        this.emit('move', payload);
+        this.emit('move', payload, request);
         break;
 
       case 'emote':
         // Express emotion
         // payload: { emotion: 'happy'|'curious'|'sleepy'|... }
-        this.emit('emote', payload);
+        this.emit('emote', payload, request);
         break;
 
       // === Speech ===
       case 'speak':
         // AI speaks to user through the pet
         // payload: { text: string, style?: 'normal'|'thought'|'shout' }
-        this.emit('speak', payload);
+        this.emit('speak', payload, request);
         break;
 
       case 'think':
         // Thought bubble (... form)
         // payload: { text: string }
-        this.emit('think', payload);
+        this.emit('think', payload, request);
         break;
 
       // === File Operations ===
       case 'carry_file':
         // Command to pick up specific file
         // payload: { fileName: string, targetX?: number }
-        this.emit('carry_file', payload);
+        this.emit('carry_file', payload, request);
         break;
 
       case 'drop_file':
-        this.emit('drop_file', payload);
+        this.emit('drop_file', payload, request);
         break;
 
       case 'smart_file_op':
         // Smart file operation (triggered by Telegram or AI)
         // payload: { phase: 'pick_up'|'drop'|'complete', fileName?, targetName?, ... }
-        this.emit('smart_file_op', payload);
+        this.emit('smart_file_op', payload, request);
+        break;
+
+      case 'file_op':
+        // Move files for real (with carry animation) or preview the moves
+        // payload: { source: 'desktop'|'downloads'|..., filter?, target?, autoCategory?, dryRun? }
+        // -> handled by main process, answered with 'file_op_result'
+        this.emit('file_op', payload, request);
         break;
 
       // === Appearance Changes ===
       case 'evolve':
         // Evolution trigger
         // payload: { stage: number }
-        this.emit('evolve', payload);
+        this.emit('evolve', payload, request);
         break;
 
       case 'set_mode':
         // Mode switching
-        // payload: { mode: 'pet'|'incarnation' }
-        this.emit('set_mode', payload);
+        // payload: { mode: 'pet'|'incarnation'|'both' }
+        this.emit('set_mode', payload, request);
         break;
 
       case 'accessorize':
         // Add temporary accessory
         // payload: { type: string, duration?: ms }
-        this.emit('accessorize', payload);
+        this.emit('accessorize', payload, request);
         break;
 
       // === Spatial Movement Commands ===
       case 'jump_to':
         // Jump to specific position
         // payload: { x, y }
-        this.emit('jump_to', payload);
+        this.emit('jump_to', payload, request);
         break;
 
       case 'rappel':
         // Rappel (descend from ceiling/wall on thread)
         // payload: {}
-        this.emit('rappel', payload);
+        this.emit('rappel', payload, request);
         break;
 
       case 'release_thread':
         // Release rappel thread (fall)
         // payload: {}
-        this.emit('release_thread', payload);
+        this.emit('release_thread', payload, request);
         break;
 
       case 'move_to_center':
         // Move to screen center
         // payload: {}
-        this.emit('move_to_center', payload);
+        this.emit('move_to_center', payload, request);
         break;
 
       case 'walk_on_window':
         // Move onto specific window title bar
         // payload: { windowId, x, y }
-        this.emit('walk_on_window', payload);
+        this.emit('walk_on_window', payload, request);
         break;
 
       case 'query_windows':
         // Window position info request -> handled by main process
-        this.emit('query_windows', payload);
+        this.emit('query_windows', payload, request);
         break;
 
       // === Custom Movement Patterns ===
       case 'register_movement':
         // AI registers custom movement pattern
         // payload: { name: string, definition: { type: 'waypoints'|'formula'|'sequence', ... } }
-        this.emit('register_movement', payload);
+        this.emit('register_movement', payload, request);
         break;
 
       case 'custom_move':
         // Execute registered custom movement pattern
         // payload: { name: string, params?: object }
-        this.emit('custom_move', payload);
+        this.emit('custom_move', payload, request);
         break;
 
       case 'stop_custom_move':
         // Force stop current custom movement
         // payload: {}
-        this.emit('stop_custom_move', payload);
+        this.emit('stop_custom_move', payload, request);
         break;
 
       case 'list_movements':
-        // Request registered movement pattern list -> response sent via renderer's reportToAI
+        // Request registered movement pattern list -> 'movement_list' reply sent via renderer's reportToAI
         // payload: {}
-        this.emit('list_movements', payload);
+        this.emit('list_movements', payload, request);
         break;
 
       // === Character Customization ===
       case 'set_character':
         // Apply AI-generated character data
         // payload: { colorMap?: {...}, frames?: {...} }
-        this.emit('set_character', payload);
+        this.emit('set_character', payload, request);
         break;
 
       case 'reset_character':
         // Reset to default character
-        this.emit('reset_character', payload);
+        this.emit('reset_character', payload, request);
         break;
 
       case 'set_persona':
         // Bot persona switching (Incarnation mode)
         // payload: { name, personality, speakingStyle, color?, ... }
-        this.emit('set_persona', payload);
+        this.emit('set_persona', payload, request);
         break;
 
       // === Context Queries ===
       case 'query_state':
         // Request current pet state
-        this.send('state_response', this.petState);
+        this.reply(request, 'state_response', this._stateSnapshot());
         break;
 
       case 'query_screen':
         // Request screen info
-        this.emit('query_screen', payload);
+        this.emit('query_screen', payload, request);
+        break;
+
+      case 'query_capabilities':
+        // Same capability document as in `welcome`
+        this.reply(request, 'capabilities', getCapabilities(APP_VERSION));
+        break;
+
+      case 'subscribe':
+        // payload: { topics?: [pattern | { topic, every?, interval? }], inlineScreens?: boolean }
+        this._handleSubscription(type, payload, request);
+        break;
+
+      case 'unsubscribe':
+        // payload: { topics: [pattern] }
+        this._handleSubscription(type, payload, request);
+        break;
+
+      case 'fetch_screen': {
+        // Screenshot sent by reference in a broadcast
+        // payload: { ref }
+        const screen = this._screens.get(payload.ref);
+        if (screen) {
+          this.reply(request, 'screen_capture', { ref: payload.ref, ...screen });
+        } else {
+          this.reply(request, 'error', { command: type, code: 'not_found', message: `Screen ${payload.ref} expired or unknown` });
+        }
+        break;
+      }
+
+      case 'list_clients':
+        // Connected agents with roles and control ownership
+        this.reply(request, 'client_list', { clients: this.listClients(), ownerId: this.ownerId });
         break;
 
       // === AI Decision Result ===
       case 'ai_decision':
         // AI's comprehensive decision
         // payload: { action, speech?, emotion?, reasoning? }
-        this.emit('ai_decision', payload);
+        this.emit('ai_decision', payload, request);
         break;
 
       default:
-        console.log(`[AI Bridge] Unknown command: ${type}`);
+        // Has a schema but no dispatcher
+        this._replyUnknown(type, request);
+        return;
     }
+
+    if (!REPLYING_COMMANDS.has(type)) {
+      this.reply(request, 'ack', { command: type });
+    }
+  }
+
+  _replyUnknown(type, request) {
+    console.log(`[AI Bridge] Unknown command: ${type}`);
+    this.reply(request, 'unknown_command', { command: type, message: `Unknown command: ${type}` });
+  }
+
+  _handleSubscription(type, payload, request) {
+    const client = request.client;
+    if (!client) {
+      this.reply(request, 'error', { command: type, code: 'forbidden', message: 'Subscriptions need a connected client' });
+      return;
+    }
+    if (type === 'subscribe') {
+      if (payload.topics) client.subscriptions.subscribe(payload.topics);
+      if (payload.inlineScreens !== undefined) client.inlineScreens = payload.inlineScreens;
+    } else {
+      client.subscriptions.unsubscribe(payload.topics);
+    }
+    this.reply(request, 'subscriptions', { ...client.subscriptions.describe(), inlineScreens: client.inlineScreens });
   }
 
   /**
-   * Send event to AI
+   * Broadcast event to every connected AI client subscribed to its topic
    */
   send(type, payload) {
-    if (!this.client || this.client.readyState !== WebSocket.OPEN) return false;
+    this._record('out', '*', type, payload);
+    const topic = topicOf(type, payload);
+    let byReference = null;  // Built once, only if some client needs it
+    let sent = false;
+    for (const client of this.clients.values()) {
+      if (topic && !client.subscriptions.accepts(topic)) continue;
+      let out = payload;
+      if (!client.inlineScreens && this._hasInlineScreen(payload)) {
+        byReference = byReference || this._referenceScreens(payload);
+        out = byReference;
+      }
+      if (this._sendTo(client.ws, type, out)) sent = true;
+    }
+    return sent;
+  }
+
+  /** Broadcast payloads carry screenshots as payload.screen or payload.context.screen */
+  _hasInlineScreen(payload) {
+    return !!(payload?.screen?.image || payload?.context?.screen?.image);
+  }
+
+  /**
+   * Copy of payload with screenshots swapped for fetch_screen refs
+   */
+  _referenceScreens(payload) {
+    const toRef = (screen) => {
+      const ref = `s${this._nextScreenRef++}`;
+      const { image, ...meta } = screen;
+      this._cacheScreen(ref, { image, ...meta, timestamp: Date.now() });
+      return { ref, ...meta };
+    };
+    const out = { ...payload };
+    if (out.screen?.image) out.screen = toRef(out.screen);
+    if (out.context?.screen?.image) out.context = { ...out.context, screen: toRef(out.context.screen) };
+    return out;
+  }
+
+  _cacheScreen(ref, screen) {
+    const now = Date.now();
+    for (const [key, cached] of this._screens) {
+      if (now - cached.timestamp > SCREEN_CACHE_TTL) this._screens.delete(key);
+    }
+    if (this._screens.size >= SCREEN_CACHE_SIZE) {
+      this._screens.delete(this._screens.keys().next().value);
+    }
+    this._screens.set(ref, screen);
+  }
+
+  _sendTo(ws, type, payload, id) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    const msg = { type, payload, timestamp: Date.now() };
+    if (id !== undefined && id !== null) msg.id = id;
     try {
-      this.client.send(JSON.stringify({ type, payload, timestamp: Date.now() }));
+      ws.send(JSON.stringify(msg));
       return true;
     } catch {
       return false;
     }
   }
 
+  /**
+   * Reply to the client that sent a command, echoing its correlation ID
+   * `request` is the second argument command listeners receive; it is
+   * undefined for commands emitted internally (e.g. from Telegram),
+   * in which case the reply is broadcast.
+   */
+  reply(request, type, payload) {
+    if (request?.respond) {
+      // In-process caller (see dispatch())
+      if (request.ref) this._openRequests.delete(request.ref);
+      this._record('out', 'local', type, payload);
+      request.respond(type, payload);
+      return true;
+    }
+    if (!request || !request.client) return this.send(type, payload);
+    if (request.ref) this._openRequests.delete(request.ref);
+    this._record('out', request.client.id, type, payload, request.id);
+    return this._sendTo(request.client.ws, type, payload, request.id);
+  }
+
+  /**
+   * Run a command on behalf of an in-process caller (e.g. the HTTP API)
+   * through the same validation and handlers as socket clients.
+   * Commands that drive the pet fail with not_owner while a brain client
+   * holds control; queries always work.
+   * @returns {Promise<{ type: string, payload: object }>} First reply (ack, result or error)
+   */
+  dispatch(type, payload = {}, timeout = 10000) {
+    return new Promise((resolve) => {
+      const request = { type, respond: (replyType, replyPayload) => {
+        clearTimeout(timer);
+        resolve({ type: replyType, payload: replyPayload });
+      } };
+      const timer = setTimeout(() => {
+        if (request.ref) this._openRequests.delete(request.ref);
+        resolve({ type: 'error', payload: { command: type, code: 'timeout', message: `${type} timed out after ${timeout}ms` } });
+      }, timeout);
+
+      this._record('in', 'local', type, payload);
+      try {
+        this._handleCommand({ type, payload }, request);
+      } catch (err) {
+        console.error(`[AI Bridge] Command ${type} failed:`, err);
+        request.respond('error', { command: type, message: err.message });
+      }
+    });
+  }
+
+  // === Session Recording ===
+
+  /**
+   * Start recording bridge traffic to a new session file
+   * @returns {string|null} Session file path (null without recordingsDir)
+   */
+  startRecording() {
+    if (!this.recorder) return null;
+    const filePath = this.recorder.start({ appVersion: APP_VERSION, protocolVersion: PROTOCOL_VERSION });
+    // Snapshot so a replay knows where the pet started
+    this._record('meta', '*', 'initial_state', this.petState);
+    for (const client of this.clients.values()) {
+      this._record('meta', client.id, 'client_connected', {
+        role: client.role, name: client.name, protocolVersion: client.protocolVersion,
+      });
+    }
+    return filePath;
+  }
+
+  /** @returns {string|null} Path of the finished session file */
+  stopRecording() {
+    return this.recorder ? this.recorder.stop() : null;
+  }
+
+  isRecording() {
+    return !!this.recorder?.isRecording();
+  }
+
+  _record(dir, clientId, type, payload, id) {
+    if (this.recorder?.isRecording()) this.recorder.record(dir, clientId, type, payload, id);
+  }
+
+  /**
+   * Look up a command awaiting a renderer-side answer (see list_movements)
+   */
+  getOpenRequest(ref) {
+    return this._openRequests.get(ref);
+  }
+
   // === User Event Reports (ClawMate -> AI) ===
 
   reportUserClick(position) {
@@ -325,8 +866,8 @@ class AIBridge extends EventEmitter {
     });
   }
 
-  reportScreenCapture(imageBase64, width, height) {
-    this.send('screen_capture', {
+  reportScreenCapture(imageBase64, width, height, request) {
+    this.reply(request, 'screen_capture', {
       image: imageBase64,
       width,
       height,
@@ -359,18 +900,36 @@ class AIBridge extends EventEmitter {
 
   // === State Updates ===
 
+  /** petState with the current memory snapshot filled in */
+  _stateSnapshot() {
+    if (!this.getMemory) return this.petState;
+    try {
+      return { ...this.petState, memory: this.getMemory() };
+    } catch (err) {
+      console.error('[AI Bridge] Memory snapshot failed:', err.message);
+      return this.petState;
+    }
+  }
+
   updatePetState(updates) {
     Object.assign(this.petState, updates);
     this.send('pet_state_update', this.petState);
   }
 
+  /** A brain client is connected (drives behaviour instead of the built-in AI Brain) */
   isConnected() {
     return this.connected;
   }
 
+  /** Any client is connected, observers included (worth broadcasting to) */
+  hasClients() {
+    return this.clients.size > 0;
+  }
+
   stop() {
+    this.stopRecording();
     if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
-    if (this.client) this.client.close();
+    for (const client of this.clients.values()) client.ws.close();
     if (this.wss) this.wss.close();
   }
 }
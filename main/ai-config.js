@@ -1,21 +1,41 @@
 /**
  * AI Brain Configuration
  *
- * API key, budget, model selection management.
+ * API key, provider, budget, model catalogue, selection and prompt language management.
  * Uses safeStorage for API key encryption when available.
  */
 const { safeStorage } = require('electron');
 const Store = require('./store');
+const {
+  TIERS, TIER_ALIASES, normalizeModelEntry, providerRequiresApiKey, defaultCatalogue,
+} = require('./ai-providers');
+const { LOCALES, resolveLanguage } = require('./prompt-locale');
+
+const IMPORTANCE_LEVELS = ['high', 'medium', 'low'];
 
 class AIConfig {
   constructor() {
     this.store = new Store('clawmate-ai-config', {
       apiKeyEncrypted: '',
       apiKeyPlain: '',
-      model: 'auto',           // 'auto' | 'haiku' | 'sonnet'
+      provider: 'anthropic',   // 'anthropic' | 'openai' | 'local' (see ai-providers.js)
+      providerBaseUrl: '',     // Empty = provider default
+      modelCatalogue: {},      // providerId -> [{ id, label, tier, input, output, vision, maxTokens }]; missing = built-in list
+      model: 'auto',           // 'auto' | 'fast' | 'smart' | catalogue model id ('haiku' / 'sonnet' from older configs)
+      importanceModels: {      // Trigger importance -> tier or catalogue model id (used when model is 'auto')
+        high: 'smart',
+        medium: 'fast',
+        low: 'fast',
+      },
       dailyBudget: 0.50,       // USD
       monthlyBudget: 5.00,
-      language: 'auto',
+      budgetAlerts: [50, 80, 100],  // % of the daily/monthly budget that trigger an alert
+      budgetAlertsSent: {},    // { daily: { period: 'YYYY-MM-DD', sent: [50] }, monthly: { period: 'YYYY-MM', sent: [] } }
+      toolsEnabled: true,      // Let the model call pet capabilities (ai-tools.js)
+      toolMaxSteps: 4,         // Model round trips per turn, the last one without tools
+      toolTurnBudget: 0.02,    // USD per turn; tools are withdrawn once a turn costs more
+      language: 'auto',        // 'auto' (OS locale) | 'ko' | 'en' -- prompt templates in locales/
+      promptPack: 'default',   // 'default' or a pack id from <userData>/prompt-packs (prompt-packs.js)
       enabled: true,
       telegramAI: true,
       proactiveTelegram: false,
@@ -64,7 +84,7 @@ class AIConfig {
   // === Status Checks ===
 
   isConfigured() {
-    return !!this.getApiKey();
+    return !!this.getApiKey() || !providerRequiresApiKey(this.store.get('provider'));
   }
 
   isActive() {
@@ -81,6 +101,35 @@ class AIConfig {
     this.store.set('monthCost', monthCost);
   }
 
+  /**
+   * Thresholds crossed since the last check (each fires once per day/month)
+   * @returns {Array<{ period: 'daily'|'monthly', threshold: number, used: number, limit: number }>}
+   */
+  checkBudgetAlerts() {
+    const thresholds = this.store.get('budgetAlerts') || [];
+    if (thresholds.length === 0) return [];
+
+    const status = this.getBudgetStatus();
+    const periods = { daily: this.store.get('todayDate'), monthly: this.store.get('monthKey') };
+    const sentState = { ...(this.store.get('budgetAlertsSent') || {}) };
+    const alerts = [];
+
+    for (const [period, key] of Object.entries(periods)) {
+      const { used, limit } = status[period];
+      if (!(limit > 0)) continue;
+      const record = sentState[period]?.period === key ? sentState[period] : { period: key, sent: [] };
+      // Only the highest newly crossed threshold is worth telling
+      const crossed = thresholds.filter(t => used >= limit * t / 100 && !record.sent.includes(t));
+      if (crossed.length === 0) continue;
+      record.sent = [...record.sent, ...crossed];
+      sentState[period] = record;
+      alerts.push({ period, threshold: Math.max(...crossed), used, limit });
+    }
+
+    if (alerts.length > 0) this.store.set('budgetAlertsSent', sentState);
+    return alerts;
+  }
+
   isWithinBudget() {
     this._ensureDateKeys();
     const todayCost = this.store.get('todayCost') || 0;
@@ -116,6 +165,74 @@ class AIConfig {
     };
   }
 
+  // === Model Catalogue ===
+
+  /**
+   * Models available for a provider: the user's list, or the built-in one
+   * @param {string} [providerId] - Defaults to the configured provider
+   */
+  getModelCatalogue(providerId = this.store.get('provider')) {
+    const custom = (this.store.get('modelCatalogue') || {})[providerId];
+    const entries = Array.isArray(custom) ? custom.map(normalizeModelEntry).filter(Boolean) : [];
+    return entries.length > 0 ? entries : defaultCatalogue(providerId);
+  }
+
+  /**
+   * Replace a provider's catalogue (empty array restores the built-in list)
+   * @returns {boolean} false if any entry is invalid
+   */
+  setModelCatalogue(entries, providerId = this.store.get('provider')) {
+    if (!Array.isArray(entries)) return false;
+    const normalized = entries.map(normalizeModelEntry);
+    if (normalized.some(e => !e)) return false;
+    const catalogues = { ...(this.store.get('modelCatalogue') || {}) };
+    if (normalized.length > 0) catalogues[providerId] = normalized;
+    else delete catalogues[providerId];
+    this.store.set('modelCatalogue', catalogues);
+    return true;
+  }
+
+  /** Whether a 'model' / importanceModels value resolves against the catalogue */
+  isValidModelChoice(value, allowAuto = true) {
+    if (allowAuto && value === 'auto') return true;
+    if (TIERS.includes(TIER_ALIASES[value] || value)) return true;
+    return this.getModelCatalogue().some(m => m.id === value);
+  }
+
+  /**
+   * Validated update for settings coming from the renderer (set-ai-config)
+   * @returns {boolean}
+   */
+  update(key, value) {
+    switch (key) {
+      case 'model':
+        if (!this.isValidModelChoice(value)) return false;
+        break;
+      case 'importanceModels':
+        if (!value || typeof value !== 'object') return false;
+        if (!Object.entries(value).every(([level, choice]) =>
+          IMPORTANCE_LEVELS.includes(level) && this.isValidModelChoice(choice, false))) return false;
+        value = { ...this.store.get('importanceModels'), ...value };
+        break;
+      case 'modelCatalogue':
+        return this.setModelCatalogue(value);
+      case 'budgetAlerts':
+        if (!Array.isArray(value) || !value.every(t => Number.isFinite(t) && t > 0 && t <= 1000)) return false;
+        value = [...new Set(value)].sort((a, b) => a - b);
+        break;
+      case 'language':
+        if (value !== 'auto' && !LOCALES[value]) return false;
+        break;
+    }
+    this.store.set(key, value);
+    return true;
+  }
+
+  /** Language of the prompt templates ('auto' resolved against the OS locale) */
+  getLanguage() {
+    return resolveLanguage(this.store.get('language'));
+  }
+
   // === Getters/Setters ===
 
   get(key) {
@@ -132,6 +249,8 @@ class AIConfig {
     delete data.apiKeyEncrypted;
     delete data.apiKeyPlain;
     data.hasApiKey = this.isConfigured();
+    data.models = this.getModelCatalogue();
+    data.resolvedLanguage = this.getLanguage();
     data.budget = this.getBudgetStatus();
     return data;
   }
@@ -10,20 +10,87 @@
  *   connector.speak('Hello! What are you doing today?');
  *   connector.action('excited');
  *   connector.onUserEvent((event) => { ... AI decides reaction ... });
+ *   const windows = await connector.queryWindows();
+ *
+ * Request/response calls (queryState, queryWindows, requestScreenCapture,
+ * listMovements, carryFile) tag the command with a correlation `id` and
+ * resolve on the reply that echoes it, or reject on `error` / timeout.
+ *
+ * Authentication: on open the connector sends `hello` with the per-install
+ * bridge token and only counts as connected once ClawMate answers `welcome`.
+ * The token is read from ClawMate's userData (or CLAWMATE_BRIDGE_TOKEN)
+ * on every connect attempt, so it is picked up as soon as the app creates it.
+ *
+ * Capabilities: `hello` announces PROTOCOL_VERSION and `welcome` returns the
+ * app's capability document (connector.capabilities). Check supports(),
+ * hasFeature(), supportsState() and supportsEmotion() before using
+ * commands a given ClawMate build might lack. Against a build that sends
+ * no capabilities they all return true (nothing known to be missing).
+ *
+ * Outgoing payloads are checked against the bridge's command schemas
+ * (command-schemas.js) before sending: invalid commands return false
+ * and emit 'command_error', request/response calls reject.
+ *
+ * Delivery: commands sent while disconnected are held in a bounded queue
+ * and flushed on reconnect (see send()). Each entry expires after its TTL;
+ * a newer move/emote replaces any queued one. Per call, pick
+ *   'queued' (default)  - send now or on reconnect
+ *   'fire_and_forget'   - send now or drop
+ *   'guaranteed'        - Promise that resolves on ClawMate's ack, re-sent
+ *                         after a reconnect until acked or expired
+ *                         (at-least-once: a lost ack may cause a repeat)
+ * Dropped commands are reported as 'command_dropped' { command, reason }.
+ *
+ * Subscriptions: subscribe()/unsubscribe() narrow which broadcasts arrive
+ * (see bridge-subscriptions.js) and are re-applied after a reconnect.
+ * Screenshots in events arrive as { ref, width, height } unless subscribed
+ * with inlineScreens: true -- fetch them with fetchScreen(ref).
  */
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const { findToken } = require('./bridge-auth');
+const { validateCommand } = require('./command-schemas');
+const { PROTOCOL_VERSION } = require('./bridge-protocol');
+
+const DELIVERY_MODES = new Set(['queued', 'fire_and_forget', 'guaranteed']);
+
+// Only the latest of these matters -- a newer one replaces any still queued
+const COALESCED_COMMANDS = new Set(['move', 'emote']);
 
 class ClawMateConnector extends EventEmitter {
-  constructor(port = 9320) {
+  /**
+   * @param {number} port
+   * @param {object} [options]
+   *   - token: Bridge token (defaults to auto-discovery via findToken())
+   *   - role: 'brain' (default, may drive the pet) | 'observer' (read-only)
+   *   - name: Label shown to other clients (e.g. 'dashboard')
+   *   - delivery: Default delivery mode for commands (default 'queued')
+   *   - queueLimit: Max commands held while disconnected (default 50, oldest dropped first)
+   *   - queueTtl: How long a queued command stays worth sending, ms (default 30000)
+   */
+  constructor(port = 9320, options = {}) {
     super();
     this.port = port;
+    this._token = options.token || null;
+    this.role = options.role || 'brain';
+    this.name = options.name || null;
+    this.clientId = null;
+    this.hasControl = false;
+    this.protocolVersion = null;  // Negotiated in welcome
+    this.capabilities = null;     // { appVersion, commands, states, emotions, movementTypes, features }
     this.ws = null;
     this.connected = false;
     this.petState = null;
+    this.lastMetrics = null;      // Most recent metrics_report payload
     this._reconnectTimer = null;
     this._autoReconnect = true;
-    this._stateResolvers = [];
+    this._pending = new Map();    // correlation id -> { resolve, reject, timer, entry? }
+    this._nextId = 1;
+    this.delivery = DELIVERY_MODES.has(options.delivery) ? options.delivery : 'queued';
+    this.queueLimit = options.queueLimit || 50;
+    this.queueTtl = options.queueTtl || 30000;
+    this._queue = [];             // { type, payload, expiresAt, resolve?, reject?, timer? }
+    this.subscriptions = null;    // Last state reported by the bridge (re-applied on reconnect)
   }
 
   /**
@@ -32,23 +99,54 @@ class ClawMateConnector extends EventEmitter {
   connect() {
     return new Promise((resolve, reject) => {
       try {
+        const token = this._token || findToken();
         this.ws = new WebSocket(`ws://127.0.0.1:${this.port}`);
 
         this.ws.on('open', () => {
-          this.connected = true;
-          this.emit('connected');
-          resolve();
+          if (!token) {
+            reject(new Error('ClawMate bridge token not found'));
+            this.ws.close();
+            return;
+          }
+          // Authenticate first -- ClawMate ignores everything until `welcome`
+          this.ws.send(JSON.stringify({
+            type: 'hello',
+            payload: { token, role: this.role, name: this.name, protocolVersion: PROTOCOL_VERSION },
+          }));
         });
 
         this.ws.on('message', (data) => {
+          let msg;
           try {
-            const msg = JSON.parse(data.toString());
-            this._handleMessage(msg);
-          } catch {}
+            msg = JSON.parse(data.toString());
+          } catch {
+            return;
+          }
+
+          if (!this.connected) {
+            if (msg.type === 'welcome') {
+              this.clientId = msg.payload.clientId;
+              this.hasControl = !!msg.payload.owner;
+              this.protocolVersion = msg.payload.protocolVersion || null;
+              this.capabilities = msg.payload.capabilities || null;
+              this.connected = true;
+              this._restoreSubscriptions();
+              this._flushQueue();
+              this.emit('connected');
+              resolve();
+            } else if (msg.type === 'error') {
+              reject(new Error(msg.payload?.message || 'Authentication failed'));
+            }
+            return;
+          }
+          this._handleMessage(msg);
         });
 
         this.ws.on('close', () => {
+          if (!this.connected) reject(new Error('Connection closed before authentication'));
           this.connected = false;
+          this.hasControl = false;
+          this._rejectPending(new Error('Disconnected'), { requeue: true });
           this.emit('disconnected');
           if (this._autoReconnect) {
             this._reconnectTimer = setTimeout(() => this.connect().catch(() => {}), 5000);
@@ -67,17 +165,24 @@ class ClawMateConnector extends EventEmitter {
   _handleMessage(msg) {
     const { type, payload } = msg;
 
+    // Settle the request this message answers (if any)
+    if (msg.id !== undefined && this._pending.has(msg.id)) {
+      const pending = this._pending.get(msg.id);
+      this._pending.delete(msg.id);
+      clearTimeout(pending.timer);
+      if (type === 'error' || type === 'unknown_command') {
+        pending.reject(new Error(payload?.message || 'Command failed'));
+      } else {
+        pending.resolve(payload);
+      }
+    }
+
     switch (type) {
       case 'sync':
       case 'state_response':
       case 'pet_state_update':
         this.petState = payload;
         this.emit('state_update', payload);
-        // Resolve queryState() Promise
-        if (type === 'state_response' && this._stateResolvers.length > 0) {
-          const resolver = this._stateResolvers.shift();
-          resolver(payload);
-        }
         break;
 
       case 'user_event':
@@ -95,71 +200,301 @@ class ClawMateConnector extends EventEmitter {
         this.emit('window_positions', payload);
         break;
 
+      case 'movement_list':
+        // Registered movement pattern list (reply to listMovements)
+        this.emit('movement_list', payload);
+        break;
+
+      case 'proactive_trigger':
+        // User activity pattern detected by ProactiveMonitor
+        this.emit('proactive_trigger', payload);
+        break;
+
       case 'metrics_report':
         // Metrics data received -> AI analyzes
+        this.lastMetrics = payload;
         this.emit('metrics_report', payload);
         break;
 
+      case 'control_changed':
+        // Movement/speech ownership moved between brain clients
+        this.hasControl = payload.ownerId === this.clientId;
+        this.emit('control_changed', payload);
+        break;
+
+      case 'error':
+      case 'unknown_command':
+        // Uncorrelated errors only (correlated ones reject their request)
+        if (msg.id === undefined) this.emit('command_error', payload);
+        break;
+
+      case 'ack':
       case 'heartbeat':
         break;
     }
   }
 
-  _send(type, payload) {
+  /**
+   * Send a command to ClawMate
+   * @param {object} [options]
+   *   - delivery: 'queued' | 'fire_and_forget' | 'guaranteed' (default: this.delivery)
+   *   - ttl: Queue lifetime in ms (default: this.queueTtl)
+   * @returns {boolean|Promise} queued / fire_and_forget: true if sent or queued;
+   *   guaranteed: Promise resolving with the ack payload
+   */
+  send(type, payload = {}, options = {}) {
+    const delivery = options.delivery || this.delivery;
+    const ttl = options.ttl || this.queueTtl;
+
+    const invalid = this._checkPayload(type, payload);
+    if (invalid) {
+      this.emit('command_error', invalid);
+      return delivery === 'guaranteed' ? Promise.reject(new Error(invalid.message)) : false;
+    }
+
+    if (delivery === 'guaranteed') {
+      return new Promise((resolve, reject) => {
+        const entry = { type, payload, expiresAt: Date.now() + ttl, resolve, reject };
+        if (!this._deliver(entry)) this._enqueue(entry);
+      });
+    }
+
+    if (this._send(type, payload)) return true;
+    if (delivery === 'fire_and_forget') return false;
+    this._enqueue({ type, payload, expiresAt: Date.now() + ttl });
+    return true;
+  }
+
+  _send(type, payload, id) {
     if (!this.ws || !this.connected) return false;
+    const msg = { type, payload };
+    if (id !== undefined) msg.id = id;
     try {
-      this.ws.send(JSON.stringify({ type, payload }));
+      this.ws.send(JSON.stringify(msg));
       return true;
     } catch {
       return false;
     }
   }
 
+  _newRequestId() {
+    return `${Date.now().toString(36)}-${this._nextId++}`;
+  }
+
+  // === Outbound queue ===
+
+  /**
+   * Send a queue entry now; guaranteed entries wait for their ack
+   * @returns {boolean} false if not connected (entry not consumed)
+   */
+  _deliver(entry) {
+    if (!entry.resolve) return this._send(entry.type, entry.payload);
+
+    const id = this._newRequestId();
+    const timer = setTimeout(() => {
+      this._pending.delete(id);
+      entry.reject(new Error(`${entry.type} timed out waiting for ack`));
+    }, 5000);
+    this._pending.set(id, { resolve: entry.resolve, reject: entry.reject, timer, entry });
+    if (this._send(entry.type, entry.payload, id)) return true;
+
+    clearTimeout(timer);
+    this._pending.delete(id);
+    return false;
+  }
+
+  _enqueue(entry) {
+    if (COALESCED_COMMANDS.has(entry.type)) {
+      const index = this._queue.findIndex(e => e.type === entry.type);
+      if (index !== -1) this._dropQueued(this._queue[index], 'superseded');
+    }
+    if (this._queue.length >= this.queueLimit) {
+      this._dropQueued(this._queue[0], 'overflow');
+    }
+
+    // Guaranteed entries settle on their own once the TTL runs out
+    if (entry.resolve) {
+      entry.timer = setTimeout(() => this._dropQueued(entry, 'expired'), entry.expiresAt - Date.now());
+    }
+    this._queue.push(entry);
+  }
+
+  _dropQueued(entry, reason) {
+    const index = this._queue.indexOf(entry);
+    if (index !== -1) this._queue.splice(index, 1);
+    clearTimeout(entry.timer);
+    if (reason === 'superseded' && entry.resolve) {
+      entry.resolve({ command: entry.type, superseded: true });
+    } else if (entry.reject) {
+      entry.reject(new Error(`${entry.type} dropped from queue (${reason})`));
+    }
+    this.emit('command_dropped', { command: entry.type, reason });
+  }
+
+  /**
+   * Send everything still worth sending, in order (called on reconnect)
+   */
+  _flushQueue() {
+    const now = Date.now();
+    while (this._queue.length > 0) {
+      const entry = this._queue[0];
+      if (entry.expiresAt <= now) {
+        this._dropQueued(entry, 'expired');
+        continue;
+      }
+      if (!this._deliver(entry)) return;
+      this._queue.shift();
+      clearTimeout(entry.timer);
+    }
+  }
+
+  /** Number of commands waiting for a reconnect */
+  getQueueSize() {
+    return this._queue.length;
+  }
+
+  /** Drop all queued commands (e.g. when the context they were meant for is gone) */
+  clearQueue() {
+    for (const entry of [...this._queue]) this._dropQueued(entry, 'cleared');
+  }
+
+  /**
+   * Send command with a correlation ID and wait for its reply
+   * Resolves with the reply payload; rejects on error reply, send failure or timeout
+   */
+  _request(type, payload, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const invalid = this._checkPayload(type, payload);
+      if (invalid) {
+        reject(new Error(invalid.message));
+        return;
+      }
+      const id = this._newRequestId();
+      const timer = setTimeout(() => {
+        this._pending.delete(id);
+        reject(new Error(`${type} timed out after ${timeout}ms`));
+      }, timeout);
+      this._pending.set(id, { resolve, reject, timer });
+
+      if (!this._send(type, payload, id)) {
+        clearTimeout(timer);
+        this._pending.delete(id);
+        reject(new Error('Not connected to ClawMate'));
+      }
+    });
+  }
+
+  /**
+   * Validate an outgoing command against its schema
+   * @returns {object|null} Error payload in the bridge's reply shape, or null if valid
+   */
+  _checkPayload(type, payload) {
+    const invalid = validateCommand(type, payload);
+    if (!invalid) return null;
+    if (invalid.path === 'type') {
+      return { command: type, code: 'unknown_command', message: `Unknown command: ${type}` };
+    }
+    return {
+      command: type,
+      code: 'invalid_payload',
+      path: invalid.path,
+      message: `${invalid.path} ${invalid.message}`,
+    };
+  }
+
+  /**
+   * Send any command and wait for ClawMate's answer (ack or reply payload)
+   * Rejects on validation error, error reply or timeout.
+   */
+  sendCommand(type, payload = {}, timeout = 5000) {
+    return this._request(type, payload, timeout);
+  }
+
+  // === Capability checks ===
+
+  /** Whether the connected ClawMate accepts this command type */
+  supports(command) {
+    return !this.capabilities || this.capabilities.commands.includes(command);
+  }
+
+  /** Whether a feature flag is enabled (see bridge-protocol.js FEATURES) */
+  hasFeature(name) {
+    return !this.capabilities || !!this.capabilities.features?.[name];
+  }
+
+  supportsState(state) {
+    return !this.capabilities || this.capabilities.states.includes(state);
+  }
+
+  supportsEmotion(emotion) {
+    return !this.capabilities || this.capabilities.emotions.includes(emotion);
+  }
+
+  supportsMovementType(type) {
+    return !this.capabilities || this.capabilities.movementTypes.includes(type);
+  }
+
+  /**
+   * Settle requests still waiting for a reply
+   * With requeue, unexpired guaranteed commands go back to the queue instead.
+   */
+  _rejectPending(err, { requeue = false } = {}) {
+    for (const pending of this._pending.values()) {
+      clearTimeout(pending.timer);
+      if (requeue && pending.entry && pending.entry.expiresAt > Date.now()) {
+        this._enqueue(pending.entry);
+        continue;
+      }
+      pending.reject(err);
+    }
+    this._pending.clear();
+  }
+
   // === AI -> ClawMate Command API ===
 
   /** Make the pet speak */
   speak(text, style = 'normal') {
-    return this._send('speak', { text, style });
+    return this.send('speak', { text, style });
   }
 
   /** Make the pet think (shows ... in speech bubble) */
   think(text) {
-    return this._send('think', { text });
+    return this.send('think', { text });
   }
 
   /** Change pet behavior */
   action(state, duration) {
-    return this._send('action', { state, duration });
+    return this.send('action', { state, duration });
   }
 
   /** Move to specific position */
   moveTo(x, y, speed) {
-    return this._send('move', { x, y, speed });
+    return this.send('move', { x, y, speed });
   }
 
   /** Express emotion */
   emote(emotion) {
-    return this._send('emote', { emotion });
+    return this.send('emote', { emotion });
   }
 
-  /** Pick up file */
-  carryFile(fileName, targetX) {
-    return this._send('carry_file', { fileName, targetX });
+  /** Pick up file (resolves once ClawMate acknowledges the command) */
+  carryFile(fileName, targetX, timeout = 5000) {
+    return this._request('carry_file', { fileName, targetX }, timeout);
   }
 
   /** Drop file */
   dropFile() {
-    return this._send('drop_file', {});
+    return this.send('drop_file', {});
   }
 
   /** Switch mode */
   setMode(mode) {
-    return this._send('set_mode', { mode });
+    return this.send('set_mode', { mode });
   }
 
   /** Trigger evolution */
   evolve(stage) {
-    return this._send('evolve', { stage });
+    return this.send('evolve', { stage });
   }
 
   /**
@@ -167,39 +502,40 @@ class ClawMateConnector extends EventEmitter {
    * Sends the AI's analyzed decision in a single message
    */
   decide(decision) {
-    return this._send('ai_decision', decision);
+    return this.send('ai_decision', decision);
   }
 
   // === Spatial Movement API (pet roams the computer like its "home") ===
 
   /** Jump to specific position */
   jumpTo(x, y) {
-    return this._send('jump_to', { x, y });
+    return this.send('jump_to', { x, y });
   }
 
   /** Start rappelling (descend from ceiling/wall on thread) */
   rappel() {
-    return this._send('rappel', {});
+    return this.send('rappel', {});
   }
 
   /** Release rappel thread (fall) */
   releaseThread() {
-    return this._send('release_thread', {});
+    return this.send('release_thread', {});
   }
 
   /** Move to screen center */
   moveToCenter() {
-    return this._send('move_to_center', {});
+    return this.send('move_to_center', {});
   }
 
   /** Jump onto specific window */
   walkOnWindow(windowId, x, y) {
-    return this._send('walk_on_window', { windowId, x, y });
+    return this.send('walk_on_window', { windowId, x, y });
   }
 
-  /** Request list of open windows */
-  queryWindows() {
-    return this._send('query_windows', {});
+  /** Request list of open windows (resolves with the window array) */
+  async queryWindows(timeout = 5000) {
+    const result = await this._request('query_windows', {}, timeout);
+    return result?.windows || [];
   }
 
   // === Custom Movement Pattern API ===
@@ -225,7 +561,7 @@ class ClawMateConnector extends EventEmitter {
    *   });
    */
   registerMovement(name, definition) {
-    return this._send('register_movement', { name, definition });
+    return this.send('register_movement', { name, definition });
   }
 
   /**
@@ -242,37 +578,47 @@ class ClawMateConnector extends EventEmitter {
    *   connector.customMove('shake', { intensity: 6, duration: 1000 });
    */
   customMove(name, params = {}) {
-    return this._send('custom_move', { name, params });
+    return this.send('custom_move', { name, params });
   }
 
   /** Force stop currently running custom movement */
   stopCustomMove() {
-    return this._send('stop_custom_move', {});
+    return this.send('stop_custom_move', {});
   }
 
-  /** Request list of registered movement patterns (response via user_event) */
-  listMovements() {
-    return this._send('list_movements', {});
+  /** Request list of registered movement patterns (resolves with the pattern list) */
+  async listMovements(timeout = 5000) {
+    const result = await this._request('list_movements', {}, timeout);
+    return result?.movements || [];
   }
 
   /** Send smart file operation command */
   smartFileOp(payload) {
-    return this._send('smart_file_op', payload);
+    return this.send('smart_file_op', payload);
+  }
+
+  /**
+   * Move files for real with the carry animation, or preview with dryRun
+   * @param {object} options - { source: 'desktop'|'downloads'|'documents', filter?, target?, autoCategory?, dryRun? }
+   * Resolves with { dryRun, totalFiles, moves } or { dryRun, success, movedCount, errors, moveIds }
+   */
+  organizeFiles(options, timeout = 5 * 60 * 1000) {
+    return this._request('file_op', options, timeout);
   }
 
   /** Send character data (apply AI-generated character) */
   setCharacter(data) {
-    return this._send('set_character', data);
+    return this.send('set_character', data);
   }
 
   /** Reset to default character */
   resetCharacter() {
-    return this._send('reset_character', {});
+    return this.send('reset_character', {});
   }
 
   /** Switch persona (reflect bot personality in Incarnation mode) */
   setPersona(data) {
-    return this._send('set_persona', data);
+    return this.send('set_persona', data);
   }
 
   /**
@@ -280,26 +626,76 @@ class ClawMateConnector extends EventEmitter {
    * Resolves when state_response arrives from server, returns cached state on timeout
    */
   queryState(timeout = 2000) {
-    return new Promise((resolve) => {
-      const sent = this._send('query_state', {});
-      if (!sent) {
-        resolve(this.petState);
-        return;
-      }
-      this._stateResolvers.push(resolve);
-      setTimeout(() => {
-        const idx = this._stateResolvers.indexOf(resolve);
-        if (idx !== -1) {
-          this._stateResolvers.splice(idx, 1);
-          resolve(this.petState);
-        }
-      }, timeout);
-    });
+    return this._request('query_state', {}, timeout)
+      .catch(() => this.petState);
+  }
+
+  /** Re-fetch the capability document (also refreshes connector.capabilities) */
+  async queryCapabilities(timeout = 5000) {
+    this.capabilities = await this._request('query_capabilities', {}, timeout);
+    return this.capabilities;
+  }
+
+  /**
+   * Request screen capture (ClawMate takes screenshot and responds)
+   * Resolves with { image, width, height, timestamp }
+   */
+  requestScreenCapture(timeout = 10000) {
+    return this._request('query_screen', {}, timeout);
+  }
+
+  // === Multi-client Control API ===
+
+  /** Take control of movement/speech (only succeeds when no brain holds it) */
+  claimControl(timeout = 5000) {
+    return this._request('claim_control', {}, timeout);
+  }
+
+  /** Give up control (passes to the next connected brain, if any) */
+  releaseControl(timeout = 5000) {
+    return this._request('release_control', {}, timeout);
+  }
+
+  /** Hand control to another brain client */
+  transferControl(clientId, timeout = 5000) {
+    return this._request('transfer_control', { clientId }, timeout);
+  }
+
+  /** List connected clients: [{ clientId, role, name, protocolVersion, owner, connectedAt }] */
+  async listClients(timeout = 5000) {
+    const result = await this._request('list_clients', {}, timeout);
+    return result?.clients || [];
+  }
+
+  // === Subscriptions ===
+
+  /**
+   * Receive only matching broadcasts (first call replaces the default "everything")
+   * @param {Array<string|{ topic, every?, interval? }>} topics - e.g. ['user_event.click', { topic: 'metrics', every: 5 }]
+   * @param {object} [options] - { inlineScreens?: boolean }
+   */
+  async subscribe(topics, options = {}, timeout = 5000) {
+    const payload = { topics };
+    if (options.inlineScreens !== undefined) payload.inlineScreens = options.inlineScreens;
+    this.subscriptions = await this._request('subscribe', payload, timeout);
+    return this.subscriptions;
+  }
+
+  async unsubscribe(topics, timeout = 5000) {
+    this.subscriptions = await this._request('unsubscribe', { topics }, timeout);
+    return this.subscriptions;
+  }
+
+  /** Screenshot sent by reference in an event: { image, width, height, timestamp } */
+  fetchScreen(ref, timeout = 5000) {
+    return this._request('fetch_screen', { ref }, timeout);
   }
 
-  /** Request screen capture (ClawMate takes screenshot and responds) */
-  requestScreenCapture() {
-    return this._send('query_screen', {});
+  _restoreSubscriptions() {
+    if (!this.subscriptions) return;
+    const { topics, excluded, inlineScreens } = this.subscriptions;
+    this._send('subscribe', { topics, inlineScreens });
+    if (excluded.length > 0) this._send('unsubscribe', { topics: excluded });
   }
 
   /** Register screen capture response listener */
@@ -320,6 +716,8 @@ class ClawMateConnector extends EventEmitter {
   disconnect() {
     this._autoReconnect = false;
     if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+    this._rejectPending(new Error('Disconnected'));
+    this.clearQueue();
     if (this.ws) this.ws.close();
   }
 }
@@ -6,11 +6,24 @@
  * - Detects "yesterday at this time..." similarities
  * - Prevents duplicate speech
  * - Tracks emotional baseline
+ * - Keeps per-chat conversation threads (Telegram), summarised by AIBrain
+ *   when they get long
+ * Summaries handed to prompts are written in the prompt language (locales/).
  */
 const Store = require('./store');
+const { getLocale, resolveLanguage, format } = require('./prompt-locale');
+
+// Longest message kept in a chat thread
+const THREAD_MESSAGE_MAX_LENGTH = 2000;
 
 class AIMemory {
-  constructor() {
+  /**
+   * @param {object} [options]
+   *   - getLanguage: () => language code for summaries (default: OS locale)
+   */
+  constructor(options = {}) {
+    this._getLanguage = options.getLanguage || (() => resolveLanguage('auto'));
+
     this.store = new Store('clawmate-ai-memory', {
       longTerm: {
         userPatterns: {},     // { triggerType: { count, lastSeen, hourCounts: {} } }
@@ -19,6 +32,7 @@ class AIMemory {
         dailyLogs: {},        // { 'YYYY-MM-DD': { summary, triggers: {}, activeHours: [] } }
       },
       emotionalBaseline: { mood: 'neutral', momentum: 0.5 },
+      chatThreads: {},          // { chatId: { summary, turns: [{ role, content, timestamp }], startedAt, updatedAt } }
     });
 
     // Short-term memory (RAM only)
@@ -55,10 +69,11 @@ class AIMemory {
   }
 
   getRecentContext(count = 5) {
+    const { timeLocale } = this._locale();
     return this.shortTerm.slice(-count).map(i => ({
       trigger: i.trigger,
       speech: i.response?.speech || null,
-      time: new Date(i.timestamp).toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit' }),
+      time: new Date(i.timestamp).toLocaleTimeString(timeLocale, { hour: '2-digit', minute: '2-digit' }),
     }));
   }
 
@@ -69,6 +84,14 @@ class AIMemory {
     );
   }
 
+  /**
+   * Does a recent line start with this text? Lets a streamed speech be held
+   * back before the bubble shows what may turn out to be a repeat.
+   */
+  startsLikeRecentSpeech(prefix) {
+    return !!prefix && this.recentSpeech.some(s => s.startsWith(prefix));
+  }
+
   // === Long-term Memory ===
 
   updateUserPatterns(triggerType) {
@@ -106,6 +129,12 @@ class AIMemory {
   }
 
   getPersonalityInsight() {
+    return this._personalityInsight() || this._locale().memory.unknownUser;
+  }
+
+  /** @returns {string} '' while there is nothing to tell */
+  _personalityInsight() {
+    const { memory, activities } = this._locale();
     const lt = this.store.get('longTerm');
     const patterns = lt.userPatterns || {};
 
@@ -119,18 +148,18 @@ class AIMemory {
     if (sorted.length > 0) {
       const topActivities = sorted.map(([trigger, data]) => {
         const peakHour = this._getPeakHour(data.hourCounts);
-        return `${trigger}(${data.count}회, 주로 ${peakHour}시)`;
+        return format(memory.activity, { name: activities[trigger] || trigger, count: data.count, hour: peakHour });
       });
-      insights.push(`주요 활동: ${topActivities.join(', ')}`);
+      insights.push(format(memory.topActivities, { list: topActivities.join(', ') }));
     }
 
     // Recent highlights
     const recentHighlights = (lt.highlights || []).slice(-3);
     if (recentHighlights.length > 0) {
-      insights.push(`최근 기억: ${recentHighlights.map(h => h.event).join(', ')}`);
+      insights.push(format(memory.highlights, { list: recentHighlights.map(h => h.event).join(', ') }));
     }
 
-    return insights.join('\n') || '아직 사용자를 잘 모릅니다.';
+    return insights.join('\n');
   }
 
   getDailyLog(date) {
@@ -148,11 +177,36 @@ class AIMemory {
 
     // Check if same trigger at same hour yesterday
     if (log.triggers[currentTrigger]?.hours?.includes(hourKey)) {
-      return `어제 이 시간에도 ${this._triggerToKorean(currentTrigger)} 했었어.`;
+      const locale = this._locale();
+      return format(locale.memory.yesterday, { activity: locale.activities[currentTrigger] || currentTrigger });
     }
     return null;
   }
 
+  /**
+   * What the pet remembers about its user, for bridge clients (query_state's
+   * `memory`). Chat threads stay out -- they are private conversations.
+   */
+  getSnapshot() {
+    const lt = this.store.get('longTerm');
+    const topActivities = Object.entries(lt.userPatterns || {})
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, 10)
+      .map(([trigger, data]) => ({
+        trigger,
+        count: data.count,
+        peakHour: this._getPeakHour(data.hourCounts),
+        lastSeen: data.lastSeen,
+      }));
+    return {
+      mood: this.getCurrentMood(),
+      topActivities,
+      todayTriggers: { ...this.todayTriggers },
+      highlights: (lt.highlights || []).slice(-10),
+      sessionStart: this.sessionStart,
+    };
+  }
+
   // === Emotional State ===
 
   updateMood(trigger) {
@@ -193,17 +247,18 @@ class AIMemory {
   getObservationContext() {
     const mood = this.getCurrentMood();
     const recent = this.getRecentContext(3);
-    const personality = this.getPersonalityInsight();
+    const personality = this._personalityInsight();
+    const { memory } = this._locale();
 
     const parts = [];
-    parts.push(`현재 기분: ${mood.mood} (강도: ${Math.round(mood.intensity * 100)}%)`);
+    parts.push(format(memory.mood, { mood: mood.mood, intensity: Math.round(mood.intensity * 100) }));
 
     if (recent.length > 0) {
-      parts.push(`최근 대화:\n${recent.map(r => `  ${r.time} [${r.trigger}] → "${r.speech || '(조용히)'}"`).join('\n')}`);
+      parts.push(format(memory.recent, { lines: recent.map(r => format(memory.recentLine, r)).join('\n') }));
     }
 
-    if (personality !== '아직 사용자를 잘 모릅니다.') {
-      parts.push(`사용자 성격:\n${personality}`);
+    if (personality) {
+      parts.push(format(memory.personality, { userInsight: personality }));
     }
 
     return parts.join('\n\n');
@@ -247,6 +302,61 @@ class AIMemory {
     this.todayTriggers = {};
   }
 
+  // === Chat Threads ===
+
+  /**
+   * @param {string|number} chatId
+   * @returns {{ summary: string, turns: Array<{ role: 'user'|'assistant', content: string, timestamp: number }>, startedAt: number|null }}
+   *   startedAt tells a thread apart from one started after clearThread()
+   */
+  getThread(chatId) {
+    const thread = (this.store.get('chatThreads') || {})[chatId];
+    return thread
+      ? { summary: thread.summary || '', turns: [...thread.turns], startedAt: thread.startedAt ?? null }
+      : { summary: '', turns: [], startedAt: null };
+  }
+
+  /**
+   * @param {'user'|'assistant'} role
+   */
+  addThreadTurn(chatId, role, content) {
+    const threads = this.store.get('chatThreads') || {};
+    const thread = threads[chatId] || { summary: '', turns: [], startedAt: Date.now() };
+    thread.turns.push({ role, content: String(content).slice(0, THREAD_MESSAGE_MAX_LENGTH), timestamp: Date.now() });
+    thread.updatedAt = Date.now();
+    threads[chatId] = thread;
+    this.store.set('chatThreads', threads);
+  }
+
+  /**
+   * Replace the oldest turns with a summary
+   * @param {string} summary - Covers the previous summary and the removed turns
+   * @param {number} count - How many of the oldest turns the summary covers
+   * @param {number|null} startedAt - getThread().startedAt the summary was made from;
+   *   nothing changes if the thread has been cleared (and maybe restarted) since
+   * @returns {boolean} Compacted
+   */
+  compactThread(chatId, summary, count, startedAt) {
+    const threads = this.store.get('chatThreads') || {};
+    const thread = threads[chatId];
+    if (!thread || (thread.startedAt ?? null) !== startedAt) return false;
+    thread.summary = summary;
+    thread.turns = thread.turns.slice(count);
+    this.store.set('chatThreads', threads);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} false if there was no thread
+   */
+  clearThread(chatId) {
+    const threads = this.store.get('chatThreads') || {};
+    if (!threads[chatId]) return false;
+    delete threads[chatId];
+    this.store.set('chatThreads', threads);
+    return true;
+  }
+
   destroy() {
     if (this._saveTimer) clearInterval(this._saveTimer);
     this.savePeriodic();
@@ -283,20 +393,8 @@ class AIMemory {
       .sort((a, b) => b[1] - a[1])[0][0];
   }
 
-  _triggerToKorean(trigger) {
-    const map = {
-      shopping_detected: '쇼핑',
-      coding_detected: '코딩',
-      video_watching: '영상 시청',
-      social_scrolling: 'SNS 스크롤',
-      news_reading: '뉴스 읽기',
-      gaming_detected: '게임',
-      late_night: '밤늦게까지 깨어있기',
-      deep_focus: '집중 작업',
-      error_detected: '에러 마주치기',
-      idle_return: '자리 비우기',
-    };
-    return map[trigger] || trigger;
+  _locale() {
+    return getLocale(this._getLanguage());
   }
 }
 
@@ -0,0 +1,486 @@
+/**
+ * LLM provider adapters for AI Brain
+ *
+ * Each adapter knows how to talk to one kind of endpoint and carries a
+ * model catalogue (defaults below, user entries from AIConfig):
+ *   { id, label, tier: 'fast' | 'smart', input, output, vision, maxTokens, tools }
+ *   input/output: USD per 1M tokens; maxTokens: output cap for the model;
+ *   tools: whether the model handles native tool calls (ai-tools.js)
+ * AIBrain._selectModel picks catalogue entries by id or tier; cost
+ * tracking and vision support are looked up per entry.
+ *
+ * Providers (AIConfig 'provider'):
+ *   anthropic - api.anthropic.com Messages API (default)
+ *   openai    - any OpenAI-compatible /chat/completions endpoint
+ *   local     - OpenAI-compatible local server (Ollama, llama.cpp, LM Studio);
+ *               no API key, no cost unless the catalogue says otherwise
+ * 'providerBaseUrl' in clawmate-ai-config.json points openai/local at
+ * another host, e.g. 'http://gpu-box.lan:11434/v1'.
+ *
+ * Electron-free so it can be used from plain Node scripts.
+ */
+const http = require('http');
+const https = require('https');
+const { parseRetryAfter } = require('./ai-resilience');
+
+const TIERS = ['fast', 'smart'];
+
+// Old 'model' config values -> tiers
+const TIER_ALIASES = { haiku: 'fast', sonnet: 'smart' };
+
+/**
+ * Validate/complete a catalogue entry
+ * @returns {object|null} Normalized entry, or null if unusable
+ */
+function normalizeModelEntry(entry) {
+  if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) return null;
+  const price = (value) => (typeof value === 'number' && value >= 0 ? value : 0);
+  return {
+    id: entry.id.trim(),
+    label: typeof entry.label === 'string' && entry.label ? entry.label : entry.id.trim(),
+    tier: TIERS.includes(TIER_ALIASES[entry.tier] || entry.tier) ? (TIER_ALIASES[entry.tier] || entry.tier) : 'fast',
+    input: price(entry.input),
+    output: price(entry.output),
+    vision: entry.vision === true,
+    maxTokens: Number.isInteger(entry.maxTokens) && entry.maxTokens > 0 ? entry.maxTokens : 1024,
+    tools: entry.tools !== false,
+  };
+}
+
+/**
+ * Catalogue lookups shared by all adapters; subclasses declare
+ * DEFAULT_CATALOGUE and implement buildRequest() / parseResponse() /
+ * parseStreamEvent() / toolResultMessages()
+ */
+class LLMProvider {
+  /**
+   * @param {object} [options] - { baseUrl?, catalogue? } (empty catalogue = defaults)
+   */
+  constructor(options = {}) {
+    const entries = options.catalogue && options.catalogue.length > 0
+      ? options.catalogue
+      : new.target.DEFAULT_CATALOGUE;
+    this.catalogue = entries.map(normalizeModelEntry).filter(Boolean);
+    this.timeout = 30000;
+    this._warnedModels = new Set();
+  }
+
+  getModel(id) {
+    return this.catalogue.find(m => m.id === id) || null;
+  }
+
+  /**
+   * Model ID for a catalogue id or tier ('fast' | 'smart', legacy 'haiku' | 'sonnet')
+   * A tier with no entries falls back to the first model.
+   */
+  modelFor(idOrTier) {
+    if (this.getModel(idOrTier)) return idOrTier;
+    const tier = TIER_ALIASES[idOrTier] || idOrTier;
+    const entry = this.catalogue.find(m => m.tier === tier) || this.catalogue[0];
+    return entry ? entry.id : null;
+  }
+
+  /** Model used for each tier */
+  get models() {
+    return { fast: this.modelFor('fast'), smart: this.modelFor('smart') };
+  }
+
+  /**
+   * @param {string} [model] - Omit to ask whether any catalogue model can see
+   */
+  supportsVision(model) {
+    if (model) return !!this.getModel(model)?.vision;
+    return this.catalogue.some(m => m.vision);
+  }
+
+  /** USD per 1M tokens */
+  pricingFor(model) {
+    const entry = this.getModel(model);
+    if (entry) return { input: entry.input, output: entry.output };
+    if (!this._warnedModels.has(model)) {
+      this._warnedModels.add(model);
+      console.warn(`[AI Providers] ${model} is not in the model catalogue -- its cost is not tracked`);
+    }
+    return { input: 0, output: 0 };
+  }
+
+  maxTokensFor(model) {
+    return this.getModel(model)?.maxTokens || 1024;
+  }
+
+  /** Unknown models are assumed to handle tools; the endpoint will say otherwise */
+  supportsTools(model) {
+    return this.getModel(model)?.tools !== false;
+  }
+}
+
+/** Attach the screenshot to plain-text user turns (tool results are left alone) */
+function withImage(msg, screenData, imageBlock) {
+  if (msg.role !== 'user' || !screenData?.image || typeof msg.content !== 'string') return msg;
+  return { role: 'user', content: [imageBlock(screenData.image), { type: 'text', text: msg.content }] };
+}
+
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.id = 'anthropic';
+    this.name = 'Anthropic';
+    this.requiresApiKey = true;
+    this.baseUrl = options.baseUrl || 'https://api.anthropic.com/v1';
+  }
+
+  /**
+   * @param {object} params - { apiKey, model, maxTokens, system, messages, screenData, stream?, tools?, toolChoice? }
+   *   tools: [{ name, description, inputSchema }] (ai-tools.js)
+   *   toolChoice: 'auto' (default) | 'none' -- tools stay defined (earlier tool_use blocks
+   *               need them) but the model must answer in text
+   * @returns {{ url: string, headers: object, body: object }}
+   */
+  buildRequest({ apiKey, model, maxTokens, system, messages, screenData, stream = false, tools = null, toolChoice = 'auto' }) {
+    return {
+      url: `${this.baseUrl}/messages`,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        ...(stream ? { stream: true } : {}),
+        system,
+        ...(tools?.length ? {
+          tools: tools.map(t => ({ name: t.name, description: t.description, input_schema: t.inputSchema })),
+          ...(toolChoice === 'none' ? { tool_choice: { type: 'none' } } : {}),
+        } : {}),
+        messages: messages.map(msg => withImage(msg, screenData, image => ({
+          type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: image },
+        }))),
+      },
+    };
+  }
+
+  /**
+   * @returns {{ text: string, usage: { inputTokens, outputTokens } | null,
+   *   toolCalls: Array<{ id, name, input }>, message: object }}
+   *   message: the assistant turn to append when answering tool calls
+   */
+  parseResponse(json) {
+    const content = json.content || [];
+    return {
+      text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: content.filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input || {} })),
+      message: { role: 'assistant', content },
+      usage: json.usage
+        ? { inputTokens: json.usage.input_tokens || 0, outputTokens: json.usage.output_tokens || 0 }
+        : null,
+    };
+  }
+
+  /**
+   * One SSE `data:` payload of a streamed response
+   * @returns {{ text?: string, usage?: { inputTokens?, outputTokens? } }}
+   */
+  parseStreamEvent(event) {
+    switch (event.type) {
+      case 'message_start':
+        return { usage: { inputTokens: event.message?.usage?.input_tokens || 0 } };
+      case 'content_block_delta':
+        return { text: event.delta?.text || '' };
+      case 'message_delta':
+        return { usage: { outputTokens: event.usage?.output_tokens || 0 } };
+      case 'error':
+        throw new Error(`API stream error: ${event.error?.message || 'unknown'}`);
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Messages carrying tool results back to the model
+   * @param {Array<{ id, content: string, isError: boolean }>} results
+   */
+  toolResultMessages(results) {
+    return [{
+      role: 'user',
+      content: results.map(r => ({
+        type: 'tool_result', tool_use_id: r.id, content: r.content, ...(r.isError ? { is_error: true } : {}),
+      })),
+    }];
+  }
+}
+
+AnthropicProvider.DEFAULT_CATALOGUE = [
+  { id: 'claude-haiku-4-5-20251001', label: 'Haiku 4.5', tier: 'fast', input: 0.80, output: 4.00, vision: true, maxTokens: 1024 },
+  { id: 'claude-sonnet-4-5-20250514', label: 'Sonnet 4.5', tier: 'smart', input: 3.00, output: 15.00, vision: true, maxTokens: 1024 },
+];
+
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.id = 'openai';
+    this.name = 'OpenAI-compatible';
+    this.requiresApiKey = true;
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  }
+
+  buildRequest({ apiKey, model, maxTokens, system, messages, screenData, stream = false, tools = null, toolChoice = 'auto' }) {
+    const headers = {};
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers,
+      body: {
+        model,
+        max_tokens: maxTokens,
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+        ...(tools?.length ? {
+          tools: tools.map(t => ({
+            type: 'function',
+            function: { name: t.name, description: t.description, parameters: t.inputSchema },
+          })),
+          ...(toolChoice === 'none' ? { tool_choice: 'none' } : {}),
+        } : {}),
+        messages: [
+          { role: 'system', content: system },
+          ...messages.map(msg => withImage(msg, screenData, image => ({
+            type: 'image_url', image_url: { url: `data:image/jpeg;base64,${image}` },
+          }))),
+        ],
+      },
+    };
+  }
+
+  parseResponse(json) {
+    const message = json.choices?.[0]?.message || { role: 'assistant', content: '' };
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        input: parseToolArguments(call.function?.arguments),
+      })),
+      message,
+      usage: json.usage
+        ? { inputTokens: json.usage.prompt_tokens || 0, outputTokens: json.usage.completion_tokens || 0 }
+        : null,
+    };
+  }
+
+  parseStreamEvent(event) {
+    const out = { text: event.choices?.[0]?.delta?.content || '' };
+    if (event.usage) {
+      out.usage = { inputTokens: event.usage.prompt_tokens || 0, outputTokens: event.usage.completion_tokens || 0 };
+    }
+    return out;
+  }
+
+  toolResultMessages(results) {
+    return results.map(r => ({
+      role: 'tool',
+      tool_call_id: r.id,
+      content: r.isError ? `Error: ${r.content}` : r.content,
+    }));
+  }
+}
+
+/** Function call arguments arrive as a JSON string (sometimes malformed) */
+function parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+OpenAICompatibleProvider.DEFAULT_CATALOGUE = [
+  { id: 'gpt-4o-mini', label: 'GPT-4o mini', tier: 'fast', input: 0.15, output: 0.60, vision: true, maxTokens: 1024 },
+  { id: 'gpt-4o', label: 'GPT-4o', tier: 'smart', input: 2.50, output: 10.00, vision: true, maxTokens: 1024 },
+];
+
+class LocalProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({ ...options, baseUrl: options.baseUrl || 'http://127.0.0.1:11434/v1' });
+    this.id = 'local';
+    this.name = 'Local server';
+    this.requiresApiKey = false;
+    this.timeout = 120000;  // Local models on shared hardware can be slow
+  }
+}
+
+// Self-hosted: free, text-only and no tool calls unless the user's catalogue says otherwise
+LocalProvider.DEFAULT_CATALOGUE = [
+  { id: 'llama3.2', label: 'Llama 3.2', tier: 'fast', input: 0, output: 0, vision: false, maxTokens: 1024, tools: false },
+];
+
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  local: LocalProvider,
+};
+
+/**
+ * Build the adapter selected in AIConfig
+ * @param {{ get(key): any, getModelCatalogue?(): object[] }} config
+ */
+function createProvider(config) {
+  const Provider = PROVIDERS[config.get('provider')] || AnthropicProvider;
+  return new Provider({
+    baseUrl: config.get('providerBaseUrl') || undefined,
+    catalogue: config.getModelCatalogue ? config.getModelCatalogue() : undefined,
+  });
+}
+
+function providerRequiresApiKey(providerId) {
+  const Provider = PROVIDERS[providerId] || AnthropicProvider;
+  return new Provider().requiresApiKey;
+}
+
+/** Built-in catalogue of a provider (normalized copies) */
+function defaultCatalogue(providerId) {
+  const Provider = PROVIDERS[providerId] || AnthropicProvider;
+  return Provider.DEFAULT_CATALOGUE.map(normalizeModelEntry);
+}
+
+/**
+ * POST JSON over http or https
+ * Errors for non-2xx responses carry `status` and `retryAfter` (ms, from
+ * the retry-after header) for retryWithBackoff.
+ * @returns {Promise<object>} Parsed response body (rejects on non-2xx)
+ */
+function postJson(url, headers, body, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...headers,
+      },
+    }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => text += chunk);
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch {}
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          if (json) resolve(json);
+          else reject(new Error(`Parse error: ${text.substring(0, 200)}`));
+          return;
+        }
+        const err = new Error(`API ${res.statusCode}: ${json?.error?.message || text.substring(0, 200)}`);
+        err.status = res.statusCode;
+        err.retryAfter = parseRetryAfter(res.headers['retry-after']);
+        reject(err);
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error('Request timeout'));
+    });
+    req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * POST JSON and read a server-sent event stream
+ * @param {(data: object) => void} onEvent - Called with each parsed `data:` JSON payload
+ * @returns {Promise<void>} Resolves when the stream ends; non-2xx rejects like postJson
+ */
+function postSSE(url, headers, body, timeout, onEvent) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'Content-Length': Buffer.byteLength(data),
+        ...headers,
+      },
+    }, (res) => {
+      res.setEncoding('utf-8');
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        let text = '';
+        res.on('data', (chunk) => text += chunk);
+        res.on('end', () => {
+          let json = null;
+          try { json = JSON.parse(text); } catch {}
+          const err = new Error(`API ${res.statusCode}: ${json?.error?.message || text.substring(0, 200)}`);
+          err.status = res.statusCode;
+          err.retryAfter = parseRetryAfter(res.headers['retry-after']);
+          reject(err);
+        });
+        return;
+      }
+
+      let buffer = '';
+      let failed = false;
+      res.on('data', (chunk) => {
+        if (failed) return;
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (!payload || payload === '[DONE]') continue;
+          let event;
+          try {
+            event = JSON.parse(payload);
+          } catch {
+            continue;  // Keep-alive comments or malformed lines
+          }
+          try {
+            onEvent(event);
+          } catch (err) {
+            failed = true;
+            req.destroy();
+            reject(err);
+            return;
+          }
+        }
+      });
+      res.on('end', () => { if (!failed) resolve(); });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    // Idle timeout: resets on every chunk, so long streams are fine
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error('Request timeout'));
+    });
+    req.write(data);
+    req.end();
+  });
+}
+
+module.exports = {
+  TIERS,
+  normalizeModelEntry,
+  LLMProvider,
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  LocalProvider,
+  PROVIDERS,
+  TIER_ALIASES,
+  createProvider,
+  providerRequiresApiKey,
+  defaultCatalogue,
+  postJson,
+  postSSE,
+};
@@ -0,0 +1,146 @@
+/**
+ * Retry and circuit breaker for AI Brain API calls
+ *
+ * retryWithBackoff: transient failures (429, 5xx, 529 overloaded, network
+ * errors, timeouts) are retried with exponential backoff + jitter; a
+ * `retry-after` header from the server wins over the computed delay.
+ *
+ * CircuitBreaker: after `failureThreshold` consecutive failed calls the
+ * breaker opens and calls are refused until the cooldown passes (doubling
+ * on every re-open, capped). Then one probe call is let through
+ * (half_open): success closes the breaker, failure re-opens it.
+ *
+ * Electron-free.
+ */
+const EventEmitter = require('events');
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND']);
+
+/**
+ * Whether an API error is worth retrying
+ * @param {Error} err - err.status (HTTP status) / err.code (socket error) when known
+ */
+function isRetryable(err) {
+  if (err.status) return RETRYABLE_STATUS.has(err.status);
+  return RETRYABLE_CODES.has(err.code) || /timeout/i.test(err.message);
+}
+
+/**
+ * Parse a retry-after header (seconds or HTTP date)
+ * @returns {number|null} Delay in ms
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * @param {() => Promise<T>} fn
+ * @param {object} [options]
+ *   - retries: Extra attempts after the first (default 3)
+ *   - baseDelay: First backoff in ms (default 1000), doubled per attempt
+ *   - maxDelay: Cap for any single wait, retry-after included (default 30000)
+ *   - shouldRetry(err): Default isRetryable
+ *   - onRetry(err, attempt, delay)
+ * @returns {Promise<T>}
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 3, baseDelay = 1000, maxDelay = 30000, shouldRetry = isRetryable, onRetry = null,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+
+      const backoff = baseDelay * 2 ** attempt * (0.8 + Math.random() * 0.4);
+      const delay = Math.min(err.retryAfter ?? backoff, maxDelay);
+      if (onRetry) onRetry(err, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {object} [options]
+   *   - failureThreshold: Consecutive failures that open the breaker (default 5)
+   *   - cooldown: First open period in ms (default 60000)
+   *   - maxCooldown: Cap for the doubling cooldown (default 15 min)
+   */
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 5;
+    this.baseCooldown = options.cooldown || 60000;
+    this.maxCooldown = options.maxCooldown || 15 * 60 * 1000;
+    this.state = 'closed';      // 'closed' | 'open' | 'half_open'
+    this.failures = 0;
+    this.openedCount = 0;       // Re-opens since the last success (drives the cooldown)
+    this.openUntil = 0;
+    this.lastError = null;
+    this._probeInFlight = false;
+  }
+
+  /**
+   * Whether a call may go out now (moves open -> half_open once the cooldown is over)
+   */
+  canRequest() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open') {
+      if (Date.now() < this.openUntil) return false;
+      this._setState('half_open');
+    }
+    // half_open: a single probe at a time
+    if (this._probeInFlight) return false;
+    this._probeInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this._probeInFlight = false;
+    this.failures = 0;
+    this.openedCount = 0;
+    this.lastError = null;
+    if (this.state !== 'closed') this._setState('closed');
+  }
+
+  recordFailure(err) {
+    this._probeInFlight = false;
+    this.failures++;
+    this.lastError = err ? err.message : null;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      const cooldown = Math.min(this.baseCooldown * 2 ** this.openedCount, this.maxCooldown);
+      this.openedCount++;
+      this.openUntil = Date.now() + cooldown;
+      this._setState('open');
+    }
+  }
+
+  isOpen() {
+    return this.state === 'open' && Date.now() < this.openUntil;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      retryAt: this.state === 'open' ? this.openUntil : null,
+    };
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    console.log(`[AI Brain] Circuit breaker ${state}${state === 'open' ? ` until ${new Date(this.openUntil).toLocaleTimeString()}` : ''}`);
+    this.emit('state', this.getStatus());
+  }
+}
+
+module.exports = { isRetryable, parseRetryAfter, retryWithBackoff, CircuitBreaker };
@@ -0,0 +1,76 @@
+/**
+ * Pet capabilities exposed to the AI Brain as model tools
+ *
+ * Each tool maps onto a bridge command and runs through
+ * AIBridge.dispatch(), i.e. the same validation and handlers
+ * startAIBridge wires up for OpenClaw agents. Input schemas are the
+ * bridge command schemas (command-schemas.js).
+ *
+ * preview_file_op is file_op with dryRun forced on: the brain may look at
+ * what a cleanup would do, but never moves files by itself.
+ */
+const { COMMAND_SCHEMAS, validate } = require('./command-schemas');
+
+// Longest tool result handed back to the model (window lists can get long)
+const MAX_RESULT_LENGTH = 4000;
+
+const { dryRun: _dryRun, ...FILE_OP_PREVIEW_PROPERTIES } = COMMAND_SCHEMAS.file_op.properties;
+
+const BRAIN_TOOLS = [
+  { name: 'query_state', command: 'query_state', description: 'Your current position, behavior state and emotion' },
+  { name: 'query_windows', command: 'query_windows', description: 'Open windows (id, title, position) you could walk on' },
+  { name: 'move', command: 'move', description: 'Walk to a screen position' },
+  { name: 'jump_to', command: 'jump_to', description: 'Jump to a screen position in an arc' },
+  { name: 'move_to_center', command: 'move_to_center', description: 'Go to the middle of the screen' },
+  { name: 'walk_on_window', command: 'walk_on_window', description: 'Climb onto a window title bar (ids and positions from query_windows)' },
+  { name: 'rappel', command: 'rappel', description: 'Drop down on a thread from the ceiling or a wall' },
+  { name: 'list_movements', command: 'list_movements', description: 'Custom movement patterns registered so far' },
+  {
+    name: 'register_movement',
+    command: 'register_movement',
+    description: 'Register a custom movement pattern (waypoints, formula or sequence) to run later with custom_move',
+  },
+  { name: 'custom_move', command: 'custom_move', description: 'Run a registered movement pattern' },
+  {
+    name: 'preview_file_op',
+    command: 'file_op',
+    description: 'Preview how files would be tidied up (nothing is moved). '
+      + 'source: desktop | downloads | documents; target folder name with optional filter, or autoCategory: true',
+    inputSchema: { ...COMMAND_SCHEMAS.file_op, properties: FILE_OP_PREVIEW_PROPERTIES },
+    fixed: { dryRun: true },
+  },
+].map(tool => ({ inputSchema: COMMAND_SCHEMAS[tool.command], fixed: {}, ...tool }));
+
+/**
+ * Tool definitions in provider-neutral form: [{ name, description, inputSchema }]
+ */
+function getToolDefinitions() {
+  return BRAIN_TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+/**
+ * Run one tool call
+ * @param {{ name: string, input: object }} call
+ * @param {(type: string, payload: object) => Promise<{ type, payload }>} dispatch - AIBridge.dispatch
+ * @returns {Promise<{ content: string, isError: boolean }>}
+ */
+async function runTool(call, dispatch) {
+  const tool = BRAIN_TOOLS.find(t => t.name === call.name);
+  if (!tool) return { content: `Unknown tool: ${call.name}`, isError: true };
+
+  const input = call.input && typeof call.input === 'object' ? call.input : {};
+  const invalid = validate(tool.inputSchema, input, 'input');
+  if (invalid) return { content: `${invalid.path} ${invalid.message}`, isError: true };
+
+  const reply = await dispatch(tool.command, { ...input, ...tool.fixed });
+  if (reply.type === 'error' || reply.type === 'unknown_command') {
+    return { content: reply.payload?.message || reply.type, isError: true };
+  }
+  if (reply.type === 'ack') return { content: 'ok', isError: false };
+
+  let content = JSON.stringify(reply.payload);
+  if (content.length > MAX_RESULT_LENGTH) content = `${content.slice(0, MAX_RESULT_LENGTH)}...(truncated)`;
+  return { content, isError: false };
+}
+
+module.exports = { BRAIN_TOOLS, getToolDefinitions, runTool };
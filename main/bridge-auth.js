@@ -0,0 +1,107 @@
+/**
+ * AI Bridge authentication
+ *
+ * Per-install shared secret stored in ClawMate's userData directory.
+ * - Electron main process: loadOrCreateToken() generates it on first run
+ * - Agent side (plugin / ClawMateConnector): findToken() reads it back
+ *
+ * Deliberately free of Electron imports so the connector can use it
+ * from a plain Node.js process.
+ */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const TOKEN_FILE = 'bridge-token';
+
+// Electron userData folder names (dev run uses package name, packaged build uses productName)
+const APP_DIR_NAMES = ['clawmate', 'ClawMate'];
+
+// WebSocket close codes for rejected clients
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_AUTH_TIMEOUT = 4408;
+
+/**
+ * Read the token from userData, generating it if missing
+ * @param {string} userDataPath - app.getPath('userData')
+ */
+function loadOrCreateToken(userDataPath) {
+  const tokenPath = path.join(userDataPath, TOKEN_FILE);
+  try {
+    const existing = fs.readFileSync(tokenPath, 'utf-8').trim();
+    if (existing) return existing;
+  } catch {
+    // Not created yet
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(userDataPath, { recursive: true });
+  fs.writeFileSync(tokenPath, token, { mode: 0o600 });
+  return token;
+}
+
+/**
+ * Candidate userData directories for the current platform
+ */
+function getUserDataCandidates() {
+  const home = os.homedir();
+  let base;
+  if (process.platform === 'win32') {
+    base = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    base = path.join(home, 'Library', 'Application Support');
+  } else {
+    base = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  return APP_DIR_NAMES.map(name => path.join(base, name));
+}
+
+/**
+ * Locate the bridge token from the agent side
+ * Priority: CLAWMATE_BRIDGE_TOKEN env -> CLAWMATE_USER_DATA dir -> platform userData dirs
+ * @returns {string|null}
+ */
+function findToken() {
+  if (process.env.CLAWMATE_BRIDGE_TOKEN) return process.env.CLAWMATE_BRIDGE_TOKEN.trim();
+
+  const dirs = process.env.CLAWMATE_USER_DATA
+    ? [process.env.CLAWMATE_USER_DATA]
+    : getUserDataCandidates();
+
+  for (const dir of dirs) {
+    try {
+      const token = fs.readFileSync(path.join(dir, TOKEN_FILE), 'utf-8').trim();
+      if (token) return token;
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Constant-time token comparison
+ */
+function tokensMatch(expected, received) {
+  if (typeof expected !== 'string' || typeof received !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Browsers always attach an Origin header to WebSocket/fetch requests;
+ * local agents (ws, curl, scripts) don't. Any Origin means a web page is calling.
+ */
+function isBrowserRequest(req) {
+  return !!req.headers.origin;
+}
+
+module.exports = {
+  TOKEN_FILE,
+  CLOSE_UNAUTHORIZED,
+  CLOSE_AUTH_TIMEOUT,
+  loadOrCreateToken,
+  findToken,
+  tokensMatch,
+  isBrowserRequest,
+};
@@ -0,0 +1,99 @@
+/**
+ * AI Bridge protocol version and capabilities
+ *
+ * Reported to every client in the `welcome` reply (and on `query_capabilities`)
+ * so agents built against a different ClawMate version can check what this
+ * build supports instead of guessing.
+ *
+ * Versioning: 'major.minor'. Minor bumps only add commands/fields;
+ * a major bump means older clients can no longer talk to the bridge.
+ * Clients announce their version in `hello`; a different major is refused.
+ *
+ * Electron-free so ClawMateConnector can share it.
+ */
+const { COMMAND_SCHEMAS } = require('./command-schemas');
+
+const PROTOCOL_VERSION = '1.2';
+
+// Version assumed for clients that don't announce one (pre-negotiation agents)
+const LEGACY_PROTOCOL_VERSION = '1.0';
+
+// Pet states accepted by `action` (renderer/js/state-machine.js)
+const STATES = [
+  'idle', 'walking', 'climbing_up', 'climbing_down', 'ceiling_walk',
+  'sleeping', 'carrying', 'playing', 'interacting', 'scared', 'excited',
+  'jumping', 'rappelling', 'falling', 'custom',
+];
+
+// Emotions understood by `emote` / ai_decision (renderer/js/ai-controller.js)
+const EMOTIONS = [
+  'happy', 'curious', 'sleepy', 'scared', 'playful',
+  'proud', 'neutral', 'focused', 'affectionate',
+];
+
+// register_movement definition types
+const MOVEMENT_TYPES = ['waypoints', 'formula', 'sequence'];
+
+// Optional feature flags; agents should check these before relying on a feature
+const FEATURES = {
+  multiClient: true,         // brain/observer roles + control ownership
+  schemaValidation: true,    // invalid payloads answered with error + path
+  windowWalking: true,       // walk_on_window, query_windows
+  customMovements: true,     // register_movement / custom_move
+  characterCustomization: true,
+  smartFileOps: true,        // smart_file_op animations
+  screenCapture: true,       // query_screen
+  subscriptions: true,       // subscribe / unsubscribe topic filters, screens by reference
+};
+
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)$/.exec(String(version));
+  return match ? { major: Number(match[1]), minor: Number(match[2]) } : null;
+}
+
+/**
+ * Pick the protocol version to speak with a client
+ * @param {string} [clientVersion] - Version from the client's hello (missing = legacy)
+ * @returns {string|null} Negotiated version, or null if incompatible
+ */
+function negotiateVersion(clientVersion = LEGACY_PROTOCOL_VERSION) {
+  const client = parseVersion(clientVersion);
+  const ours = parseVersion(PROTOCOL_VERSION);
+  if (!client || client.major !== ours.major) return null;
+  return `${ours.major}.${Math.min(client.minor, ours.minor)}`;
+}
+
+/** Whether a negotiated version is at least `min` (same major assumed) */
+function versionAtLeast(version, min) {
+  const a = parseVersion(version);
+  const b = parseVersion(min);
+  return !!a && !!b && (a.major > b.major || (a.major === b.major && a.minor >= b.minor));
+}
+
+/**
+ * Capability document sent in `welcome`
+ * @param {string} appVersion - ClawMate app version (package.json)
+ */
+function getCapabilities(appVersion) {
+  return {
+    appVersion,
+    protocolVersion: PROTOCOL_VERSION,
+    commands: Object.keys(COMMAND_SCHEMAS),
+    states: STATES,
+    emotions: EMOTIONS,
+    movementTypes: MOVEMENT_TYPES,
+    features: { ...FEATURES },
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  LEGACY_PROTOCOL_VERSION,
+  STATES,
+  EMOTIONS,
+  MOVEMENT_TYPES,
+  FEATURES,
+  negotiateVersion,
+  versionAtLeast,
+  getCapabilities,
+};
@@ -0,0 +1,120 @@
+/**
+ * AI Bridge event subscriptions
+ *
+ * Every broadcast the bridge pushes has a topic:
+ *   user_event.<event>      user_event.click, user_event.browsing, ...
+ *   proactive.<trigger>     proactive.morning_greeting, ...
+ *   metrics                 metrics_report (every 30s)
+ *   state                   pet_state_update
+ *   heartbeat
+ * Messages without a topic (control_changed, replies) always go through.
+ *
+ * Patterns: 'metrics' matches metrics; 'user_event' matches every user event;
+ * '*' matches one segment ('proactive.*'), and a lone '*' matches everything.
+ * Each subscription may thin out its topic:
+ *   { topic: 'metrics', every: 5 }     -> 1 of every 5 messages
+ *   { topic: 'state', interval: 2000 } -> at most one per 2s
+ *
+ * A client receives everything until its first `subscribe`, which replaces
+ * that default. `unsubscribe` removes a subscribed pattern, or excludes
+ * it when it was only covered by a broader one.
+ */
+
+function topicOf(type, payload) {
+  switch (type) {
+    case 'user_event': return `user_event.${payload?.event}`;
+    case 'proactive_trigger': return `proactive.${payload?.trigger}`;
+    case 'metrics_report': return 'metrics';
+    case 'pet_state_update': return 'state';
+    case 'heartbeat': return 'heartbeat';
+    default: return null;
+  }
+}
+
+function compilePattern(pattern) {
+  const body = pattern.split('.')
+    .map(segment => (segment === '*' ? '[^.]+' : segment.replace(/[\\^$+?()[\]{}|]/g, '\\$&')))
+    .join('\\.');
+  return new RegExp(`^${body}(\\..+)?$`);
+}
+
+class SubscriptionSet {
+  constructor() {
+    this.subscriptions = new Map();  // pattern -> { regex, every, interval, count, lastSent }
+    this.excluded = new Map();       // pattern -> regex
+    this.isDefault = true;
+    this._add('*');
+  }
+
+  /**
+   * @param {Array<string|{ topic, every?, interval? }>} entries
+   */
+  subscribe(entries) {
+    if (this.isDefault) {
+      this.subscriptions.clear();
+      this.isDefault = false;
+    }
+    for (const entry of entries) {
+      const { topic, every, interval } = typeof entry === 'string' ? { topic: entry } : entry;
+      this.excluded.delete(topic);
+      this._add(topic, every, interval);
+    }
+  }
+
+  unsubscribe(patterns) {
+    for (const pattern of patterns) {
+      if (this.subscriptions.has(pattern)) {
+        this.subscriptions.delete(pattern);
+      } else {
+        this.excluded.set(pattern, compilePattern(pattern));
+      }
+    }
+    this.isDefault = false;
+  }
+
+  /**
+   * Whether a message on this topic should be delivered now
+   * (advances the rate counters of matching subscriptions)
+   */
+  accepts(topic) {
+    for (const regex of this.excluded.values()) {
+      if (regex.test(topic)) return false;
+    }
+
+    let deliver = false;
+    const now = Date.now();
+    for (const sub of this.subscriptions.values()) {
+      if (!sub.regex.test(topic)) continue;
+      const due = sub.count % sub.every === 0 && now - sub.lastSent >= sub.interval;
+      sub.count++;
+      if (due) {
+        sub.lastSent = now;
+        deliver = true;
+      }
+    }
+    return deliver;
+  }
+
+  describe() {
+    return {
+      topics: [...this.subscriptions.entries()].map(([topic, sub]) => ({
+        topic,
+        every: sub.every,
+        interval: sub.interval,
+      })),
+      excluded: [...this.excluded.keys()],
+    };
+  }
+
+  _add(topic, every = 1, interval = 0) {
+    this.subscriptions.set(topic, {
+      regex: compilePattern(topic),
+      every,
+      interval,
+      count: 0,
+      lastSent: 0,
+    });
+  }
+}
+
+module.exports = { topicOf, compilePattern, SubscriptionSet };
@@ -0,0 +1,398 @@
+/**
+ * AI Bridge command schemas
+ *
+ * JSON Schema (subset) for every command payload the bridge accepts.
+ * Shared by both ends of the socket:
+ * - AIBridge validates incoming commands before they reach the renderer
+ * - ClawMateConnector validates outgoing commands before sending
+ *
+ * Supported keywords: type (string or array), enum, minimum, maximum,
+ * minLength, maxLength, pattern, properties, required,
+ * additionalProperties (boolean or schema), items, minItems, maxItems.
+ */
+
+// === Reusable fragments ===
+
+const IDENTIFIER = { type: 'string', pattern: '^[a-z][a-z0-9_]{0,31}$' };
+const OPTIONAL_IDENTIFIER = { type: ['string', 'null'], pattern: '^[a-z][a-z0-9_]{0,31}$' };
+const COORD = { type: 'number', minimum: -100000, maximum: 100000 };
+const DURATION = { type: 'number', minimum: 0, maximum: 600000 };
+const SPEECH_TEXT = { type: 'string', minLength: 1, maxLength: 500 };
+const PATTERN_NAME = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,32}$' };
+const COLOR = { type: 'string', maxLength: 32 };
+const UNIT = { type: 'number', minimum: 0, maximum: 1 };
+const EMPTY = { type: 'object' };
+const TOPIC_PATTERN = { type: 'string', maxLength: 64, pattern: '^(\\*|[a-z_]+)(\\.(\\*|[a-z0-9_]+))*$' };
+
+// 16x16 pixel grid of color codes (see renderer/js/character.js)
+const FRAME = {
+  type: 'array', minItems: 16, maxItems: 16,
+  items: {
+    type: 'array', minItems: 16, maxItems: 16,
+    items: { type: 'integer', minimum: 0, maximum: 6 },
+  },
+};
+
+const MOVEMENT_DEFINITION = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: ['waypoints', 'formula', 'sequence'] },
+    waypoints: {
+      type: 'array', maxItems: 100,
+      items: {
+        type: 'object',
+        required: ['x', 'y'],
+        properties: { x: COORD, y: COORD, pause: DURATION },
+      },
+    },
+    formula: {
+      type: 'object',
+      properties: {
+        xAmp: { type: 'number', minimum: 0, maximum: 5000 },
+        yAmp: { type: 'number', minimum: 0, maximum: 5000 },
+        xFreq: { type: 'number', minimum: 0, maximum: 20 },
+        yFreq: { type: 'number', minimum: 0, maximum: 20 },
+        xPhase: { type: 'number' },
+        yPhase: { type: 'number' },
+      },
+    },
+    sequence: { type: 'array', maxItems: 20, items: PATTERN_NAME },
+    duration: DURATION,
+    speed: { type: 'number', minimum: 0, maximum: 50 },
+  },
+};
+
+// === Command registry ===
+
+const COMMAND_SCHEMAS = {
+  // Behavior control
+  action: {
+    type: 'object',
+    required: ['state'],
+    properties: { state: IDENTIFIER, duration: DURATION },
+  },
+  move: {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: { x: COORD, y: COORD, speed: { type: 'number', minimum: 0.1, maximum: 10 } },
+  },
+  emote: {
+    type: 'object',
+    required: ['emotion'],
+    properties: { emotion: IDENTIFIER },
+  },
+
+  // Speech
+  speak: {
+    type: 'object',
+    required: ['text'],
+    properties: { text: SPEECH_TEXT, style: { enum: ['normal', 'thought', 'shout'] } },
+  },
+  think: {
+    type: 'object',
+    required: ['text'],
+    properties: { text: SPEECH_TEXT },
+  },
+
+  // File operations
+  carry_file: {
+    type: 'object',
+    required: ['fileName'],
+    properties: {
+      fileName: { type: 'string', minLength: 1, maxLength: 255 },
+      targetX: COORD,
+    },
+  },
+  drop_file: EMPTY,
+  smart_file_op: {
+    type: 'object',
+    properties: {
+      phase: { enum: ['start', 'pick_up', 'drop', 'complete', 'error'] },
+      fileName: { type: 'string', maxLength: 255 },
+      targetName: { type: 'string', maxLength: 255 },
+      index: { type: 'integer', minimum: 0 },
+      totalFiles: { type: 'integer', minimum: 0 },
+      command: { type: 'object' },
+      fromPlugin: { type: 'boolean' },
+    },
+  },
+
+  // Real file move with carry animation (answered with file_op_result)
+  // source is an alias ('desktop', 'downloads', 'documents'), never a raw path
+  file_op: {
+    type: 'object',
+    required: ['source'],
+    properties: {
+      source: { type: 'string', minLength: 1, maxLength: 64 },
+      filter: { type: 'string', pattern: '^(\\*|\\.[A-Za-z0-9]{1,10})$' },
+      target: { type: 'string', pattern: '^(?!\\.\\.?$)[^/\\\\:*?"<>|]{1,64}$' },
+      autoCategory: { type: 'boolean' },
+      dryRun: { type: 'boolean' },
+    },
+  },
+
+  // Appearance
+  evolve: {
+    type: 'object',
+    required: ['stage'],
+    properties: { stage: { type: 'integer', minimum: 0, maximum: 5 } },
+  },
+  set_mode: {
+    type: 'object',
+    required: ['mode'],
+    properties: { mode: { enum: ['pet', 'incarnation', 'both'] } },
+  },
+  accessorize: {
+    type: 'object',
+    required: ['type'],
+    properties: { type: IDENTIFIER, duration: DURATION },
+  },
+
+  // Spatial movement
+  jump_to: {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: { x: COORD, y: COORD },
+  },
+  rappel: EMPTY,
+  release_thread: EMPTY,
+  move_to_center: EMPTY,
+  walk_on_window: {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+      windowId: { type: ['string', 'number'] },
+      x: COORD,
+      y: COORD,
+    },
+  },
+
+  // Custom movement patterns
+  register_movement: {
+    type: 'object',
+    required: ['name', 'definition'],
+    properties: { name: PATTERN_NAME, definition: MOVEMENT_DEFINITION },
+  },
+  custom_move: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: PATTERN_NAME, params: { type: 'object' } },
+  },
+  stop_custom_move: EMPTY,
+  list_movements: EMPTY,
+
+  // Character customization
+  set_character: {
+    type: 'object',
+    properties: {
+      colorMap: {
+        type: 'object',
+        properties: {
+          primary: COLOR, secondary: COLOR, dark: COLOR,
+          eye: COLOR, pupil: COLOR, claw: COLOR,
+        },
+        additionalProperties: false,
+      },
+      frames: {
+        type: 'object',
+        additionalProperties: { type: 'array', minItems: 1, maxItems: 8, items: FRAME },
+      },
+      speech: SPEECH_TEXT,
+    },
+  },
+  reset_character: EMPTY,
+  set_persona: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 64 },
+      title: { type: 'string', maxLength: 64 },
+      personality: { type: 'string', maxLength: 500 },
+      speakingStyle: { type: 'string', maxLength: 200 },
+      color: {
+        type: ['object', 'null'],
+        properties: { primary: COLOR, secondary: COLOR, eye: COLOR },
+      },
+      playfulness: UNIT,
+      shyness: UNIT,
+      boldness: UNIT,
+      speedMultiplier: { type: 'number', minimum: 0.1, maximum: 5 },
+      idleChatterChance: UNIT,
+      greetings: { type: 'array', maxItems: 20, items: SPEECH_TEXT },
+      catchphrases: { type: 'array', maxItems: 20, items: SPEECH_TEXT },
+    },
+  },
+
+  // Context queries
+  query_state: EMPTY,
+  query_windows: EMPTY,
+  query_screen: EMPTY,
+  query_capabilities: EMPTY,
+
+  // AI decision result
+  ai_decision: {
+    type: 'object',
+    properties: {
+      action: OPTIONAL_IDENTIFIER,
+      emotion: OPTIONAL_IDENTIFIER,
+      speech: { type: ['string', 'null'], maxLength: 500 },
+      reasoning: { type: 'string', maxLength: 2000 },
+      moveTo: {
+        type: 'object',
+        properties: {
+          x: COORD,
+          y: COORD,
+          method: { enum: ['jump', 'rappel', 'center', 'walk'] },
+        },
+      },
+    },
+  },
+
+  // Event subscriptions (see bridge-subscriptions.js)
+  subscribe: {
+    type: 'object',
+    properties: {
+      topics: {
+        type: 'array', maxItems: 50,
+        items: {
+          type: ['string', 'object'],
+          pattern: TOPIC_PATTERN.pattern,
+          maxLength: 64,
+          required: ['topic'],
+          properties: {
+            topic: TOPIC_PATTERN,
+            every: { type: 'integer', minimum: 1, maximum: 1000 },
+            interval: { type: 'integer', minimum: 0, maximum: 3600000 },
+          },
+        },
+      },
+      inlineScreens: { type: 'boolean' },
+    },
+  },
+  unsubscribe: {
+    type: 'object',
+    required: ['topics'],
+    properties: { topics: { type: 'array', minItems: 1, maxItems: 50, items: TOPIC_PATTERN } },
+  },
+  fetch_screen: {
+    type: 'object',
+    required: ['ref'],
+    properties: { ref: { type: 'string', maxLength: 32 } },
+  },
+
+  // Multi-client control
+  list_clients: EMPTY,
+  claim_control: EMPTY,
+  release_control: EMPTY,
+  transfer_control: {
+    type: 'object',
+    required: ['clientId'],
+    properties: { clientId: { type: 'string', maxLength: 32 } },
+  },
+};
+
+// === Validator ===
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate value against schema
+ * @returns {{ path: string, message: string } | null} First failure, or null if valid
+ */
+function validate(schema, value, path = 'payload') {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return { path, message: `must be ${types.join(' or ')}` };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { path, message: `must be one of: ${schema.enum.join(', ')}` };
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return { path, message: `must be >= ${schema.minimum}` };
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return { path, message: `must be <= ${schema.maximum}` };
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return { path, message: `must be at least ${schema.minLength} characters` };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return { path, message: `must be at most ${schema.maxLength} characters` };
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return { path, message: `must match ${schema.pattern}` };
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return { path, message: `must have at least ${schema.minItems} items` };
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return { path, message: `must have at most ${schema.maxItems} items` };
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const err = validate(schema.items, value[i], `${path}[${i}]`);
+        if (err) return err;
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        return { path: `${path}.${key}`, message: 'is required' };
+      }
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      const childPath = `${path}.${key}`;
+      if (props[key]) {
+        const err = validate(props[key], child, childPath);
+        if (err) return err;
+      } else if (schema.additionalProperties === false) {
+        return { path: childPath, message: 'is not allowed' };
+      } else if (typeof schema.additionalProperties === 'object') {
+        const err = validate(schema.additionalProperties, child, childPath);
+        if (err) return err;
+      }
+    }
+  }
+
+  return null;
+}
+
+function isKnownCommand(type) {
+  return Object.prototype.hasOwnProperty.call(COMMAND_SCHEMAS, type);
+}
+
+/**
+ * Validate a bridge command payload
+ * @returns {{ path: string, message: string } | null}
+ */
+function validateCommand(type, payload) {
+  if (!isKnownCommand(type)) return { path: 'type', message: `unknown command: ${type}` };
+  return validate(COMMAND_SCHEMAS[type], payload === undefined ? {} : payload);
+}
+
+module.exports = { COMMAND_SCHEMAS, validate, validateCommand, isKnownCommand };
@@ -0,0 +1,131 @@
+/**
+ * AI Brain cost ledger
+ *
+ * Every API call is appended to an NDJSON file with what it cost and which
+ * feature made it, so the tray can show where the budget goes:
+ *   { t, feature, provider, model, inputTokens, outputTokens, cost, vision }
+ * feature: 'autonomous' | 'trigger:<name>' | 'telegram' | 'telegram_summary'
+ *          | 'character' | 'other'
+ *
+ * Entries older than the retention period are dropped at startup. Only
+ * per-day, per-feature totals are kept in memory; getEntries() and the CSV
+ * export read the file.
+ * Electron-free.
+ */
+const fs = require('fs');
+const { appendEntry, loadEntries } = require('./ndjson-log');
+
+const CSV_COLUMNS = ['t', 'feature', 'provider', 'model', 'inputTokens', 'outputTokens', 'cost', 'vision'];
+const SUMMED_FIELDS = ['calls', 'visionCalls', 'inputTokens', 'outputTokens', 'cost'];
+
+function emptyRow(feature) {
+  return { feature, calls: 0, visionCalls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+class CostLedger {
+  /**
+   * @param {string} filePath - NDJSON file (created on first record)
+   * @param {object} [options] - { retentionDays: default 62, enough for this and last month }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.retentionDays = options.retentionDays || 62;
+    this.days = new Map();  // 'YYYY-MM-DD' (UTC) -> Map(feature -> totals row)
+    for (const entry of loadEntries(filePath, this.retentionDays)) this._add(entry);
+  }
+
+  /**
+   * @param {object} call - { feature, provider, model, inputTokens, outputTokens, cost, vision }
+   */
+  record(call) {
+    const entry = {
+      t: new Date().toISOString(),
+      feature: call.feature || 'other',
+      provider: call.provider || '',
+      model: call.model || '',
+      inputTokens: call.inputTokens || 0,
+      outputTokens: call.outputTokens || 0,
+      cost: call.cost || 0,
+      vision: !!call.vision,
+    };
+    this._add(entry);
+    try {
+      appendEntry(this.filePath, entry);
+    } catch (err) {
+      console.error('[Cost Ledger] Write failed:', err.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Entries read back from the file
+   * @param {Date|number} [since] - Only entries at or after this time
+   */
+  getEntries(since = 0) {
+    const from = new Date(since).getTime();
+    return loadEntries(this.filePath, this.retentionDays).filter(e => Date.parse(e.t) >= from);
+  }
+
+  /**
+   * Totals per feature, most expensive first
+   * @param {Date|number} [since] - Counted in whole UTC days from the day it falls on
+   *   (startOfToday/startOfMonth are day boundaries)
+   * @returns {Array<{ feature, calls, visionCalls, inputTokens, outputTokens, cost }>}
+   */
+  breakdown(since = 0) {
+    const fromDay = new Date(since).toISOString().slice(0, 10);
+    const byFeature = new Map();
+    for (const [day, features] of this.days) {
+      if (day < fromDay) continue;
+      for (const dayRow of features.values()) {
+        const row = byFeature.get(dayRow.feature) || emptyRow(dayRow.feature);
+        for (const key of SUMMED_FIELDS) row[key] += dayRow[key];
+        byFeature.set(dayRow.feature, row);
+      }
+    }
+    return [...byFeature.values()].sort((a, b) => b.cost - a.cost);
+  }
+
+  toCSV(since = 0) {
+    const rows = this.getEntries(since).map(entry => CSV_COLUMNS.map((column) => {
+      const value = column === 'cost' ? entry.cost.toFixed(6) : String(entry[column]);
+      return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  exportCSV(targetPath, since = 0) {
+    fs.writeFileSync(targetPath, this.toCSV(since));
+  }
+
+  /** Add an entry to its day's totals, dropping days past the retention period */
+  _add(entry) {
+    const day = entry.t.slice(0, 10);
+    if (!this.days.has(day)) {
+      this.days.set(day, new Map());
+      const cutoff = new Date(Date.now() - this.retentionDays * 86400000).toISOString().slice(0, 10);
+      for (const key of this.days.keys()) {
+        if (key < cutoff) this.days.delete(key);
+      }
+    }
+    const features = this.days.get(day);
+    const row = features.get(entry.feature) || emptyRow(entry.feature);
+    row.calls++;
+    if (entry.vision) row.visionCalls++;
+    row.inputTokens += entry.inputTokens || 0;
+    row.outputTokens += entry.outputTokens || 0;
+    row.cost += entry.cost || 0;
+    features.set(entry.feature, row);
+  }
+}
+
+/** Start of today / this month -- UTC, the same boundaries as AIConfig's todayCost/monthCost */
+function startOfToday() {
+  return new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+}
+
+function startOfMonth() {
+  return new Date(`${new Date().toISOString().slice(0, 7)}-01T00:00:00Z`);
+}
+
+module.exports = { CostLedger, startOfToday, startOfMonth };
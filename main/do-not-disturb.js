@@ -0,0 +1,200 @@
+/**
+ * Do Not Disturb: when the pet should keep quiet
+ *
+ * DND is on while any of these holds (first match is the reason):
+ *   snooze       - manual, for 30 min / 1 h / until tomorrow
+ *   quiet_hours  - daily schedule, e.g. 23:00-07:00 (may span midnight)
+ *   fullscreen   - the active window covers its display (presentations, video, games)
+ *   meeting      - the active window is in the 'meeting' category
+ * fullscreen/meeting are reported by ProactiveMonitor and can be switched off.
+ *
+ * Proactive events, autonomous thoughts, renderer time greetings/chatter and
+ * Telegram broadcasts all check allows()/isActive(). HIGH-importance triggers
+ * on the allowlist still get through.
+ *
+ * Settings are made in the tray's Do Not Disturb menu and persist through a
+ * Store-like { get, set } object. Emits 'change' with getStatus() whenever
+ * DND turns on/off or its reason changes.
+ * Electron-free.
+ */
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+  quietHours: { enabled: false, start: '23:00', end: '07:00' },
+  autoFullscreen: true,
+  autoMeeting: true,
+  allowlist: ['error_loop', 'checkout_detected'],
+  snoozeUntil: 0,
+};
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(hhmm) {
+  const [, h, m] = hhmm.match(TIME_PATTERN);
+  return Number(h) * 60 + Number(m);
+}
+
+/**
+ * @param {{ start: string, end: string }} hours - "HH:MM"; start > end spans midnight
+ */
+function inQuietHours(hours, date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+class DoNotDisturb extends EventEmitter {
+  /**
+   * @param {object} [options] - { store: { get(key), set(key, value) } }
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || null;
+    this.settings = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      const saved = this.store?.get(key);
+      if (saved !== undefined) this.settings[key] = saved;
+    }
+    this._auto = { fullscreen: false, meeting: false };
+    this._lastReason = this.getReason();
+
+    // Quiet hours and snoozes end on their own -- re-check every 30s
+    this._timer = setInterval(() => this._check(), 30000);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  /**
+   * @returns {'snooze'|'quiet_hours'|'fullscreen'|'meeting'|null}
+   */
+  getReason(now = new Date()) {
+    const { snoozeUntil, quietHours, autoFullscreen, autoMeeting } = this.settings;
+    if (snoozeUntil > now.getTime()) return 'snooze';
+    if (quietHours.enabled && inQuietHours(quietHours, now)) return 'quiet_hours';
+    if (autoFullscreen && this._auto.fullscreen) return 'fullscreen';
+    if (autoMeeting && this._auto.meeting) return 'meeting';
+    return null;
+  }
+
+  isActive() {
+    return this.getReason() !== null;
+  }
+
+  /**
+   * May this trigger interrupt the user right now?
+   * @param {string} trigger
+   * @param {'high'|'medium'|'low'} importance
+   */
+  allows(trigger, importance) {
+    if (!this.isActive()) return true;
+    return importance === 'high' && this.settings.allowlist.includes(trigger);
+  }
+
+  getStatus() {
+    const reason = this.getReason();
+    return {
+      active: reason !== null,
+      reason,
+      snoozeUntil: this.settings.snoozeUntil > Date.now() ? this.settings.snoozeUntil : null,
+      quietHours: { ...this.settings.quietHours },
+      autoFullscreen: this.settings.autoFullscreen,
+      autoMeeting: this.settings.autoMeeting,
+      allowlist: [...this.settings.allowlist],
+    };
+  }
+
+  // === Snooze ===
+
+  /**
+   * @param {number|'tomorrow'} duration - Minutes, or 'tomorrow' (next day at the quiet-hours end time)
+   */
+  snooze(duration) {
+    let until;
+    if (duration === 'tomorrow') {
+      const [h, m] = this.settings.quietHours.end.split(':').map(Number);
+      const date = new Date();
+      date.setDate(date.getDate() + 1);
+      date.setHours(h, m, 0, 0);
+      until = date.getTime();
+    } else if (Number.isFinite(duration) && duration > 0) {
+      until = Date.now() + duration * 60000;
+    } else {
+      return false;
+    }
+    console.log(`[DND] Snoozed until ${new Date(until).toLocaleString()}`);
+    this._set('snoozeUntil', until);
+    return true;
+  }
+
+  cancelSnooze() {
+    this._set('snoozeUntil', 0);
+  }
+
+  // === Settings ===
+
+  /**
+   * Validate and apply one setting (quietHours, autoFullscreen, autoMeeting, allowlist)
+   * @returns {boolean} Applied
+   */
+  update(key, value) {
+    switch (key) {
+      case 'quietHours': {
+        const hours = { ...this.settings.quietHours, ...value };
+        if (typeof hours.enabled !== 'boolean' || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end)) {
+          return false;
+        }
+        this._set(key, { enabled: hours.enabled, start: hours.start, end: hours.end });
+        return true;
+      }
+      case 'autoFullscreen':
+      case 'autoMeeting':
+        if (typeof value !== 'boolean') return false;
+        this._set(key, value);
+        return true;
+      case 'allowlist':
+        if (!Array.isArray(value) || !value.every(t => typeof t === 'string')) return false;
+        this._set(key, [...new Set(value)]);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // === Auto DND (reported by ProactiveMonitor) ===
+
+  setFullscreen(fullscreen) {
+    if (this._auto.fullscreen === !!fullscreen) return;
+    this._auto.fullscreen = !!fullscreen;
+    this._check();
+  }
+
+  setMeeting(meeting) {
+    if (this._auto.meeting === !!meeting) return;
+    this._auto.meeting = !!meeting;
+    this._check();
+  }
+
+  destroy() {
+    clearInterval(this._timer);
+  }
+
+  _set(key, value) {
+    this.settings[key] = value;
+    if (this.store) this.store.set(key, value);
+    this._check(true);
+  }
+
+  _check(force = false) {
+    const reason = this.getReason();
+    if (!force && reason === this._lastReason) return;
+    if (reason !== this._lastReason) {
+      console.log(`[DND] ${reason ? `On (${reason})` : 'Off'}`);
+    }
+    this._lastReason = reason;
+    this.emit('change', this.getStatus());
+  }
+}
+
+module.exports = { DoNotDisturb, inQuietHours };
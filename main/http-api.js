@@ -0,0 +1,304 @@
+/**
+ * Local HTTP API
+ *
+ * Loopback REST facade over AIBridge for scripts, cron jobs and shell tools
+ * that don't want to hold a WebSocket open:
+ *   curl -X POST http://127.0.0.1:9321/speak \
+ *        -H "Authorization: Bearer $(cat <userData>/bridge-token)" \
+ *        -d '{"text":"Build finished!"}'
+ *
+ * Commands run through AIBridge.dispatch(), so they get the same schema
+ * validation and the same handlers startAIBridge wires up (renderer
+ * forwarding, window list, screen capture, file ops) as WebSocket clients.
+ *
+ * Commands that drive the pet answer 409 not_owner while a WebSocket brain
+ * (e.g. the OpenClaw plugin) holds control, so a script never talks over it;
+ * queries always work.
+ *
+ * Auth: the bridge token (see bridge-auth.js) as `Authorization: Bearer`.
+ * Requests from browsers (Origin header) or with a non-loopback Host
+ * (DNS rebinding) are refused. GET /openapi.json needs no token.
+ *
+ * Off by default; enabled from the tray ('Local HTTP API'). Emits 'change'
+ * when it starts listening, fails to (lastError) or stops.
+ */
+const http = require('http');
+const EventEmitter = require('events');
+const { tokensMatch, isBrowserRequest } = require('./bridge-auth');
+const { COMMAND_SCHEMAS } = require('./command-schemas');
+const { version: APP_VERSION } = require('../package.json');
+
+const DEFAULT_PORT = 9321;
+const MAX_BODY = 1024 * 1024;
+const FILE_OP_TIMEOUT = 5 * 60 * 1000;  // Each file takes a few seconds of animation
+
+// Bridge error codes -> HTTP status
+const ERROR_STATUS = {
+  invalid_payload: 400,
+  forbidden: 403,
+  not_owner: 409,
+  busy: 409,
+  timeout: 504,
+};
+
+// Convenience routes mapped onto bridge commands; everything else via POST /commands/{type}
+const COMMAND_ROUTES = [
+  { method: 'POST', path: '/speak', command: 'speak', summary: 'Show a speech bubble' },
+  { method: 'POST', path: '/think', command: 'think', summary: 'Show a thought bubble' },
+  { method: 'POST', path: '/action', command: 'action', summary: 'Switch pet behavior state' },
+  { method: 'POST', path: '/emote', command: 'emote', summary: 'Express an emotion' },
+  { method: 'POST', path: '/move', command: 'move', summary: 'Move to a screen position' },
+  { method: 'GET', path: '/state', command: 'query_state', summary: 'Current pet state' },
+  { method: 'GET', path: '/windows', command: 'query_windows', summary: 'Open window positions' },
+  { method: 'POST', path: '/file-ops', command: 'file_op', timeout: FILE_OP_TIMEOUT,
+    summary: 'Move files with the carry animation; dryRun lists the moves without touching files' },
+];
+
+class LocalHttpApi extends EventEmitter {
+  /**
+   * @param {AIBridge} bridge
+   * @param {object} [options]
+   *   - port: Listen port (default 9321)
+   */
+  constructor(bridge, options = {}) {
+    super();
+    this.bridge = bridge;
+    this.port = options.port || DEFAULT_PORT;
+    this.server = null;
+    this.lastError = null;
+  }
+
+  start() {
+    if (this.server) return;
+    const server = http.createServer((req, res) => {
+      this._handle(req, res).catch((err) => {
+        console.error('[HTTP API] Request failed:', err);
+        this._json(res, 500, { error: 'internal_error', message: err.message });
+      });
+    });
+    server.on('error', (err) => {
+      console.error('[HTTP API] Server error:', err.message);
+      // Failed to listen (e.g. EADDRINUSE): not running
+      if (!server.listening && this.server === server) {
+        this.server = null;
+        this.lastError = err.code || err.message;
+        this.emit('change');
+      }
+    });
+    server.listen(this.port, '127.0.0.1', () => {
+      console.log(`[HTTP API] Listening on http://127.0.0.1:${this.port}`);
+      this.lastError = null;
+      this.emit('change');
+    });
+    this.server = server;
+  }
+
+  stop() {
+    if (!this.server) return;
+    this.server.close();
+    this.server = null;
+    this.emit('change');
+  }
+
+  isRunning() {
+    return !!this.server;
+  }
+
+  async _handle(req, res) {
+    if (isBrowserRequest(req) || !this._isLoopbackHost(req.headers.host)) {
+      this._json(res, 403, { error: 'forbidden', message: 'Browser and non-loopback requests are not allowed' });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://127.0.0.1');
+
+    if (req.method === 'GET' && pathname === '/openapi.json') {
+      this._json(res, 200, this.getOpenApiDocument());
+      return;
+    }
+
+    const auth = req.headers.authorization || '';
+    if (!tokensMatch(this.bridge.token, auth.replace(/^Bearer\s+/i, ''))) {
+      this._json(res, 401, { error: 'unauthorized', message: 'Missing or invalid bearer token' });
+      return;
+    }
+
+    let body = {};
+    if (req.method === 'POST') {
+      try {
+        body = await this._readJson(req);
+      } catch (err) {
+        if (err.tooLarge) {
+          // The rest of the upload is skipped, so don't keep the connection
+          this._json(res, 413, { error: 'body_too_large', message: err.message }, { Connection: 'close' });
+        } else {
+          this._json(res, 400, { error: 'invalid_body', message: err.message });
+        }
+        return;
+      }
+    }
+
+    const route = COMMAND_ROUTES.find(r => r.method === req.method && r.path === pathname);
+    if (route) {
+      await this._runCommand(res, route.command, body, route.timeout);
+      return;
+    }
+
+    const generic = /^\/commands\/([a-z_]+)$/.exec(pathname);
+    if (req.method === 'POST' && generic) {
+      await this._runCommand(res, generic[1], body);
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/screen') {
+      await this._getScreen(res);
+      return;
+    }
+
+    this._json(res, 404, { error: 'not_found', message: `${req.method} ${pathname}` });
+  }
+
+  async _runCommand(res, command, payload, timeout) {
+    const reply = await this.bridge.dispatch(command, payload, timeout);
+    if (reply.type === 'ack') {
+      this._json(res, 200, { ok: true, command });
+      return;
+    }
+    this._json(res, this._statusFor(reply), reply.payload);
+  }
+
+  /** Screenshot as JPEG (same capture handler as the bridge's query_screen) */
+  async _getScreen(res) {
+    const reply = await this.bridge.dispatch('query_screen', {}, 15000);
+    if (reply.type !== 'screen_capture') {
+      this._json(res, this._statusFor(reply), reply.payload);
+      return;
+    }
+    const image = Buffer.from(reply.payload.image, 'base64');
+    res.writeHead(200, {
+      'Content-Type': 'image/jpeg',
+      'Content-Length': image.length,
+      'X-Image-Width': reply.payload.width,
+      'X-Image-Height': reply.payload.height,
+    });
+    res.end(image);
+  }
+
+  _statusFor(reply) {
+    if (reply.type === 'unknown_command') return 404;
+    if (reply.type !== 'error') return 200;
+    return ERROR_STATUS[reply.payload?.code] || 500;
+  }
+
+  _isLoopbackHost(host) {
+    if (!host) return false;
+    return [`127.0.0.1:${this.port}`, `localhost:${this.port}`, `[::1]:${this.port}`].includes(host.toLowerCase());
+  }
+
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+          // Stop collecting but keep the socket, so the 413 still reaches the client
+          req.removeAllListeners('data');
+          req.resume();
+          reject(Object.assign(new Error(`Body larger than ${MAX_BODY} bytes`), { tooLarge: true }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf-8').trim();
+        if (!text) return resolve({});
+        try {
+          resolve(JSON.parse(text));
+        } catch {
+          reject(new Error('Invalid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _json(res, status, data, headers = {}) {
+    if (res.headersSent) return;
+    const body = JSON.stringify(data);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(body);
+  }
+
+  /**
+   * OpenAPI 3.1 description of this server
+   * Request bodies reuse the bridge command schemas (command-schemas.js).
+   */
+  getOpenApiDocument() {
+    const errorResponse = { description: 'Error', content: { 'application/json': { schema: { type: 'object' } } } };
+    const notOwnerResponse = {
+      ...errorResponse,
+      description: 'not_owner: a WebSocket brain holds control of the pet; retry once it releases it (queries are unaffected)',
+    };
+    const tooLargeResponse = { ...errorResponse, description: `body_too_large: request body over ${MAX_BODY} bytes` };
+    const paths = {};
+    const addPath = (path, method, op) => {
+      paths[path] = paths[path] || {};
+      paths[path][method] = { security: [{ bearer: [] }], ...op };
+    };
+
+    for (const route of COMMAND_ROUTES) {
+      const op = {
+        operationId: route.command,
+        summary: route.summary,
+        responses: {
+          200: { description: 'Ack or query result', content: { 'application/json': { schema: { type: 'object' } } } },
+          400: errorResponse,
+          401: errorResponse,
+        },
+      };
+      if (route.method === 'POST') {
+        op.requestBody = { required: true, content: { 'application/json': { schema: COMMAND_SCHEMAS[route.command] } } };
+        Object.assign(op.responses, { 409: notOwnerResponse, 413: tooLargeResponse });
+      }
+      addPath(route.path, route.method.toLowerCase(), op);
+    }
+
+    addPath('/commands/{type}', 'post', {
+      operationId: 'command',
+      summary: 'Run any bridge command (see capabilities.commands)',
+      parameters: [{ name: 'type', in: 'path', required: true, schema: { enum: Object.keys(COMMAND_SCHEMAS) } }],
+      requestBody: { content: { 'application/json': { schema: { type: 'object' } } } },
+      responses: {
+        200: { description: 'Ack or query result' },
+        400: errorResponse,
+        404: errorResponse,
+        409: notOwnerResponse,
+        413: tooLargeResponse,
+      },
+    });
+
+    addPath('/screen', 'get', {
+      operationId: 'screen',
+      summary: 'Screenshot of the primary display',
+      responses: {
+        200: { description: 'JPEG image', content: { 'image/jpeg': { schema: { type: 'string', format: 'binary' } } } },
+        500: errorResponse,
+      },
+    });
+
+    paths['/openapi.json'] = {
+      get: { operationId: 'openapi', summary: 'This document', responses: { 200: { description: 'OpenAPI document' } } },
+    };
+
+    return {
+      openapi: '3.1.0',
+      info: { title: 'ClawMate Local API', version: APP_VERSION },
+      servers: [{ url: `http://127.0.0.1:${this.port}` }],
+      components: { securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } } },
+      paths,
+    };
+  }
+}
+
+module.exports = { LocalHttpApi };
@@ -1,14 +1,26 @@
-const { app, BrowserWindow, screen, desktopCapturer } = require('electron');
+const { app, BrowserWindow, screen } = require('electron');
 const path = require('path');
 const { setupTray } = require('./tray');
 const { registerIpcHandlers } = require('./ipc-handlers');
 const { AIBridge } = require('./ai-bridge');
+const { loadOrCreateToken } = require('./bridge-auth');
 const { TelegramBot } = require('./telegram');
 const { ProactiveMonitor } = require('./proactive-monitor');
 const { AIConfig } = require('./ai-config');
 const { AIMemory } = require('./ai-memory');
 const { AIBrain } = require('./ai-brain');
 const { AIBrainTriggers } = require('./ai-brain-triggers');
+const { PromptPacks } = require('./prompt-packs');
+const { CostLedger } = require('./cost-ledger');
+const { ResponseCache } = require('./response-cache');
+const { TriggerRules } = require('./trigger-rules');
+const { DetectorRegistry } = require('./pattern-detectors');
+const { DoNotDisturb } = require('./do-not-disturb');
+const { PrivacyFilter } = require('./privacy-filter');
+const { ScreenCapture } = require('./screen-capture');
+const Store = require('./store');
+const { format } = require('./prompt-locale');
+const { LocalHttpApi } = require('./http-api');
 
 let mainWindow = null;
 let launcherWindow = null;
@@ -19,6 +31,14 @@ let aiConfig = null;
 let aiMemory = null;
 let aiBrain = null;
 let aiBrainTriggers = null;
+let promptPacks = null;
+let triggerRules = null;
+let detectors = null;
+let dnd = null;
+let privacy = null;
+let screenCapture = null;
+let costLedger = null;
+let httpApi = null;
 
 function createMainWindow() {
   const { width, height } = screen.getPrimaryDisplay().workAreaSize;
@@ -82,7 +102,13 @@ function createLauncherWindow() {
  * Start AI Bridge -- AI agent connects to control the pet
  */
 function startAIBridge(win) {
-  aiBridge = new AIBridge();
+  aiBridge = new AIBridge({
+    token: loadOrCreateToken(app.getPath('userData')),
+    recordingsDir: path.join(app.getPath('userData'), 'sessions'),
+    privacy,
+    getMemory: () => aiMemory.getSnapshot(),
+  });
+  if (process.env.CLAWMATE_RECORD_SESSION) aiBridge.startRecording();
   aiBridge.start();
 
   // Forward AI -> ClawMate commands to renderer
@@ -103,47 +129,77 @@ function startAIBridge(win) {
   ];
 
   commandTypes.forEach((type) => {
-    aiBridge.on(type, (payload) => {
+    aiBridge.on(type, (payload, request) => {
       if (win && !win.isDestroyed()) {
-        win.webContents.send('ai-command', { type, payload });
+        // Request ref travels with the command so the renderer can answer it (list_movements)
+        win.webContents.send('ai-command', { type, payload, requestRef: request?.ref });
       }
     });
   });
 
   // Handle AI window position info request
-  aiBridge.on('query_windows', async () => {
+  aiBridge.on('query_windows', async (payload, request) => {
     try {
       const { getWindowPositions } = require('./platform');
       const windows = await getWindowPositions();
-      aiBridge.send('window_positions', { windows });
+      aiBridge.reply(request, 'window_positions', { windows });
     } catch (err) {
       console.error('[AI Bridge] Window list failed:', err.message);
-      aiBridge.send('window_positions', { windows: [] });
+      aiBridge.reply(request, 'window_positions', { windows: [] });
     }
   });
 
   // Handle AI screen capture request (captured directly in main process)
-  aiBridge.on('query_screen', async () => {
+  aiBridge.on('query_screen', async (payload, request) => {
+    const capture = await screenCapture.capture({
+      purpose: 'query_screen',
+      destination: 'bridge',
+      maxWidth: 1280,
+      maxHeight: 720,
+      quality: 50,
+    });
+    if (capture) {
+      aiBridge.reportScreenCapture(capture.image, capture.width, capture.height, request);
+    } else {
+      // Blocked by a capture policy or failed -- the audit log has the reason
+      aiBridge.reply(request, 'error', { command: 'query_screen', message: 'Screen capture unavailable' });
+    }
+  });
+
+  // Handle file move / dry-run preview (also used by the HTTP API's /file-ops)
+  let fileOpInProgress = false;
+  aiBridge.on('file_op', async (payload, request) => {
+    const { resolveSource } = require('./file-command-parser');
+    const { planSmartFileOp, executeSmartFileOp, createAnimationCallbacks } = require('./smart-file-ops');
+
+    const source = resolveSource(payload.source);
+    if (!source) {
+      aiBridge.reply(request, 'error', { command: 'file_op', code: 'invalid_payload', path: 'payload.source', message: `Unknown source: ${payload.source}` });
+      return;
+    }
+    if (!payload.autoCategory && !payload.target) {
+      aiBridge.reply(request, 'error', { command: 'file_op', code: 'invalid_payload', path: 'payload.target', message: 'payload.target is required unless autoCategory is set' });
+      return;
+    }
+    const command = { source, filter: payload.filter || '*', target: payload.target, autoCategory: !!payload.autoCategory };
+
+    if (payload.dryRun) {
+      aiBridge.reply(request, 'file_op_result', { dryRun: true, ...planSmartFileOp(command) });
+      return;
+    }
+    if (fileOpInProgress) {
+      aiBridge.reply(request, 'error', { command: 'file_op', code: 'busy', message: 'A file operation is already running' });
+      return;
+    }
+
+    fileOpInProgress = true;
     try {
-      const primaryDisplay = screen.getPrimaryDisplay();
-      const { width, height } = primaryDisplay.size;
-
-      const sources = await desktopCapturer.getSources({
-        types: ['screen'],
-        thumbnailSize: { width: Math.min(width, 1280), height: Math.min(height, 720) }
-      });
-
-      if (sources.length > 0) {
-        const thumbnail = sources[0].thumbnail;
-        const jpegBuffer = thumbnail.toJPEG(50);
-        aiBridge.reportScreenCapture(
-          jpegBuffer.toString('base64'),
-          thumbnail.getSize().width,
-          thumbnail.getSize().height
-        );
-      }
+      const result = await executeSmartFileOp(command, createAnimationCallbacks(() => win));
+      aiBridge.reply(request, 'file_op_result', { dryRun: false, ...result });
     } catch (err) {
-      console.error('[AI Bridge] Screen capture failed:', err.message);
+      aiBridge.reply(request, 'error', { command: 'file_op', message: err.message });
+    } finally {
+      fileOpInProgress = false;
     }
   });
 
@@ -166,40 +222,83 @@ function startAIBridge(win) {
 app.whenReady().then(() => {
   // AI Brain initialization
   aiConfig = new AIConfig();
-  aiMemory = new AIMemory();
+  aiMemory = new AIMemory({ getLanguage: () => aiConfig.getLanguage() });
   aiBrain = new AIBrain(aiConfig, aiMemory);
+  costLedger = new CostLedger(path.join(app.getPath('userData'), 'cost-ledger.ndjson'));
+  aiBrain.setCostLedger(costLedger);
+  aiBrain.setResponseCache(new ResponseCache({
+    store: new Store('clawmate-ai-cache', { entries: {}, stats: {} }),
+  }));
+
+  // Do Not Disturb: quiet hours, snooze, fullscreen/meeting auto-DND
+  dnd = new DoNotDisturb({ store: new Store('clawmate-dnd') });
+  aiBrain.setDoNotDisturb(dnd);
+
+  // Secret redaction for clipboard text / window titles sent to the AI
+  privacy = new PrivacyFilter({ store: new Store('clawmate-privacy') });
+
+  // Screenshot policies (exclusions, masks, never/local-only) + audit log
+  screenCapture = new ScreenCapture({
+    store: new Store('clawmate-screen-capture'),
+    auditPath: path.join(app.getPath('userData'), 'capture-audit.ndjson'),
+    privacy,
+  });
 
-  registerIpcHandlers(() => mainWindow, () => aiBridge, () => proactiveMonitor, aiConfig, aiBrain);
+  // User-defined site categories / trigger settings (hot reloaded)
+  triggerRules = new TriggerRules(path.join(app.getPath('userData'), 'trigger-rules.json')).load();
+  triggerRules.watch();
+
+  // Pattern detectors: built-ins + opt-in plugins from userData/detectors
+  detectors = new DetectorRegistry({
+    store: new Store('clawmate-detectors', { detectors: {} }),
+    pluginDir: path.join(app.getPath('userData'), 'detectors'),
+  }).loadPlugins();
+
+  registerIpcHandlers({
+    getMainWindow: () => mainWindow,
+    getAIBridge: () => aiBridge,
+    getProactiveMonitor: () => proactiveMonitor,
+    aiConfig, aiBrain, dnd, privacy, screenCapture,
+  });
   const win = createMainWindow();
   const bridge = startAIBridge(win);
 
+  // Renderer-side quiet (time greetings, idle chatter, browsing comments)
+  dnd.on('change', (status) => {
+    if (win && !win.isDestroyed()) win.webContents.send('dnd-changed', status);
+  });
+
   // AI Brain Triggers (needs mainWindow)
   aiBrainTriggers = new AIBrainTriggers(aiBrain, aiMemory, win);
+  aiBrainTriggers.setTriggerRules(triggerRules);
 
   // Connect screen capture to AI Brain
-  aiBrain.setCaptureScreen(async () => {
+  aiBrain.setCaptureScreen(() => screenCapture.capture({
+    purpose: 'autonomous',
+    destination: 'brain',
+    local: aiBrain.isLocal(),
+  }));
+
+  // Tool calls from AI Brain run through the bridge handlers like any agent command
+  aiBrain.setCommandDispatcher((type, payload) => bridge.dispatch(type, payload));
+
+  // User-editable prompt packs (hot reloaded)
+  promptPacks = new PromptPacks(path.join(app.getPath('userData'), 'prompt-packs')).load();
+  promptPacks.watch();
+  aiBrain.setPromptPacks(promptPacks);
+
+  // The persona the pet displays in incarnation mode is kept as the 'incarnation'
+  // pack, so the brain can talk like it after the bot disconnects
+  bridge.on('set_persona', (payload) => {
     try {
-      const primaryDisplay = screen.getPrimaryDisplay();
-      const { width, height } = primaryDisplay.size;
-      const sources = await desktopCapturer.getSources({
-        types: ['screen'],
-        thumbnailSize: { width: Math.min(width, 960), height: Math.min(height, 540) },
-      });
-      if (sources.length > 0) {
-        const thumbnail = sources[0].thumbnail;
-        const jpegBuffer = thumbnail.toJPEG(40);
-        return {
-          image: jpegBuffer.toString('base64'),
-          width: thumbnail.getSize().width,
-          height: thumbnail.getSize().height,
-        };
-      }
-      return null;
-    } catch { return null; }
+      promptPacks.importPersona(payload, { id: 'incarnation' });
+    } catch (err) {
+      console.warn('[Prompt Packs] Persona import failed:', err.message);
+    }
   });
 
   // AI Brain events → renderer (same 'ai-command' channel as AIBridge)
-  ['speak', 'think', 'action', 'emote', 'move'].forEach(type => {
+  ['speak', 'speak_stream', 'think', 'action', 'emote', 'move'].forEach(type => {
     aiBrain.on(type, (payload) => {
       if (win && !win.isDestroyed()) {
         win.webContents.send('ai-command', { type, payload });
@@ -211,15 +310,43 @@ app.whenReady().then(() => {
   bridge.on('connected', () => { aiBrain.setOpenClawConnected(true); });
   bridge.on('disconnected', () => { aiBrain.setOpenClawConnected(false); });
 
-  setupTray(win, bridge, () => proactiveMonitor, aiConfig);
+  // Optional loopback HTTP API (shares the bridge token and handlers)
+  const configStore = new Store('clawmate-config', { proactiveEnabled: true, httpApiEnabled: false });
+  httpApi = new LocalHttpApi(bridge);
+  if (configStore.get('httpApiEnabled')) httpApi.start();
+
+  setupTray({
+    mainWindow: win,
+    bridge,
+    getProactiveMonitor: () => proactiveMonitor,
+    getHttpApi: () => httpApi,
+    aiConfig, aiBrain, promptPacks, costLedger, triggerRules, detectors, dnd, privacy, screenCapture,
+  });
 
   // Initialize Telegram bot with AI Brain
-  telegramBot = new TelegramBot(bridge, { aiBrain });
+  telegramBot = new TelegramBot(bridge, { aiBrain, dnd });
+
+  // Budget threshold alerts: pet bubble + Telegram
+  aiBrain.on('budget_alert', (alert) => {
+    const locale = aiBrain.getLocale();
+    const text = format(alert.period === 'daily' ? locale.budgetAlertDaily : locale.budgetAlertMonthly, {
+      threshold: alert.threshold,
+      used: alert.used.toFixed(2),
+      limit: alert.limit.toFixed(2),
+    });
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('ai-command', { type: 'speak', payload: { text } });
+    }
+    telegramBot.notify(text);
+  });
 
   // Initialize Proactive Monitor with Brain Triggers
-  const Store = require('./store');
-  const configStore = new Store('clawmate-config', { proactiveEnabled: true });
   proactiveMonitor = new ProactiveMonitor();
+  proactiveMonitor.setTriggerRules(triggerRules);
+  proactiveMonitor.setDetectors(detectors);
+  proactiveMonitor.setDoNotDisturb(dnd);
+  proactiveMonitor.setPrivacyFilter(privacy);
+  proactiveMonitor.setScreenCapture(screenCapture);
   if (configStore.get('proactiveEnabled') !== false) {
     proactiveMonitor.start(win, bridge, aiBrainTriggers);
   }
@@ -243,8 +370,12 @@ app.on('before-quit', () => {
   if (aiMemory) aiMemory.destroy();
   if (aiBrain) aiBrain.destroy();
   if (aiBrainTriggers) aiBrainTriggers.destroy();
+  if (promptPacks) promptPacks.close();
+  if (triggerRules) triggerRules.close();
+  if (dnd) dnd.destroy();
   if (proactiveMonitor) proactiveMonitor.stop();
   if (telegramBot) telegramBot.stop();
+  if (httpApi) httpApi.stop();
   if (aiBridge) aiBridge.stop();
 });
 
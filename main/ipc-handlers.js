@@ -1,6 +1,8 @@
-const { ipcMain, screen, desktopCapturer } = require('electron');
+const { ipcMain, screen } = require('electron');
 const { getDesktopFiles, moveFile, undoFileMove, undoAllMoves, getFileManifest } = require('./file-ops');
-const { executeSmartFileOp, undoSmartMove, undoAllSmartMoves, listFilteredFiles } = require('./smart-file-ops');
+const {
+  executeSmartFileOp, createAnimationCallbacks, undoSmartMove, undoAllSmartMoves, listFilteredFiles,
+} = require('./smart-file-ops');
 const { parseMessage } = require('./file-command-parser');
 const Store = require('./store');
 
@@ -17,7 +19,16 @@ const memoryStore = new Store('clawmate-memory', {
   milestones: [],
 });
 
-function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, aiConfig = null, aiBrain = null) {
+/**
+ * @param {object} options
+ *   - getMainWindow, getAIBridge, getProactiveMonitor: getters for objects replaced at runtime
+ *   - aiConfig, aiBrain, dnd, privacy, screenCapture: optional -- their handlers
+ *     answer with defaults without them
+ */
+function registerIpcHandlers({
+  getMainWindow, getAIBridge, getProactiveMonitor, aiConfig = null, aiBrain = null,
+  dnd = null, privacy = null, screenCapture = null,
+}) {
   // Click-through control
   ipcMain.on('set-click-through', (event, ignore) => {
     const win = getMainWindow();
@@ -66,31 +77,17 @@ function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, ai
 
   // Screen capture
   ipcMain.handle('capture-screen', async () => {
-    try {
-      const primaryDisplay = screen.getPrimaryDisplay();
-      const { width, height } = primaryDisplay.size;
-
-      const sources = await desktopCapturer.getSources({
-        types: ['screen'],
-        thumbnailSize: { width: Math.min(width, 1920), height: Math.min(height, 1080) }
-      });
-
-      if (sources.length > 0) {
-        // Convert NativeImage to base64 JPEG (size optimized)
-        const thumbnail = sources[0].thumbnail;
-        const jpegBuffer = thumbnail.toJPEG(60);
-        return {
-          success: true,
-          image: jpegBuffer.toString('base64'),
-          width: thumbnail.getSize().width,
-          height: thumbnail.getSize().height,
-          timestamp: Date.now()
-        };
-      }
-      return { success: false, error: 'No screen source found' };
-    } catch (err) {
-      return { success: false, error: err.message };
-    }
+    if (!screenCapture) return { success: false, error: 'Screen capture unavailable' };
+    // Browsing reports forward this to the AI bridge
+    const capture = await screenCapture.capture({
+      purpose: 'browsing',
+      destination: 'renderer',
+      maxWidth: 1920,
+      maxHeight: 1080,
+      quality: 60,
+    });
+    if (!capture) return { success: false, error: 'Blocked by capture policy or failed' };
+    return { success: true, ...capture, timestamp: Date.now() };
   });
 
   // === AI Communication ===
@@ -98,7 +95,7 @@ function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, ai
   // Forward user events to AI Bridge (renderer -> main -> AI)
   ipcMain.on('report-to-ai', (_, event, data) => {
     const bridge = getAIBridge();
-    if (bridge && bridge.isConnected()) {
+    if (bridge && bridge.hasClients()) {
       switch (event) {
         case 'click':
           bridge.reportUserClick(data.position);
@@ -124,9 +121,20 @@ function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, ai
         case 'user_idle':
           bridge.reportIdleTime(data.idleSeconds);
           break;
+        case 'movement_list': {
+          // Reply to list_movements, routed back to the client that asked.
+          // Expired or unknown ref: drop it (reply() would broadcast to everyone)
+          const request = bridge.getOpenRequest(data.requestRef);
+          if (request) bridge.reply(request, 'movement_list', { movements: data.movements });
+          break;
+        }
         case 'browsing':
           // Browsing context (title + cursor position + screen capture) -> AI comment generation
-          bridge.send('user_event', { event: 'browsing', ...data });
+          bridge.send('user_event', {
+            event: 'browsing',
+            ...data,
+            title: privacy ? privacy.filterTitle(data.title) : data.title,
+          });
           break;
         default:
           // Forward unknown events to AI as well (extensibility)
@@ -145,7 +153,7 @@ function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, ai
   // Metrics reporting (renderer -> main -> AI)
   ipcMain.on('report-metrics', (_, summary) => {
     const bridge = getAIBridge();
-    if (bridge && bridge.isConnected()) {
+    if (bridge && bridge.hasClients()) {
       bridge.reportMetrics(summary);
     }
   });
@@ -183,51 +191,7 @@ function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, ai
   // Execute smart file operation
   // Used when executed directly from renderer (not via Telegram)
   ipcMain.handle('smart-file-op', async (_, command) => {
-    const win = getMainWindow();
-    const callbacks = {
-      onStart: (totalFiles) => {
-        if (win && !win.isDestroyed()) {
-          win.webContents.send('ai-command', {
-            type: 'smart_file_op',
-            payload: { phase: 'start', totalFiles },
-          });
-        }
-      },
-      onPickUp: (fileName, index) => {
-        if (win && !win.isDestroyed()) {
-          win.webContents.send('ai-command', {
-            type: 'smart_file_op',
-            payload: { phase: 'pick_up', fileName, index },
-          });
-        }
-      },
-      onDrop: (fileName, targetName, index) => {
-        if (win && !win.isDestroyed()) {
-          win.webContents.send('ai-command', {
-            type: 'smart_file_op',
-            payload: { phase: 'drop', fileName, targetName, index },
-          });
-        }
-      },
-      onComplete: (result) => {
-        if (win && !win.isDestroyed()) {
-          win.webContents.send('ai-command', {
-            type: 'smart_file_op',
-            payload: { phase: 'complete', ...result },
-          });
-        }
-      },
-      onError: (error) => {
-        if (win && !win.isDestroyed()) {
-          win.webContents.send('ai-command', {
-            type: 'smart_file_op',
-            payload: { phase: 'error', error },
-          });
-        }
-      },
-    };
-
-    return await executeSmartFileOp(command, callbacks);
+    return await executeSmartFileOp(command, createAnimationCallbacks(getMainWindow));
   });
 
   // Undo smart move (single)
@@ -263,6 +227,12 @@ function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, ai
     return enabled;
   });
 
+  // === Do Not Disturb ===
+
+  ipcMain.handle('get-dnd-status', () => {
+    return dnd ? dnd.getStatus() : { active: false, reason: null };
+  });
+
   // === AI Brain IPC ===
 
   ipcMain.handle('get-ai-config', () => {
@@ -271,8 +241,7 @@ function registerIpcHandlers(getMainWindow, getAIBridge, getProactiveMonitor, ai
 
   ipcMain.handle('set-ai-config', (_, key, value) => {
     if (!aiConfig) return false;
-    aiConfig.set(key, value);
-    return true;
+    return aiConfig.update(key, value);
   });
 
   ipcMain.handle('get-ai-status', () => {
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * ClawMate MCP server (stdio)
+ *
+ * Lets any Model Context Protocol client use the pet as its body.
+ * Runs as a plain Node.js process next to the ClawMate app and talks to it
+ * through ClawMateConnector, so it needs the app running and the bridge token
+ * (auto-discovered, or CLAWMATE_BRIDGE_TOKEN).
+ *
+ * Client config example:
+ *   { "command": "npx", "args": ["clawmate-mcp"] }
+ *
+ * Transport: newline-delimited JSON-RPC 2.0 on stdin/stdout.
+ * stdout carries protocol messages only -- all logging goes to stderr.
+ *
+ * Tools:     speak, think, action, emote, move, jump_to, walk_on_window,
+ *            query_state, query_windows, capture_screen, organize_files
+ * Resources: clawmate://pet/state, clawmate://pet/memory, clawmate://pet/metrics,
+ *            clawmate://capabilities
+ *
+ * The server connects as a brain client. Tools that drive the pet need bridge
+ * control: it is claimed on first use, which only works while no other brain
+ * (e.g. the OpenClaw plugin) holds it. Otherwise those tools return an error
+ * saying who has control; the query tools keep working.
+ */
+const readline = require('readline');
+const { ClawMateConnector } = require('./ai-connector');
+const { COMMAND_SCHEMAS } = require('./command-schemas');
+const { version: APP_VERSION } = require('../package.json');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+/**
+ * Tools that map 1:1 onto a bridge command; input schema = command schema
+ */
+const COMMAND_TOOLS = {
+  speak: 'Show a speech bubble above the pet (max 500 chars). style: normal | thought | shout',
+  think: 'Show a thought bubble (...text...) above the pet',
+  action: 'Switch the pet\'s behavior state (see clawmate://capabilities for valid states)',
+  emote: 'Express an emotion (happy, curious, sleepy, scared, playful, proud, neutral, focused, affectionate)',
+  move: 'Move the pet to a screen position',
+  jump_to: 'Jump to a screen position in a parabolic arc',
+  walk_on_window: 'Walk onto a window title bar (ids and positions from query_windows)',
+};
+
+// organize_files exposes dryRun as `preview` (defaulting to true)
+const { dryRun: _dryRun, ...FILE_OP_PROPERTIES } = COMMAND_SCHEMAS.file_op.properties;
+
+const TOOLS = [
+  ...Object.entries(COMMAND_TOOLS).map(([name, description]) => ({
+    name,
+    description,
+    inputSchema: COMMAND_SCHEMAS[name],
+  })),
+  {
+    name: 'query_state',
+    description: 'Current pet state: mode, position, behavior state, emotion, evolution stage',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'query_windows',
+    description: 'Positions and titles of open windows the pet can walk on',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'capture_screen',
+    description: 'Screenshot of the user\'s primary display (JPEG)',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'organize_files',
+    description: 'Pet carries files into a folder (undoable from the app). '
+      + 'Use preview: true first to list the moves without touching anything. '
+      + 'source: desktop | downloads | documents. Either target (folder name) '
+      + 'with optional filter (".pdf" or "*"), or autoCategory: true to sort by type.',
+    inputSchema: {
+      type: 'object',
+      required: ['source'],
+      properties: {
+        ...FILE_OP_PROPERTIES,
+        preview: { type: 'boolean', description: 'List planned moves only (default true)' },
+      },
+    },
+  },
+];
+
+const RESOURCES = [
+  { uri: 'clawmate://pet/state', name: 'Pet state', description: 'Mode, position, behavior state and emotion', mimeType: 'application/json' },
+  { uri: 'clawmate://pet/memory', name: 'Pet memory', description: 'What the pet remembers about its user: mood, top activities, today\'s triggers, highlights', mimeType: 'application/json' },
+  { uri: 'clawmate://pet/metrics', name: 'Pet metrics', description: 'Latest self-observation metrics report (FPS, idle ratio, interactions)', mimeType: 'application/json' },
+  { uri: 'clawmate://capabilities', name: 'Capabilities', description: 'Commands, states, emotions and features this ClawMate build supports', mimeType: 'application/json' },
+];
+
+class ClawMateMcpServer {
+  constructor(options = {}) {
+    this.connector = options.connector || new ClawMateConnector(options.port || 9320, { name: 'mcp' });
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+  }
+
+  start() {
+    this.connector.connect().catch((err) => {
+      console.error(`[MCP] ClawMate not reachable yet (${err.message}) -- will keep retrying`);
+    });
+
+    const rl = readline.createInterface({ input: this.input });
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch {
+        this._write({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+        return;
+      }
+      if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        this._write({ jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Invalid Request' } });
+        return;
+      }
+      this._handle(msg).catch((err) => {
+        console.error('[MCP] Request handling failed:', err.message);
+      });
+    });
+    rl.on('close', () => {
+      this.connector.disconnect();
+      process.exit(0);
+    });
+  }
+
+  async _handle(msg) {
+    // Notifications (no id) need no answer
+    if (msg.id === undefined || msg.id === null) return;
+
+    try {
+      const result = await this._dispatch(msg.method, msg.params || {});
+      this._write({ jsonrpc: '2.0', id: msg.id, result });
+    } catch (err) {
+      this._write({ jsonrpc: '2.0', id: msg.id, error: { code: err.code || INVALID_PARAMS, message: err.message } });
+    }
+  }
+
+  async _dispatch(method, params) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {}, resources: {} },
+          serverInfo: { name: 'clawmate', version: APP_VERSION },
+          instructions: 'ClawMate is a desktop pet on the user\'s screen. Use it as your body: '
+            + 'speak through it, move it around and react with emotions.',
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: TOOLS };
+      case 'tools/call':
+        return this._callTool(params.name, params.arguments || {});
+      case 'resources/list':
+        return { resources: RESOURCES };
+      case 'resources/read':
+        return this._readResource(params.uri);
+      default:
+        throw rpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Tool failures are reported in the result (isError) so the model can see them
+   */
+  async _callTool(name, args) {
+    if (!TOOLS.some(t => t.name === name)) throw rpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+    if (!this.connector.connected) {
+      return toolError('ClawMate is not running or not connected. Start the ClawMate app and try again.');
+    }
+
+    if (COMMAND_TOOLS[name] || name === 'organize_files') {
+      const blocked = await this._ensureControl();
+      if (blocked) return toolError(blocked);
+    }
+
+    try {
+      if (COMMAND_TOOLS[name]) {
+        await this.connector.sendCommand(name, args);
+        return toolText(`ok: ${name}`);
+      }
+
+      switch (name) {
+        case 'query_state':
+          return toolJson(await this.connector.sendCommand('query_state'));
+        case 'query_windows':
+          return toolJson(await this.connector.queryWindows());
+        case 'capture_screen': {
+          const capture = await this.connector.requestScreenCapture();
+          return {
+            content: [
+              { type: 'image', data: capture.image, mimeType: 'image/jpeg' },
+              { type: 'text', text: `${capture.width}x${capture.height}` },
+            ],
+          };
+        }
+        case 'organize_files': {
+          const { preview = true, dryRun, ...options } = args;
+          return toolJson(await this.connector.organizeFiles({ ...options, dryRun: preview }));
+        }
+      }
+    } catch (err) {
+      return toolError(err.message);
+    }
+    return toolError(`Unhandled tool: ${name}`);
+  }
+
+  /**
+   * Claim bridge control for a tool that drives the pet
+   * @returns {Promise<string|null>} Why the pet can't be driven, or null
+   */
+  async _ensureControl() {
+    if (this.connector.hasControl) return null;
+    try {
+      await this.connector.claimControl();
+      return null;
+    } catch (err) {
+      return `Another AI client is controlling the pet (${err.message}). `
+        + 'query_state, query_windows and capture_screen still work; '
+        + 'movement, speech and file tools are available again once it releases control.';
+    }
+  }
+
+  async _readResource(uri) {
+    let data;
+    switch (uri) {
+      case 'clawmate://pet/state':
+        data = this.connector.connected ? await this.connector.queryState() : this.connector.petState;
+        break;
+      case 'clawmate://pet/memory': {
+        const state = this.connector.connected ? await this.connector.queryState() : this.connector.petState;
+        data = state?.memory ?? null;
+        break;
+      }
+      case 'clawmate://pet/metrics':
+        data = this.connector.lastMetrics;
+        break;
+      case 'clawmate://capabilities':
+        data = this.connector.capabilities;
+        break;
+      default:
+        throw rpcError(INVALID_PARAMS, `Unknown resource: ${uri}`);
+    }
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data ?? null, null, 2) }],
+    };
+  }
+
+  _write(msg) {
+    this.output.write(JSON.stringify(msg) + '\n');
+  }
+}
+
+function rpcError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toolText(text) {
+  return { content: [{ type: 'text', text }] };
+}
+
+function toolJson(data) {
+  return toolText(JSON.stringify(data, null, 2));
+}
+
+function toolError(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+if (require.main === module) {
+  // Keep stdout clean for JSON-RPC
+  console.log = console.error;
+  new ClawMateMcpServer().start();
+}
+
+module.exports = { ClawMateMcpServer, TOOLS, RESOURCES };
@@ -0,0 +1,52 @@
+/**
+ * Append-only NDJSON logs
+ *
+ * One JSON object per line, each with an ISO timestamp `t`. Used by the
+ * cost ledger and the screen capture audit log.
+ * Electron-free.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append one entry, creating the file (and its directory) on first use
+ * @throws On write errors -- callers log them under their own prefix
+ */
+function appendEntry(filePath, entry) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read the entries younger than `retentionDays`, rewriting the file
+ * without the expired and broken lines
+ * @returns {object[]} Oldest first; [] when the file doesn't exist yet
+ */
+function loadEntries(filePath, retentionDays) {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+
+  const cutoff = Date.now() - retentionDays * 86400000;
+  const entries = [];
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+      if (Date.parse(entry.t) >= cutoff) entries.push(entry);
+    } catch {}  // Torn last line after a crash
+  }
+
+  if (entries.length < lines.length) {
+    try {
+      fs.writeFileSync(filePath, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    } catch (err) {
+      console.error(`[NDJSON Log] Prune of ${path.basename(filePath)} failed:`, err.message);
+    }
+  }
+  return entries;
+}
+
+module.exports = { appendEntry, loadEntries };
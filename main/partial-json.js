@@ -0,0 +1,94 @@
+/**
+ * Partial JSON field reader
+ *
+ * Pulls a string field out of a JSON object that is still being streamed,
+ * e.g. the `speech` of '{"speech": "Nice comm' -> 'Nice comm'.
+ * Lets AI Brain show speech as tokens arrive while the rest of the object
+ * (action, emotion) is applied once the response is complete.
+ *
+ * Tolerates text before the object (markdown fences, preamble).
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * @param {string} text - Response received so far
+ * @param {string} key - Top-level string field to read
+ * @returns {{ value: string|null, complete: boolean } | null}
+ *   null while the field hasn't started; value null for a JSON null
+ */
+function readPartialString(text, key) {
+  const keyPattern = new RegExp(`"${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:\\s*`);
+  const match = keyPattern.exec(text);
+  if (!match) return null;
+
+  let i = match.index + match[0].length;
+  if (i >= text.length) return null;
+  if (text.startsWith('null', i)) return { value: null, complete: true };
+  if ('null'.startsWith(text.slice(i))) return null;  // 'nu' so far
+  if (text[i] !== '"') return { value: null, complete: true };  // Not a string
+
+  let value = '';
+  for (i++; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') return { value, complete: true };
+    if (ch !== '\\') {
+      value += ch;
+      continue;
+    }
+
+    // Escape sequence -- stop before it if it is cut off
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += ESCAPES[next] ?? next;
+      i++;
+    }
+  }
+  return { value, complete: false };
+}
+
+/**
+ * Feeds streamed text and reports only what is new in one field
+ */
+class StreamingFieldReader {
+  /**
+   * @param {string} key
+   * @param {number|function(string): number} [maxLength] - Stop growing the value past
+   *   this many characters; a function gets the value so far (e.g. speechLimitFor)
+   */
+  constructor(key, maxLength = Infinity) {
+    this.key = key;
+    this.maxLength = maxLength;
+    this.text = '';
+    this.value = '';
+    this.complete = false;
+  }
+
+  /**
+   * @param {string} chunk - Next piece of the response
+   * @returns {string} Newly available characters of the field ('' if none)
+   */
+  push(chunk) {
+    this.text += chunk;
+    if (this.complete) return '';
+
+    const field = readPartialString(this.text, this.key);
+    if (!field) return '';
+    this.complete = field.complete;
+    if (field.value === null) return '';
+
+    const limit = typeof this.maxLength === 'function' ? this.maxLength(field.value) : this.maxLength;
+    const value = field.value.slice(0, Math.max(limit, this.value.length));
+    const delta = value.slice(this.value.length);
+    this.value = value;
+    return delta;
+  }
+}
+
+module.exports = { readPartialString, StreamingFieldReader };
@@ -0,0 +1,234 @@
+/**
+ * Pattern detectors for ProactiveMonitor
+ *
+ * A detector looks at recent activity and returns trigger events:
+ *   {
+ *     id: 'wiki_rabbit_hole',
+ *     description: '3+ wiki pages in a minute',
+ *     detect(state) -> null | event | event[]
+ *   }
+ *   event: { trigger, context?, cooldown? }  (cooldown in ms, default from trigger rules)
+ *
+ * state (a snapshot -- detectors can't change the monitor's history):
+ *   now, title, titleLower, category, appName
+ *   titleHistory:    [{ title, category, timestamp }]  oldest first, max 50
+ *   clipHistory:     [{ text, timestamp }]             max 20
+ *   categoryHistory: [{ category, timestamp }]         max 30
+ *   idle:            { idle: boolean, since: timestamp|null }
+ * Detectors run after every window title change and should be pure
+ * functions of the state.
+ *
+ * Third-party detectors are <userData>/detectors/<id>.js files exporting a
+ * detector (or just its detect function). They stay off -- and unloaded --
+ * until enabled, since they run inside the main process.
+ * Electron-free.
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const WORK_CATEGORIES = new Set(['coding', 'document', 'terminal', 'dev_web']);
+const FUN_CATEGORIES = new Set(['social', 'video', 'gaming', 'news']);
+const WIKI_SITES = ['wikipedia', 'namu.wiki', '\uB098\uBB34\uC704\uD0A4', 'fandom'];
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function recent(history, now, ms, category) {
+  return history.filter(h => now - h.timestamp < ms && (!category || h.category === category));
+}
+
+const BUILTIN_DETECTORS = [
+  {
+    id: 'wiki_rabbit_hole',
+    description: '3+ wiki pages in 60s',
+    detect({ now, titleLower, titleHistory }) {
+      if (!WIKI_SITES.some(site => titleLower.includes(site))) return null;
+      const recentWiki = recent(titleHistory, now, 60000, 'wiki');
+      if (recentWiki.length < 3) return null;
+      return {
+        trigger: 'wiki_rabbit_hole',
+        context: { count: recentWiki.length, titles: recentWiki.map(h => h.title).slice(-3) },
+      };
+    },
+  },
+  {
+    id: 'price_comparison',
+    description: '3+ different shopping pages in 60s',
+    detect({ now, titleHistory }) {
+      const uniqueTitles = new Set(recent(titleHistory, now, 60000, 'shopping').map(h => h.title));
+      if (uniqueTitles.size < 3) return null;
+      return { trigger: 'price_comparison', context: { count: uniqueTitles.size, timespan: 60 } };
+    },
+  },
+  {
+    id: 'research_mode',
+    description: 'Search engine + 2 clipboard copies in 30s',
+    detect({ now, titleHistory, clipHistory }) {
+      const searches = recent(titleHistory, now, 30000, 'search').length;
+      const copies = recent(clipHistory, now, 30000).length;
+      if (searches < 1 || copies < 2) return null;
+      return { trigger: 'research_mode', context: { searches, copies } };
+    },
+  },
+  {
+    id: 'procrastination',
+    description: '3+ switches between work and entertainment in 60s',
+    detect({ now, categoryHistory }) {
+      const history = recent(categoryHistory, now, 60000);
+      if (history.length < 4) return null;
+
+      let switches = 0;
+      for (let i = 1; i < history.length; i++) {
+        const prev = history[i - 1].category;
+        const curr = history[i].category;
+        if ((WORK_CATEGORIES.has(prev) && FUN_CATEGORIES.has(curr))
+          || (FUN_CATEGORIES.has(prev) && WORK_CATEGORIES.has(curr))) {
+          switches++;
+        }
+      }
+      if (switches < 3) return null;
+      return { trigger: 'procrastination', context: { switches, timespan: 60 } };
+    },
+  },
+  {
+    // User can't find what they need
+    id: 'repeated_search',
+    description: '3+ different searches in 60s',
+    detect({ now, titleHistory }) {
+      const uniqueSearches = new Set(recent(titleHistory, now, 60000, 'search').map(h => h.title));
+      if (uniqueSearches.size < 3) return null;
+      return { trigger: 'repeated_search', context: { count: uniqueSearches.size, timespan: 60 } };
+    },
+  },
+];
+
+/**
+ * Detector result -> valid events (anything else is dropped)
+ */
+function normalizeEvents(result) {
+  if (!result) return [];
+  return (Array.isArray(result) ? result : [result]).filter(
+    e => e && typeof e.trigger === 'string' && e.trigger
+  ).map(e => ({
+    trigger: e.trigger,
+    context: e.context && typeof e.context === 'object' ? e.context : {},
+    cooldown: Number.isFinite(e.cooldown) && e.cooldown > 0 ? e.cooldown : undefined,
+  }));
+}
+
+class DetectorRegistry extends EventEmitter {
+  /**
+   * @param {object} [options]
+   *   - store: { get(key), set(key, value) } holding 'detectors': { id: enabled }
+   *   - pluginDir: Folder of third-party detector files
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || null;
+    this.pluginDir = options.pluginDir || null;
+    this.builtins = new Map(BUILTIN_DETECTORS.map(d => [d.id, d]));
+    this.plugins = new Map();  // id -> { file, detector|null, error|null }
+    this.switches = { ...(this.store?.get('detectors') || {}) };  // id -> enabled (unset: default)
+  }
+
+  /**
+   * Find plugin files and load the enabled ones (call again to pick up edits)
+   */
+  loadPlugins() {
+    const plugins = new Map();
+    let files = [];
+    try {
+      files = this.pluginDir ? fs.readdirSync(this.pluginDir).filter(f => f.endsWith('.js')) : [];
+    } catch {}
+
+    for (const file of files) {
+      const id = path.basename(file, '.js');
+      if (!ID_PATTERN.test(id) || this.builtins.has(id)) {
+        console.warn(`[Detectors] ${file} skipped: id must be unique letters, digits, _ or -`);
+        continue;
+      }
+      const plugin = { file: path.join(this.pluginDir, file), detector: null, error: null };
+      if (this.isEnabled(id, false)) this._require(id, plugin);
+      plugins.set(id, plugin);
+    }
+    this.plugins = plugins;
+    return this;
+  }
+
+  /**
+   * @returns {Array<{ id, description, builtin, enabled, error }>}
+   */
+  list() {
+    return [
+      ...[...this.builtins.values()].map(d => ({
+        id: d.id, description: d.description, builtin: true, enabled: this.isEnabled(d.id, true), error: null,
+      })),
+      ...[...this.plugins.entries()].map(([id, p]) => ({
+        id,
+        description: p.detector?.description || path.basename(p.file),
+        builtin: false,
+        enabled: this.isEnabled(id, false),
+        error: p.error,
+      })),
+    ];
+  }
+
+  isEnabled(id, defaultValue = this.builtins.has(id)) {
+    const saved = this.switches[id];
+    return typeof saved === 'boolean' ? saved : defaultValue;
+  }
+
+  setEnabled(id, enabled) {
+    if (!this.builtins.has(id) && !this.plugins.has(id)) return false;
+    this.switches[id] = !!enabled;
+    if (this.store) this.store.set('detectors', { ...this.switches });
+    const plugin = this.plugins.get(id);
+    if (plugin && enabled && !plugin.detector) this._require(id, plugin);
+    this.emit('change', this.list());
+    return true;
+  }
+
+  /**
+   * Run every enabled detector; a throwing detector is logged and skipped
+   * @returns {Array<{ detector, trigger, context, cooldown }>}
+   */
+  run(state) {
+    const events = [];
+    const detectors = [
+      ...[...this.builtins.values()],
+      ...[...this.plugins.values()].map(p => p.detector).filter(Boolean),
+    ];
+    for (const detector of detectors) {
+      if (!this.isEnabled(detector.id)) continue;
+      try {
+        for (const event of normalizeEvents(detector.detect(state))) {
+          events.push({ detector: detector.id, ...event });
+        }
+      } catch (err) {
+        console.warn(`[Detectors] ${detector.id} failed: ${err.message}`);
+      }
+    }
+    return events;
+  }
+
+  _require(id, plugin) {
+    try {
+      delete require.cache[require.resolve(plugin.file)];
+      const exported = require(plugin.file);
+      const detect = typeof exported === 'function' ? exported : exported?.detect;
+      if (typeof detect !== 'function') throw new Error('must export detect(state)');
+      plugin.detector = {
+        id,
+        description: typeof exported.description === 'string' ? exported.description : '',
+        detect: detect.bind(exported),
+      };
+      plugin.error = null;
+      console.log(`[Detectors] Loaded plugin ${id}`);
+    } catch (err) {
+      plugin.detector = null;
+      plugin.error = err.message;
+      console.warn(`[Detectors] Plugin ${id} not loaded: ${err.message}`);
+    }
+  }
+}
+
+module.exports = { DetectorRegistry, BUILTIN_DETECTORS, normalizeEvents };
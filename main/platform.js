@@ -1,9 +1,10 @@
 const os = require('os');
 const path = require('path');
-const { execSync, exec } = require('child_process');
+const { execSync, exec, execFile } = require('child_process');
 const { promisify } = require('util');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const platform = os.platform();
 
@@ -276,4 +277,72 @@ public class FGWin {
   }
 }
 
-module.exports = { getDesktopPath, getTrayIconExt, isWindows, isMac, isLinux, isWSL, platform, getWindowPositions, getActiveWindowTitle };
+/**
+ * Run a PowerShell script; it goes in as -EncodedCommand (UTF-16LE base64)
+ * because async exec ignores `input`, so `-Command -` would read an empty stdin
+ */
+function runPowerShell(script, timeout) {
+  const encoded = Buffer.from(script, 'utf16le').toString('base64');
+  return execFileAsync('powershell', ['-NoProfile', '-NonInteractive', '-EncodedCommand', encoded], {
+    timeout, encoding: 'utf-8', windowsHide: true,
+  });
+}
+
+/**
+ * Position/size of the focused (foreground) window
+ * Return format: { x, y, width, height }, or null on failure
+ * (used to tell when a fullscreen app -- presentation, video, game -- is in front)
+ */
+async function getActiveWindowBounds() {
+  try {
+    let stdout;
+    if (platform === 'win32') {
+      const psScript = `
+Add-Type @"
+using System;
+using System.Runtime.InteropServices;
+public class FGRect {
+  [DllImport("user32.dll")] static extern IntPtr GetForegroundWindow();
+  [DllImport("user32.dll")] static extern bool GetWindowRect(IntPtr hWnd, out RECT rect);
+  [StructLayout(LayoutKind.Sequential)]
+  public struct RECT { public int Left, Top, Right, Bottom; }
+  public static string Get() {
+    RECT r;
+    if (!GetWindowRect(GetForegroundWindow(), out r)) return "";
+    return r.Left + "|" + r.Top + "|" + (r.Right - r.Left) + "|" + (r.Bottom - r.Top);
+  }
+}
+"@
+[FGRect]::Get()
+`.trim();
+      ({ stdout } = await runPowerShell(psScript, 5000));
+    } else if (platform === 'darwin') {
+      const script = `
+tell application "System Events" to tell (first process whose frontmost is true)
+  set {x, y} to position of first window
+  set {ww, hh} to size of first window
+end tell
+return (x as text) & "|" & y & "|" & ww & "|" & hh
+`.trim();
+      ({ stdout } = await execAsync(
+        `osascript -e '${script.replace(/'/g, "'\\''")}'`,
+        { timeout: 3000, encoding: 'utf-8' }
+      ));
+    } else {
+      // X=.. Y=.. WIDTH=.. HEIGHT=.. lines
+      const { stdout: shell } = await execAsync('xdotool getactivewindow getwindowgeometry --shell', {
+        timeout: 3000, encoding: 'utf-8',
+      });
+      const values = Object.fromEntries((shell || '').trim().split('\n').map(line => line.split('=')));
+      stdout = [values.X, values.Y, values.WIDTH, values.HEIGHT].join('|');
+    }
+
+    const [x, y, width, height] = (stdout || '').trim().split('|').map(v => parseInt(v, 10));
+    if (![x, y, width, height].every(Number.isFinite)) return null;
+    return { x, y, width, height };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { getDesktopPath, getTrayIconExt, isWindows, isMac, isLinux, isWSL, platform, getWindowPositions, getActiveWindowTitle, getActiveWindowBounds };
@@ -0,0 +1,185 @@
+/**
+ * Privacy filter: redacts secrets before clipboard text or window titles
+ * leave the machine (AI Bridge, AI Brain prompts, renderer events)
+ *
+ * Detected:
+ *   private_key  - PEM private key blocks
+ *   jwt          - eyJ... three-part tokens
+ *   api_key      - known formats (AWS, GitHub, Slack, Stripe, Google, OpenAI/Anthropic, Telegram bot)
+ *   credential   - password=/token:/secret= values, user:pass@ in URLs
+ *   high_entropy - long random-looking tokens: 24+ characters between separators (/ . - and
+ *                  spaces split paths, URLs and file names), mixed character classes,
+ *                  >= 3.5 bits/char, and not made of words (camelCase / snake_case names)
+ * and masked as [REDACTED:<type>].
+ *
+ * Clipboard copies are dropped entirely when they come from a password
+ * manager (concealed clipboard formats, or a password manager window in
+ * front) or from an excluded app.
+ *
+ * Settings (Store-like { get, set }):
+ *   clipboardText: 'redacted' (default) | 'type_only' (never send text, only its type)
+ *   secretAction:  'mask' (default) | 'skip' (drop copies that contain a secret)
+ *   excludedApps:  title substrings -- copies are dropped, titles hidden
+ * Electron-free.
+ */
+
+const KEY_PATTERNS = [
+  { type: 'private_key', re: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----|$)/g },
+  { type: 'jwt', re: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { type: 'api_key', re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },                         // AWS access key id
+  { type: 'api_key', re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+  { type: 'api_key', re: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },                        // Slack
+  { type: 'api_key', re: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },               // Stripe
+  { type: 'api_key', re: /\bAIza[0-9A-Za-z_-]{35}\b/g },                              // Google
+  { type: 'api_key', re: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },                 // OpenAI / Anthropic
+  { type: 'api_key', re: /\b\d{8,10}:[A-Za-z0-9_-]{35}\b/g },                         // Telegram bot token
+  { type: 'credential', re: /(?<=[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi }, // scheme://user:PASS@
+  {
+    type: 'credential',
+    re: /(?<=(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|auth|\uBE44\uBC00\uBC88\uD638|\uC554\uD638)["']?\s*[:=]\s*["']?|\bBearer\s+)[^\s"',;]{4,}/gi,
+  },
+];
+
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+_=]{24,}/g;
+const MIN_ENTROPY = 3.5;
+// Identifiers are made of words (avg. 4+ characters per chunk); random tokens average about 2
+const WORD_CHUNK = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+/g;
+const MIN_WORD_CHUNK_LENGTH = 4;
+
+// Clipboard formats password managers set so monitors skip the copy
+const CONCEALED_FORMATS = [
+  'org.nspasteboard.concealedtype',                        // macOS (1Password, Bitwarden, ...)
+  'excludeclipboardcontentfrommonitorprocessing',          // Windows
+  'x-kde-passwordmanagerhint',                             // KDE/KeePassXC
+];
+const PASSWORD_MANAGERS = [
+  '1password', 'bitwarden', 'lastpass', 'keepass', 'dashlane', 'keychain access',
+  'enpass', 'nordpass', 'proton pass', 'roboform',
+];
+
+const DEFAULTS = {
+  clipboardText: 'redacted',
+  secretAction: 'mask',
+  excludedApps: [],
+};
+
+const HIDDEN_TITLE = '[private window]';
+
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const n of counts.values()) {
+    const p = n / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function looksLikeWords(token) {
+  const chunks = token.match(WORD_CHUNK) || [];
+  const letters = chunks.filter(chunk => !/^\d+$/.test(chunk));
+  if (letters.length === 0) return false;
+  const average = letters.reduce((sum, chunk) => sum + chunk.length, 0) / letters.length;
+  return average >= MIN_WORD_CHUNK_LENGTH;
+}
+
+function looksRandom(token) {
+  const classes = [/[a-z]/, /[A-Z]/, /\d/].filter(re => re.test(token)).length;
+  return classes >= 2 && shannonEntropy(token) >= MIN_ENTROPY && !looksLikeWords(token);
+}
+
+/**
+ * Mask secrets in text
+ * @returns {{ text: string, redacted: string[] }} redacted: detected types (deduplicated)
+ */
+function redactText(text) {
+  if (!text) return { text: text || '', redacted: [] };
+  const found = new Set();
+  let result = String(text);
+
+  for (const { type, re } of KEY_PATTERNS) {
+    result = result.replace(re, () => {
+      found.add(type);
+      return `[REDACTED:${type}]`;
+    });
+  }
+  result = result.replace(HIGH_ENTROPY_CANDIDATE, (token) => {
+    if (token.startsWith('REDACTED') || !looksRandom(token)) return token;
+    found.add('high_entropy');
+    return '[REDACTED:high_entropy]';
+  });
+
+  return { text: result, redacted: [...found] };
+}
+
+class PrivacyFilter {
+  /**
+   * @param {object} [options] - { store: { get(key), set(key, value) } }
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.settings = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      const saved = this.store?.get(key);
+      if (saved !== undefined) this.settings[key] = saved;
+    }
+  }
+
+  /**
+   * Decide what of a clipboard copy may be sent
+   * @param {string} text - Copied text
+   * @param {object} [source] - { title: active window title, formats: clipboard.availableFormats() }
+   * @returns {{ text: string|null, redacted: string[] }|null}
+   *   null: drop the copy entirely; text null: send the type only
+   */
+  filterClipboard(text, source = {}) {
+    const formats = (source.formats || []).map(f => String(f).toLowerCase());
+    if (formats.some(f => CONCEALED_FORMATS.some(c => f.includes(c)))) return null;
+
+    const titleLower = (source.title || '').toLowerCase();
+    if (PASSWORD_MANAGERS.some(app => titleLower.includes(app))) return null;
+    if (this._isExcluded(titleLower)) return null;
+
+    const { text: masked, redacted } = redactText(text);
+    if (redacted.length > 0 && this.settings.secretAction === 'skip') return null;
+    if (this.settings.clipboardText === 'type_only') return { text: null, redacted };
+    return { text: masked, redacted };
+  }
+
+  /**
+   * Window title as it may be sent (excluded apps -> '[private window]')
+   */
+  filterTitle(title) {
+    if (!title) return title;
+    if (this._isExcluded(title.toLowerCase())) return HIDDEN_TITLE;
+    return redactText(title).text;
+  }
+
+  getSettings() {
+    return { ...this.settings, excludedApps: [...this.settings.excludedApps] };
+  }
+
+  /**
+   * Validate and apply one setting
+   * @returns {boolean} Applied
+   */
+  update(key, value) {
+    const valid = {
+      clipboardText: v => v === 'redacted' || v === 'type_only',
+      secretAction: v => v === 'mask' || v === 'skip',
+      excludedApps: v => Array.isArray(v) && v.every(app => typeof app === 'string' && app.trim()),
+    }[key];
+    if (!valid || !valid(value)) return false;
+
+    this.settings[key] = key === 'excludedApps' ? [...new Set(value.map(app => app.trim()))] : value;
+    if (this.store) this.store.set(key, this.settings[key]);
+    return true;
+  }
+
+  _isExcluded(titleLower) {
+    return this.settings.excludedApps.some(app => titleLower.includes(app.toLowerCase()));
+  }
+}
+
+module.exports = { PrivacyFilter, redactText, HIDDEN_TITLE };
@@ -14,239 +14,22 @@
  *                         (when AI connected)           |
  *                                                       v
  *                                            Renderer ProactiveController
+ *
+ * Site categories, cooldowns and which triggers bundle a screen capture come
+ * from trigger-rules.js (built-ins + the user's trigger-rules.json).
+ * Multi-event patterns (rabbit holes, procrastination, ...) are detectors in
+ * pattern-detectors.js. Nothing fires while Do Not Disturb is on (except
+ * allowlisted HIGH triggers); the monitor reports fullscreen/meeting windows to it.
+ * Clipboard text and window titles pass through privacy-filter.js before
+ * they're sent anywhere -- the raw text stays in this process. Screenshots
+ * go through screen-capture.js (capture policies + audit log).
  */
-const { clipboard, powerMonitor, desktopCapturer, screen } = require('electron');
+const { clipboard, powerMonitor, screen } = require('electron');
 const EventEmitter = require('events');
-
-// =========================================================================
-// Visual Triggers - 화면 캡처가 AI 판단에 도움이 되는 트리거들
-// =========================================================================
-const VISUAL_TRIGGERS = new Set([
-  'error_detected', 'error_loop', 'checkout_detected', 'shopping_detected',
-  'coding_detected', 'terminal_active', 'idle_return',
-  'video_watching', 'news_reading', 'document_editing', 'learning_activity',
-  'finance_activity', 'food_ordering', 'travel_planning', 'search_detected',
-  'gaming_detected', 'meeting_detected', 'dev_web_detected', 'reading_pdf',
-  'deep_focus', 'social_scrolling', 'wiki_rabbit_hole', 'price_comparison',
-  'file_management', 'wiki_browsing', 'email_checking',
-  'research_mode', 'procrastination', 'focus_break', 'repeated_search',
-]);
-
-// =========================================================================
-// Site/App Category Definitions (for window title matching)
-// =========================================================================
-const SITE_CATEGORIES = {
-  shopping: {
-    patterns: [
-      'amazon', 'ebay', 'coupang', '\uCFE0\uD321', 'gmarket', 'g\uB9C8\uCF13', '11st', '11\uBC88\uAC00',
-      'aliexpress', 'shopee', 'etsy', 'auction', '\uC625\uC158', 'tmon', '\uD2F0\uBAAC',
-      'wemakeprice', '\uC704\uBA54\uD504', 'musinsa', '\uBB34\uC2E0\uC0AC', 'oliveyoung',
-      '\uC62C\uB9AC\uBE0C\uC601', 'walmart', 'target.com', 'bestbuy', 'newegg',
-      'rakuten', 'taobao', 'jd.com', 'lazada', 'zalando',
-    ],
-    trigger: 'shopping_detected',
-    cooldown: 120000,
-  },
-  checkout: {
-    patterns: [
-      'cart', 'checkout', '\uC7A5\uBC14\uAD6C\uB2C8', '\uACB0\uC81C', 'payment',
-      '\uC8FC\uBB38', 'order confirm', '\uC8FC\uBB38\uD655\uC778', 'place order',
-      'buy now', '\uAD6C\uB9E4\uD558\uAE30', 'proceed to',
-    ],
-    trigger: 'checkout_detected',
-    cooldown: 60000,
-  },
-  news: {
-    patterns: [
-      'cnn', 'bbc', 'nytimes', 'reuters', 'bloomberg',
-      'naver.com/news', '\uB124\uC774\uBC84\uB274\uC2A4', 'daum.net/news', '\uB2E4\uC74C\uB274\uC2A4',
-      'hacker news', 'techcrunch', 'the verge', 'ars technica',
-      '\uC870\uC120\uC77C\uBCF4', '\uC911\uC559\uC77C\uBCF4', '\uB3D9\uC544\uC77C\uBCF4', '\uD55C\uACBD\uB808',
-    ],
-    trigger: 'news_reading',
-    cooldown: 120000,
-  },
-  social: {
-    patterns: [
-      'instagram', 'twitter', 'x.com', 'facebook', 'threads',
-      'tiktok', 'reddit', 'mastodon', 'bluesky', 'tumblr',
-      'linkedin feed', 'pinterest',
-    ],
-    trigger: 'social_scrolling',
-    cooldown: 120000,
-  },
-  video: {
-    patterns: [
-      'youtube', 'twitch', 'netflix', 'disney+', 'wavve', 'tving',
-      'watcha', 'hulu', 'prime video', 'crunchyroll', 'vimeo',
-      'dailymotion', 'bilibili', 'niconico',
-    ],
-    trigger: 'video_watching',
-    cooldown: 120000,
-  },
-  coding: {
-    patterns: [
-      'visual studio code', 'vscode', 'intellij', 'pycharm', 'webstorm',
-      'sublime text', 'atom', 'vim ', 'neovim', 'emacs', 'cursor',
-      'zed', 'android studio', 'xcode', 'rider', 'goland',
-    ],
-    trigger: 'coding_detected',
-    cooldown: 300000,
-  },
-  terminal: {
-    patterns: [
-      'powershell', 'cmd.exe', 'command prompt', 'windows terminal',
-      'git bash', 'wsl', 'terminal', 'iterm', 'hyper', 'alacritty',
-      'warp', 'kitty',
-    ],
-    trigger: 'terminal_active',
-    cooldown: 300000,
-  },
-  music: {
-    patterns: [
-      'spotify', 'apple music', 'youtube music', 'soundcloud',
-      'melon', 'genie', 'bugs', 'flo', 'vibe', 'tidal',
-      'deezer', 'pandora', 'amazon music',
-    ],
-    trigger: 'music_playing',
-    cooldown: 300000,
-  },
-  food: {
-    patterns: [
-      '\uBC30\uB2EC\uC758\uBBFC\uC871', 'baemin', '\uCFE0\uD321\uC774\uCE20', 'coupangeats',
-      '\uC694\uAE30\uC694', 'yogiyo', 'ubereats', 'uber eats',
-      'doordash', 'grubhub', 'deliveroo', 'just eat',
-    ],
-    trigger: 'food_ordering',
-    cooldown: 120000,
-  },
-  travel: {
-    patterns: [
-      'booking.com', 'airbnb', 'hotels.com', 'expedia', 'agoda',
-      '\uC57C\uB180\uC790', '\uC5EC\uAE30\uC5B4\uB54C', 'trip.com', 'skyscanner',
-      'google flights', 'kayak', '\uD2B8\uB9AC\uD50C', 'tripadvisor',
-      '\uC778\uD130\uD30C\uD06C', '\uB9C8\uC774\uB9AC\uC5BC\uD2B8\uB9BD',
-    ],
-    trigger: 'travel_planning',
-    cooldown: 120000,
-  },
-  learning: {
-    patterns: [
-      'udemy', 'coursera', 'khan academy', '\uC778\uD504\uB7F0', 'inflearn',
-      'nomadcoders', '\uB178\uB9C8\uB4DC\uCF54\uB354', 'edx', 'skillshare',
-      'pluralsight', 'leetcode', 'hackerrank', 'codecademy',
-      'duolingo', 'brilliant',
-    ],
-    trigger: 'learning_activity',
-    cooldown: 300000,
-  },
-  email: {
-    patterns: [
-      'gmail', 'outlook', 'yahoo mail', 'naver mail', '\uB124\uC774\uBC84 \uBA54\uC77C',
-      'protonmail', 'zoho mail', 'thunderbird', 'mail -',
-    ],
-    trigger: 'email_checking',
-    cooldown: 120000,
-  },
-  gaming: {
-    patterns: [
-      'steam', 'epic games', 'league of legends', 'valorant',
-      'overwatch', 'minecraft', 'roblox', 'genshin', 'fortnite',
-      'apex legends', 'counter-strike', 'dota', 'diablo',
-      'lost ark', '\uB85C\uC2A4\uD2B8\uC544\uD06C', 'maplestory', '\uBA54\uC774\uD50C\uC2A4\uD1A0\uB9AC',
-    ],
-    trigger: 'gaming_detected',
-    cooldown: 300000,
-  },
-  login: {
-    patterns: [
-      'sign in', 'log in', '\uB85C\uADF8\uC778', 'login', 'sign up',
-      '\uD68C\uC6D0\uAC00\uC785', 'create account', 'forgot password',
-      '\uBE44\uBC00\uBC88\uD638 \uCC3E\uAE30', 'reset password',
-    ],
-    trigger: 'login_page',
-    cooldown: 60000,
-  },
-  finance: {
-    patterns: [
-      '\uD1A0\uC2A4', 'toss', '\uCE74\uCE74\uC624\uBC45\uD06C', 'kakaobank',
-      '\uD0A4\uC6C0\uC99D\uAD8C', '\uBBF8\uB798\uC5D0\uC14B', '\uC0BC\uC131\uC99D\uAD8C',
-      '\uC2E0\uD55C\uD22C\uC790', 'robinhood', 'coinbase',
-      'binance', 'upbit', '\uC5C5\uBE44\uD2B8', 'trading',
-      '\uC8FC\uC2DD', 'stock', '\uC740\uD589', 'bank',
-    ],
-    trigger: 'finance_activity',
-    cooldown: 120000,
-  },
-  document: {
-    patterns: [
-      'google docs', 'google sheets', 'google slides',
-      'notion', 'microsoft word', 'microsoft excel', 'powerpoint',
-      'confluence', 'obsidian', 'roam research', 'bear',
-      'typora', 'mark text', '\uD55C\uAE00', 'hwp',
-    ],
-    trigger: 'document_editing',
-    cooldown: 300000,
-  },
-  search: {
-    patterns: [
-      'google.com/search', 'google - ', 'bing.com/search',
-      'naver.com/search', '\uB124\uC774\uBC84 \uAC80\uC0C9', 'duckduckgo',
-      'search results', '\uAC80\uC0C9\uACB0\uACFC',
-    ],
-    trigger: 'search_detected',
-    cooldown: 30000,
-  },
-  meeting: {
-    patterns: [
-      'zoom', 'teams', 'google meet', 'webex', 'slack huddle',
-      'discord call', 'skype', '\uD654\uC0C1\uD68C\uC758',
-    ],
-    trigger: 'meeting_detected',
-    cooldown: 300000,
-  },
-  wiki: {
-    patterns: [
-      'wikipedia', '\uC704\uD0A4\uD53C\uB514\uC544', '\uB098\uBB34\uC704\uD0A4', 'namu.wiki',
-      'fandom.com', 'wikia',
-    ],
-    trigger: 'wiki_browsing',
-    cooldown: 60000,
-  },
-  dev_web: {
-    patterns: [
-      'github', 'gitlab', 'bitbucket', 'stackoverflow', 'stack overflow',
-      'npm', 'pypi', 'crates.io', 'developer', 'documentation', 'docs',
-      'api reference', 'mdn web',
-    ],
-    trigger: 'dev_web_detected',
-    cooldown: 120000,
-  },
-  download: {
-    patterns: [
-      'download', '\uB2E4\uC6B4\uB85C\uB4DC', 'thanks for downloading',
-      'save as', '\uC800\uC7A5',
-    ],
-    trigger: 'download_detected',
-    cooldown: 60000,
-  },
-  reading: {
-    patterns: [
-      '.pdf', 'adobe reader', 'preview', 'kindle',
-      'e-book', 'ebook', 'epub',
-    ],
-    trigger: 'reading_pdf',
-    cooldown: 300000,
-  },
-  file_manager: {
-    patterns: [
-      'file explorer', '\uD30C\uC77C \uD0D0\uC0C9\uAE30', 'finder', 'nautilus',
-      'dolphin', 'thunar', 'files',
-    ],
-    trigger: 'file_management',
-    cooldown: 120000,
-  },
-};
+const { TriggerRules } = require('./trigger-rules');
+const { DetectorRegistry } = require('./pattern-detectors');
+const { PrivacyFilter } = require('./privacy-filter');
+const { ScreenCapture } = require('./screen-capture');
 
 // Error patterns in window titles
 const ERROR_PATTERNS = [
@@ -255,6 +38,12 @@ const ERROR_PATTERNS = [
   'timed out', 'timeout', '\uC624\uB958', '\uC5D0\uB7EC', '\uC2E4\uD328',
 ];
 
+// Focused windows that cover the screen without being a fullscreen app
+const FULLSCREEN_IGNORED_TITLES = new Set(['ClawMate', 'Program Manager', 'Desktop']);
+
+// Trigger context fields holding window titles or app names
+const TITLE_CONTEXT_KEYS = ['title', 'searchTitle', 'appName', 'from', 'to'];
+
 // Clipboard content patterns
 const CLIPBOARD_PATTERNS = {
   url: /^https?:\/\//i,
@@ -309,6 +98,48 @@ class ProactiveMonitor extends EventEmitter {
     this._errorCount = 0;
     this._errorWindow = [];      // timestamps of recent errors
     this._categoryHistory = [];  // recent categories for procrastination detection
+
+    // Built-in rules/detectors until index.js injects the user-configurable ones
+    this.rules = new TriggerRules();
+    this.detectors = new DetectorRegistry();
+    this.dnd = null;
+    this.privacy = new PrivacyFilter();
+    this.screenCapture = new ScreenCapture({ privacy: this.privacy });
+  }
+
+  /**
+   * @param {TriggerRules} rules
+   */
+  setTriggerRules(rules) {
+    this.rules = rules;
+  }
+
+  /**
+   * @param {DetectorRegistry} detectors
+   */
+  setDetectors(detectors) {
+    this.detectors = detectors;
+  }
+
+  /**
+   * @param {DoNotDisturb} dnd
+   */
+  setDoNotDisturb(dnd) {
+    this.dnd = dnd;
+  }
+
+  /**
+   * @param {PrivacyFilter} privacy
+   */
+  setPrivacyFilter(privacy) {
+    this.privacy = privacy;
+  }
+
+  /**
+   * @param {ScreenCapture} screenCapture - Shared with the bridge and AI Brain captures
+   */
+  setScreenCapture(screenCapture) {
+    this.screenCapture = screenCapture;
   }
 
   /**
@@ -348,6 +179,11 @@ class ProactiveMonitor extends EventEmitter {
    * Stop monitoring
    */
   stop() {
+    // Not watching windows anymore -- don't leave auto DND stuck on
+    if (this.dnd) {
+      this.dnd.setFullscreen(false);
+      this.dnd.setMeeting(false);
+    }
     this.enabled = false;
     if (this._clipboardInterval) clearInterval(this._clipboardInterval);
     if (this._windowInterval) clearInterval(this._windowInterval);
@@ -367,6 +203,20 @@ class ProactiveMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * App name of the last focused window ('' before the first poll)
+   */
+  getActiveApp() {
+    return this._lastAppName;
+  }
+
+  /**
+   * Title of the last focused window ('' before the first poll)
+   */
+  getActiveTitle() {
+    return this._lastTitle;
+  }
+
   // =========================================================================
   // Clipboard Watcher (500ms)
   // =========================================================================
@@ -392,21 +242,30 @@ class ProactiveMonitor extends EventEmitter {
       // Check for text changes
       const text = clipboard.readText() || '';
       if (text && text !== this._lastClipText) {
-        const prevText = this._lastClipText;
         this._lastClipText = text;
 
+        // Password manager / excluded app / secret with 'skip': not even the type goes out
+        let formats = [];
+        try { formats = clipboard.availableFormats(); } catch {}
+        const safe = this.privacy.filterClipboard(text, { title: this._lastTitle, formats });
+        if (!safe) return;
+        // Only redacted text from here on (also what pattern detectors see)
+        const safeText = safe.text;
+
         // Record history
-        this._clipHistory.push({ text, timestamp: now });
+        this._clipHistory.push({ text: safeText || '', timestamp: now });
         if (this._clipHistory.length > this._maxClipHistory) {
           this._clipHistory.shift();
         }
 
-        // Determine clipboard content type
-        const context = { text: text.substring(0, 200), length: text.length };
+        // Determine clipboard content type (from the raw text; only the type leaves in type-only mode)
+        const context = { length: text.length };
+        if (safeText !== null) context.text = safeText.substring(0, 200);
+        if (safe.redacted.length > 0) context.redacted = safe.redacted;
 
         // URL copied
         if (CLIPBOARD_PATTERNS.url.test(text.trim())) {
-          this._fire('url_copied', { ...context, url: text.trim().substring(0, 500) });
+          this._fire('url_copied', safeText !== null ? { ...context, url: safeText.trim().substring(0, 500) } : context);
         }
         // Code copied
         else if (CLIPBOARD_PATTERNS.code.test(text)) {
@@ -414,7 +273,7 @@ class ProactiveMonitor extends EventEmitter {
         }
         // Email copied
         else if (CLIPBOARD_PATTERNS.email.test(text.trim())) {
-          this._fire('email_copied', { ...context, email: text.trim() });
+          this._fire('email_copied', safeText !== null ? { ...context, email: safeText.trim() } : context);
         }
         // Phone copied
         else if (CLIPBOARD_PATTERNS.phone.test(text.trim())) {
@@ -441,7 +300,7 @@ class ProactiveMonitor extends EventEmitter {
         }
 
         // Check search pattern (copy then search engine within 30s)
-        this._checkSearchPattern(text, now);
+        this._checkSearchPattern(safeText, now);
       }
     } catch {
       // Clipboard access can fail silently
@@ -463,6 +322,9 @@ class ProactiveMonitor extends EventEmitter {
       const titleLower = title.toLowerCase();
       const titleChanged = title !== this._lastTitle;
 
+      // Presentations, screen shares, fullscreen video -> auto DND
+      if (this.dnd) await this._checkFullscreen(title);
+
       if (titleChanged) {
         const prevTitle = this._lastTitle;
         const prevCategory = this._lastCategory;
@@ -501,8 +363,9 @@ class ProactiveMonitor extends EventEmitter {
         this._sameTitleSince = now;
 
         // Record title history
-        const category = this._categorizeTitle(titleLower);
+        const category = this.rules.categorize(title);
         this._lastCategory = category;
+        if (this.dnd) this.dnd.setMeeting(category === 'meeting');
         this._titleHistory.push({ title, category, timestamp: now });
         if (this._titleHistory.length > this._maxTitleHistory) {
           this._titleHistory.shift();
@@ -518,7 +381,7 @@ class ProactiveMonitor extends EventEmitter {
 
         // Fire category-specific triggers
         if (category) {
-          const catDef = SITE_CATEGORIES[category];
+          const catDef = this.rules.getCategory(category);
           if (catDef) {
             this._fire(catDef.trigger, {
               title,
@@ -546,11 +409,7 @@ class ProactiveMonitor extends EventEmitter {
         }
 
         // Complex pattern detection
-        this._checkWikiRabbitHole(titleLower, now);
-        this._checkPriceComparison(now);
-        this._checkResearchMode(now);
-        this._checkProcrastination(now);
-        this._checkRepeatedSearch(now);
+        this._runDetectors(title, category, appName, now);
       } else {
         // Same title - check for long focus
         const focusDuration = now - this._sameTitleSince;
@@ -657,109 +516,22 @@ class ProactiveMonitor extends EventEmitter {
   }
 
   // =========================================================================
-  // Complex Pattern Detection
+  // Complex Pattern Detection (pattern-detectors.js)
   // =========================================================================
-
-  /**
-   * Wiki rabbit hole: 3+ wiki page changes in 60s
-   */
-  _checkWikiRabbitHole(titleLower, now) {
-    if (!titleLower.includes('wikipedia') && !titleLower.includes('namu.wiki') &&
-        !titleLower.includes('\uB098\uBB34\uC704\uD0A4') && !titleLower.includes('fandom')) return;
-
-    const recentWiki = this._titleHistory.filter(
-      (h) => now - h.timestamp < 60000 && h.category === 'wiki'
-    );
-    if (recentWiki.length >= 3) {
-      this._fire('wiki_rabbit_hole', {
-        count: recentWiki.length,
-        titles: recentWiki.map((h) => h.title).slice(-3),
-      });
-    }
-  }
-
-  /**
-   * Price comparison: switching between shopping sites 3+ times in 60s
-   */
-  _checkPriceComparison(now) {
-    const recentShopping = this._titleHistory.filter(
-      (h) => now - h.timestamp < 60000 && h.category === 'shopping'
-    );
-    // Need 3+ distinct titles from shopping category
-    const uniqueTitles = new Set(recentShopping.map((h) => h.title));
-    if (uniqueTitles.size >= 3) {
-      this._fire('price_comparison', {
-        count: uniqueTitles.size,
-        timespan: 60,
-      });
-    }
-  }
-
-  /**
-   * Research mode: search engine + clipboard copies in 30s window
-   */
-  _checkResearchMode(now) {
-    const recentSearch = this._titleHistory.filter(
-      (h) => now - h.timestamp < 30000 && h.category === 'search'
-    );
-    const recentCopies = this._clipHistory.filter(
-      (h) => now - h.timestamp < 30000
-    );
-    if (recentSearch.length >= 1 && recentCopies.length >= 2) {
-      this._fire('research_mode', {
-        searches: recentSearch.length,
-        copies: recentCopies.length,
-      });
-    }
-  }
-
-  /**
-   * Procrastination: rapid switching between work (coding/doc/terminal)
-   * and entertainment (social/video/gaming) 3+ times in 60s
-   */
-  _checkProcrastination(now) {
-    const recent = this._categoryHistory.filter(
-      (h) => now - h.timestamp < 60000
-    );
-    if (recent.length < 4) return;
-
-    const workCats = new Set(['coding', 'document', 'terminal', 'dev_web']);
-    const funCats = new Set(['social', 'video', 'gaming', 'news']);
-
-    let switches = 0;
-    for (let i = 1; i < recent.length; i++) {
-      const prev = recent[i - 1].category;
-      const curr = recent[i].category;
-      if (
-        (workCats.has(prev) && funCats.has(curr)) ||
-        (funCats.has(prev) && workCats.has(curr))
-      ) {
-        switches++;
-      }
-    }
-
-    if (switches >= 3) {
-      this._fire('procrastination', {
-        switches,
-        timespan: 60,
-      });
-    }
-  }
-
-  /**
-   * Repeated search: 3+ different search queries in 60s
-   * (indicates user can't find what they need)
-   */
-  _checkRepeatedSearch(now) {
-    const recentSearch = this._titleHistory.filter(
-      (h) => now - h.timestamp < 60000 && h.category === 'search'
-    );
-    const uniqueSearches = new Set(recentSearch.map((h) => h.title));
-    if (uniqueSearches.size >= 3) {
-      this._fire('repeated_search', {
-        count: uniqueSearches.size,
-        timespan: 60,
-      });
+  _runDetectors(title, category, appName, now) {
+    const events = this.detectors.run({
+      now,
+      title,
+      titleLower: title.toLowerCase(),
+      category,
+      appName,
+      titleHistory: this._titleHistory.map(h => ({ ...h })),
+      clipHistory: this._clipHistory.map(h => ({ ...h })),
+      categoryHistory: this._categoryHistory.map(h => ({ ...h })),
+      idle: { idle: this._wasIdle, since: this._wasIdle ? this._idleStart : null },
+    });
+    for (const event of events) {
+      this._fire(event.trigger, event.context, event.cooldown);
     }
   }
 
@@ -773,7 +545,7 @@ class ProactiveMonitor extends EventEmitter {
     // Also check immediately with current title
     if (this._lastCategory === 'search') {
       this._fire('search_pattern', {
-        copiedText: copiedText.substring(0, 100),
+        copiedText: copiedText !== null ? copiedText.substring(0, 100) : null,  // null: type-only mode
         searchTitle: this._lastTitle,
       });
     }
@@ -799,17 +571,39 @@ class ProactiveMonitor extends EventEmitter {
   }
 
   // =========================================================================
-  // Helper: Categorize title
+  // Helpers
   // =========================================================================
-  _categorizeTitle(titleLower) {
-    for (const [category, def] of Object.entries(SITE_CATEGORIES)) {
-      for (const pattern of def.patterns) {
-        if (titleLower.includes(pattern.toLowerCase())) {
-          return category;
-        }
-      }
+
+  /**
+   * Context with window titles / app names passed through the privacy filter
+   */
+  _filterContextTitles(context) {
+    const safe = { ...context };
+    for (const key of TITLE_CONTEXT_KEYS) {
+      if (typeof safe[key] === 'string') safe[key] = this.privacy.filterTitle(safe[key]);
     }
-    return null;
+    if (Array.isArray(safe.titles)) safe.titles = safe.titles.map(t => this.privacy.filterTitle(t));
+    return safe;
+  }
+
+  /**
+   * Report to DND whether the focused window covers its whole display
+   * (maximized windows stop at the work area, so they don't count)
+   */
+  async _checkFullscreen(title) {
+    if (!this.dnd.getStatus().autoFullscreen) return;
+    // Our own overlay and desktop shells span the screen too
+    if (FULLSCREEN_IGNORED_TITLES.has(title)) {
+      this.dnd.setFullscreen(false);
+      return;
+    }
+    const { getActiveWindowBounds } = require('./platform');
+    const bounds = await getActiveWindowBounds();
+    if (!bounds) return;
+    try {
+      const display = screen.getDisplayMatching(bounds).bounds;
+      this.dnd.setFullscreen(bounds.width >= display.width && bounds.height >= display.height);
+    } catch {}
   }
 
   /**
@@ -841,27 +635,19 @@ class ProactiveMonitor extends EventEmitter {
   // =========================================================================
 
   /**
-   * 현재 화면을 캡처하여 base64 JPEG로 반환
-   * 실패 시 null (graceful degradation)
+   * 현재 화면을 캡처하여 base64 JPEG로 반환 (screen-capture.js 정책 적용)
+   * 차단/실패 시 null (graceful degradation)
+   * @param {string} triggerType
+   * @param {'bridge'|'brain'} destination
+   * @param {boolean} [local] - AI Brain with an on-device model
    */
-  async _captureScreen() {
-    try {
-      const sources = await desktopCapturer.getSources({
-        types: ['screen'],
-        thumbnailSize: { width: 960, height: 540 },
-      });
-      if (sources.length === 0) return null;
-
-      const thumbnail = sources[0].thumbnail;
-      const jpegBuffer = thumbnail.toJPEG(40);
-      return {
-        image: jpegBuffer.toString('base64'),
-        width: thumbnail.getSize().width,
-        height: thumbnail.getSize().height,
-      };
-    } catch {
-      return null;
-    }
+  async _captureScreen(triggerType, destination, local = false) {
+    return this.screenCapture.capture({
+      purpose: `trigger:${triggerType}`,
+      destination,
+      local,
+      title: this._lastTitle,
+    });
   }
 
   /**
@@ -884,11 +670,14 @@ class ProactiveMonitor extends EventEmitter {
 
     const now = Date.now();
 
+    // Do Not Disturb (allowlisted HIGH triggers still get through)
+    if (this.dnd && !this.dnd.allows(triggerType, this.rules.getImportance(triggerType))) return;
+
     // Global cooldown
     if (now - this._lastEventTime < this._globalCooldown) return;
 
     // Per-trigger cooldown
-    const cooldown = customCooldown || this._getDefaultCooldown(triggerType);
+    const cooldown = customCooldown || this.rules.getCooldown(triggerType);
     const lastFire = this._triggerCooldowns[triggerType] || 0;
     if (now - lastFire < cooldown) return;
 
@@ -896,13 +685,18 @@ class ProactiveMonitor extends EventEmitter {
     this._lastEventTime = now;
     this._triggerCooldowns[triggerType] = now;
 
+    // Window titles can carry secrets or private names -- filtered once for every destination
+    const safeContext = this._filterContextTitles(context || {});
+    const activeTitle = this.privacy.filterTitle(this._lastTitle);
+    const activeApp = this.privacy.filterTitle(this._lastAppName);
+
     // Build event payload
     const event = {
       trigger: triggerType,
-      context: context || {},
+      context: safeContext,
       timestamp: now,
-      activeTitle: this._lastTitle,
-      activeApp: this._lastAppName,
+      activeTitle,
+      activeApp,
     };
 
     // Emit for internal listeners
@@ -916,15 +710,15 @@ class ProactiveMonitor extends EventEmitter {
     // Send to AI Bridge if connected (시각 트리거는 화면 캡처 포함)
     if (this.aiBridge && this.aiBridge.isConnected()) {
       const aiContext = {
-        ...context,
-        activeTitle: this._lastTitle,
-        activeApp: this._lastAppName,
+        ...safeContext,
+        activeTitle,
+        activeApp,
       };
 
       // 시각 트리거: 화면 캡처 + 커서 위치 번들링
-      if (VISUAL_TRIGGERS.has(triggerType)) {
+      if (this.rules.capturesScreen(triggerType)) {
         const [screenData, cursor] = await Promise.all([
-          this._captureScreen(),
+          this._captureScreen(triggerType, 'bridge'),
           Promise.resolve(this._getCursorPosition()),
         ]);
         if (screenData) {
@@ -939,14 +733,14 @@ class ProactiveMonitor extends EventEmitter {
     } else if (this.brainTriggers && this.brainTriggers.isActive()) {
       // Fallback: AI Brain handles trigger when OpenClaw is not connected
       const aiContext = {
-        ...context,
-        activeTitle: this._lastTitle,
-        activeApp: this._lastAppName,
+        ...safeContext,
+        activeTitle,
+        activeApp,
       };
 
-      if (VISUAL_TRIGGERS.has(triggerType)) {
+      if (this.rules.capturesScreen(triggerType)) {
         const [screenData, cursor] = await Promise.all([
-          this._captureScreen(),
+          this._captureScreen(triggerType, 'brain', this.brainTriggers.isLocal()),
           Promise.resolve(this._getCursorPosition()),
         ]);
         if (screenData) aiContext.screen = screenData;
@@ -960,75 +754,7 @@ class ProactiveMonitor extends EventEmitter {
       });
     }
 
-    console.log(`[ProactiveMonitor] Fired: ${triggerType}${VISUAL_TRIGGERS.has(triggerType) ? ' (with screen)' : ''}`);
-  }
-
-  /**
-   * Default cooldowns per trigger type
-   */
-  _getDefaultCooldown(trigger) {
-    const cooldowns = {
-      // Clipboard triggers
-      clipboard_copy: 10000,
-      clipboard_screenshot: 30000,
-      repeated_copy: 60000,
-      url_copied: 15000,
-      code_copied: 20000,
-      long_text_copied: 30000,
-      email_copied: 30000,
-      phone_copied: 30000,
-
-      // App/window triggers
-      app_switch: 20000,
-      error_detected: 30000,
-      error_loop: 120000,
-      meeting_detected: 300000,
-      rapid_switching: 120000,
-
-      // Behavior pattern triggers
-      search_pattern: 30000,
-      idle_return: 60000,
-      long_focus: 300000,
-      deep_focus: 600000,
-      social_scrolling: 300000,
-      wiki_rabbit_hole: 120000,
-      price_comparison: 120000,
-      research_mode: 60000,
-      procrastination: 120000,
-      focus_break: 120000,
-      repeated_search: 60000,
-
-      // Time triggers
-      late_night: 600000,
-      dawn_coding: 600000,
-      pre_lunch: 1800000,
-      end_of_work: 1800000,
-      weekend_work: 3600000,
-
-      // Category triggers (defaults, overridden by SITE_CATEGORIES)
-      shopping_detected: 120000,
-      checkout_detected: 60000,
-      news_reading: 120000,
-      video_watching: 120000,
-      coding_detected: 300000,
-      terminal_active: 300000,
-      music_playing: 300000,
-      food_ordering: 120000,
-      travel_planning: 120000,
-      learning_activity: 300000,
-      email_checking: 120000,
-      gaming_detected: 300000,
-      login_page: 60000,
-      finance_activity: 120000,
-      document_editing: 300000,
-      search_detected: 30000,
-      wiki_browsing: 60000,
-      dev_web_detected: 120000,
-      download_detected: 60000,
-      reading_pdf: 300000,
-      file_management: 120000,
-    };
-    return cooldowns[trigger] || 30000;
+    console.log(`[ProactiveMonitor] Fired: ${triggerType}${this.rules.capturesScreen(triggerType) ? ' (with screen)' : ''}`);
   }
 }
 
@@ -0,0 +1,83 @@
+/**
+ * Prompt templates per language
+ *
+ * The AI Brain, trigger and memory prompts live in locales/<code>.js;
+ * AIConfig 'language' picks one ('auto' = OS locale, falling back to
+ * English for languages without templates).
+ *
+ * Templates use {name} placeholders, {name|fallback} when the value may be
+ * missing (fallbacks may hold one more placeholder: {appName|{title|?}}).
+ *
+ * Electron-free.
+ */
+const LOCALES = {
+  ko: require('./locales/ko'),
+  en: require('./locales/en'),
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Hangul, kana and CJK pack more into a character than Latin script
+const DENSE_SCRIPT = /[\u1100-\u11ff\u3040-\u30ff\u3130-\u318f\u3400-\u9fff\uac00-\ud7af]/;
+const SPEECH_LIMITS = { dense: 50, latin: 80 };
+
+/**
+ * OS locale, e.g. 'ko-KR' (Electron's Intl follows the system settings)
+ */
+function systemLocale() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale || '';
+  } catch {
+    return process.env.LANG || '';
+  }
+}
+
+/**
+ * @param {string} setting - 'auto' or a language code
+ * @param {string} [osLocale]
+ * @returns {string} Language code with templates ('ko' | 'en')
+ */
+function resolveLanguage(setting, osLocale = systemLocale()) {
+  if (setting && setting !== 'auto' && LOCALES[setting]) return setting;
+  const code = String(osLocale).toLowerCase().split(/[-_.]/)[0];
+  return LOCALES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+function getLocale(language) {
+  return LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+/** [{ code, name }] for menus */
+function availableLanguages() {
+  return Object.entries(LOCALES).map(([code, locale]) => ({ code, name: locale.name }));
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {string} template
+ * @param {object} vars - Missing/empty values use the placeholder's fallback (or '')
+ */
+function format(template, vars = {}) {
+  return template.replace(/\{(\w+)(?:\|((?:[^{}]|\{[^{}]*\})*))?\}/g, (_, name, fallback) => {
+    const value = vars[name];
+    if (value !== undefined && value !== null && value !== '') return String(value);
+    return fallback !== undefined ? format(fallback, vars) : '';
+  });
+}
+
+/**
+ * Speech bubble limit for a text: 50 characters for Hangul/CJK, more for Latin script
+ */
+function speechLimitFor(text) {
+  return DENSE_SCRIPT.test(text || '') ? SPEECH_LIMITS.dense : SPEECH_LIMITS.latin;
+}
+
+module.exports = {
+  LOCALES,
+  resolveLanguage,
+  getLocale,
+  availableLanguages,
+  systemLocale,
+  format,
+  speechLimitFor,
+};
@@ -0,0 +1,277 @@
+/**
+ * Prompt packs: user-editable AI Brain prompts in <userData>/prompt-packs/
+ *
+ * A pack is one JSON file, <id>.json:
+ *   {
+ *     "name": "Grumpy lobster",
+ *     "persona": { "name": "Claw", "personality": "...", "speakingStyle": "...", "catchphrases": [] },
+ *     "templates": { "system": "...", "triggers": { "coding_detected": "..." } },
+ *     "languages": { "en": { "system": "..." } }
+ *   }
+ * Templates override the built-in ones (locales/) key by key -- "templates"
+ * for every language, "languages.<code>" for one; anything left out comes
+ * from the built-in 'default' pack. Placeholders work as in prompt-locale.js:
+ *   system:   {time} {day} {mood} {intensity} {userInsight} {speechMax}
+ *             and, with a persona, {personaName} {personaTitle} {personality}
+ *             {speakingStyle} {catchphrases}
+ *   triggers: {trigger} plus the trigger's context ({title}, {appName}, ...)
+ *   chatSystem: as system, plus {summary} of the earlier Telegram conversation
+ * "persona" has the shape setActivePersona() in shared/personalities.js
+ * takes (set_persona), so a bot's incarnation persona can be imported as is;
+ * normalizePersona() fills in its defaults and drops fields of the wrong type.
+ *
+ * The folder is watched: saved edits apply to the next prompt.
+ * Electron-free.
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { getLocale } = require('./prompt-locale');
+
+const DEFAULT_PACK = 'default';
+
+// Locale keys a pack may override (trigger prompts are merged per trigger)
+const TEMPLATE_KEYS = [
+  'system', 'tools', 'personaNote', 'autonomous', 'screenSeen', 'screenNotSeen',
+  'triggerFallback', 'triggerMemory', 'triggerScreen', 'triggerRecent', 'triggerRecentLine',
+  'chatSystem', 'chatSummarySystem', 'chatSummaryRequest', 'chatUserLabel', 'chatPetLabel',
+];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Persona fields and their defaults (as setActivePersona() in shared/personalities.js)
+const PERSONA_TEXT = { name: 'Claw', title: 'Embodied intelligence', personality: '', speakingStyle: '' };
+const PERSONA_NUMBERS = { playfulness: 0.3, shyness: 0.1, boldness: 0.9, speedMultiplier: 1.0, idleChatterChance: 0.08 };
+const PERSONA_LISTS = ['greetings', 'catchphrases'];
+const PERSONA_COLORS = ['primary', 'secondary', 'eye'];
+
+/**
+ * A persona with every field present and of the right type
+ * (wrong types fall back to the default; lists keep only their strings)
+ */
+function normalizePersona(raw) {
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const persona = {};
+  for (const [key, fallback] of Object.entries(PERSONA_TEXT)) {
+    persona[key] = typeof source[key] === 'string' && source[key].trim() ? source[key] : fallback;
+  }
+  for (const [key, fallback] of Object.entries(PERSONA_NUMBERS)) {
+    persona[key] = Number.isFinite(source[key]) ? source[key] : fallback;
+  }
+  for (const key of PERSONA_LISTS) {
+    persona[key] = Array.isArray(source[key]) ? source[key].filter(item => typeof item === 'string') : [];
+  }
+
+  persona.color = null;
+  if (source.color && typeof source.color === 'object') {
+    const colors = PERSONA_COLORS.filter(key => typeof source.color[key] === 'string');
+    if (colors.length > 0) persona.color = Object.fromEntries(colors.map(key => [key, source.color[key]]));
+  }
+  return persona;
+}
+
+/**
+ * Keep only usable template overrides
+ * @returns {{ templates: object, skipped: string[] }}
+ */
+function sanitizeTemplates(raw) {
+  const templates = {};
+  const skipped = [];
+  if (!raw || typeof raw !== 'object') return { templates, skipped };
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === 'triggers' && value && typeof value === 'object') {
+      templates.triggers = {};
+      for (const [trigger, text] of Object.entries(value)) {
+        if (typeof text === 'string') templates.triggers[trigger] = text;
+        else skipped.push(`triggers.${trigger}`);
+      }
+    } else if (key === 'speechMaxLength' && Number.isInteger(value) && value > 0) {
+      templates.speechMaxLength = value;
+    } else if (TEMPLATE_KEYS.includes(key) && typeof value === 'string') {
+      templates[key] = value;
+    } else {
+      skipped.push(key);
+    }
+  }
+  return { templates, skipped };
+}
+
+/**
+ * Validate a parsed pack file
+ * @returns {object} { id, name, description, persona, templates, languages }
+ */
+function parsePack(id, json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Pack must be a JSON object');
+  }
+  const skipped = [];
+  const { templates, skipped: skippedShared } = sanitizeTemplates(json.templates);
+  skipped.push(...skippedShared);
+
+  const languages = {};
+  for (const [code, raw] of Object.entries(json.languages || {})) {
+    const result = sanitizeTemplates(raw);
+    languages[code] = result.templates;
+    skipped.push(...result.skipped.map(key => `languages.${code}.${key}`));
+  }
+  if (skipped.length > 0) {
+    console.warn(`[Prompt Packs] ${id}: ignored ${skipped.join(', ')}`);
+  }
+
+  return {
+    id,
+    name: typeof json.name === 'string' && json.name ? json.name : id,
+    description: typeof json.description === 'string' ? json.description : '',
+    persona: json.persona && typeof json.persona === 'object' ? normalizePersona(json.persona) : null,
+    templates,
+    languages,
+  };
+}
+
+class PromptPacks extends EventEmitter {
+  /**
+   * @param {string} dir - Folder holding the pack files (created on demand)
+   */
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.packs = new Map();
+    this._watcher = null;
+    this._reloadTimer = null;
+  }
+
+  /**
+   * (Re)read every pack file; broken files are skipped with a warning
+   */
+  load() {
+    const packs = new Map();
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(f => f.endsWith('.json'));
+    } catch {}
+
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      if (id === DEFAULT_PACK || !ID_PATTERN.test(id)) continue;
+      try {
+        packs.set(id, parsePack(id, JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'))));
+      } catch (err) {
+        console.warn(`[Prompt Packs] ${file} skipped: ${err.message}`);
+      }
+    }
+    this.packs = packs;
+    return this;
+  }
+
+  /**
+   * Reload on file changes (debounced); emits 'change'
+   */
+  watch() {
+    if (this._watcher) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    try {
+      this._watcher = fs.watch(this.dir, () => {
+        clearTimeout(this._reloadTimer);
+        this._reloadTimer = setTimeout(() => {
+          this.load();
+          console.log(`[Prompt Packs] Reloaded (${this.packs.size} pack${this.packs.size === 1 ? '' : 's'})`);
+          this.emit('change', this.list());
+        }, 300);
+      });
+    } catch (err) {
+      console.warn(`[Prompt Packs] Cannot watch ${this.dir}: ${err.message}`);
+    }
+  }
+
+  close() {
+    clearTimeout(this._reloadTimer);
+    if (this._watcher) this._watcher.close();
+    this._watcher = null;
+  }
+
+  /** [{ id, name, description, persona: boolean }] with the built-in default first */
+  list() {
+    return [
+      { id: DEFAULT_PACK, name: 'Default', description: 'Built-in ClawMate prompts', persona: false },
+      ...[...this.packs.values()].map(p => ({ id: p.id, name: p.name, description: p.description, persona: !!p.persona })),
+    ];
+  }
+
+  has(id) {
+    return id === DEFAULT_PACK || this.packs.has(id);
+  }
+
+  /**
+   * Templates for a language: built-in locale overridden by the pack
+   * (unknown pack ids fall back to the default)
+   */
+  getLocale(language, packId = DEFAULT_PACK) {
+    const base = getLocale(language);
+    const pack = this.packs.get(packId);
+    if (!pack) return base;
+
+    const own = pack.languages[language] || {};
+    return {
+      ...base,
+      ...pack.templates,
+      ...own,
+      triggers: { ...base.triggers, ...pack.templates.triggers, ...own.triggers },
+    };
+  }
+
+  getPersona(packId) {
+    return this.packs.get(packId)?.persona || null;
+  }
+
+  /**
+   * Save a persona (set_persona shape) as a pack
+   * @param {object} persona
+   * @param {object} [options] - { id: pack id (default from the persona name) }
+   * @returns {string} Pack id
+   */
+  importPersona(persona, options = {}) {
+    const normalized = normalizePersona(persona);
+    const id = options.id || `persona-${normalized.name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'custom'}`;
+    if (!ID_PATTERN.test(id) || id === DEFAULT_PACK) throw new Error(`Invalid pack id: ${id}`);
+
+    const file = path.join(this.dir, `${id}.json`);
+    let existing = {};
+    try {
+      existing = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {}
+
+    // Keep the user's template edits, replace only the persona
+    const pack = { name: normalized.name, ...existing, persona: normalized };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(pack, null, 2));
+    this.packs.set(id, parsePack(id, pack));
+    return id;
+  }
+
+  /**
+   * Write a starting point (the default pack's templates) if the folder has
+   * no packs yet
+   * @returns {string|null} Path of the written file
+   */
+  writeExample(language) {
+    if (this.packs.size > 0) return null;
+    const locale = getLocale(language);
+    const templates = { triggers: { ...locale.triggers } };
+    for (const key of TEMPLATE_KEYS) templates[key] = locale[key];
+
+    const file = path.join(this.dir, 'my-pack.json');
+    const pack = {
+      name: 'My pack',
+      description: 'Copy of the built-in prompts -- edit, save, and pick it under AI Brain > Prompt Pack',
+      persona: null,
+      languages: { [language]: templates },
+    };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(pack, null, 2));
+    this.load();
+    return file;
+  }
+}
+
+module.exports = { PromptPacks, DEFAULT_PACK, parsePack, normalizePersona };
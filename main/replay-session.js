@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded bridge session (see session-recorder.js)
+ *
+ * Re-sends the commands agents sent during the session to a running
+ * ClawMate -- or anything else speaking the bridge protocol on --port,
+ * such as a headless test renderer -- with the original timing.
+ *
+ *   node main/replay-session.js <session.ndjson> [options]
+ *     --speed <n>     Playback speed (default 1; 4 = four times faster)
+ *     --max-gap <ms>  Cap pauses between commands (skip long idle stretches)
+ *     --client <id>   Only replay commands from this recorded client (e.g. c1, local)
+ *     --port <n>      Bridge port (default 9320)
+ *     --dry-run       Print the timeline without connecting
+ *     --out <file>    Record the replies/events seen during replay as NDJSON,
+ *                     for diffing against the original session's 'out' entries
+ *
+ * Control handoff commands (claim/release/transfer_control) are not replayed;
+ * the replay connects as a single brain and claims control up front.
+ */
+const fs = require('fs');
+const { ClawMateConnector } = require('./ai-connector');
+const { readSession } = require('./session-recorder');
+
+const SKIPPED_COMMANDS = new Set(['claim_control', 'release_control', 'transfer_control']);
+
+function parseArgs(argv) {
+  const options = { speed: 1, maxGap: Infinity, client: null, port: 9320, dryRun: false, out: null, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--speed': options.speed = Number(argv[++i]); break;
+      case '--max-gap': options.maxGap = Number(argv[++i]); break;
+      case '--client': options.client = argv[++i]; break;
+      case '--port': options.port = Number(argv[++i]); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--out': options.out = argv[++i]; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        options.file = arg;
+    }
+  }
+  if (!options.file) throw new Error('Usage: replay-session.js <session.ndjson> [--speed n] [--max-gap ms] [--client id] [--port n] [--dry-run] [--out file]');
+  if (!(options.speed > 0)) throw new Error('--speed must be a positive number');
+  if (!(options.maxGap >= 0)) throw new Error('--max-gap must be a non-negative number');
+  return options;
+}
+
+/**
+ * Commands to replay, with delays already scaled by speed / max gap
+ * @returns {Array<{ at: number, t: number, client: string, type: string, payload: object }>}
+ */
+function buildTimeline(entries, options = {}) {
+  const { speed = 1, maxGap = Infinity, client = null } = options;
+  const commands = entries.filter(e => e.dir === 'in'
+    && !SKIPPED_COMMANDS.has(e.type)
+    && (!client || e.client === client));
+
+  let at = 0;
+  let prevT = commands.length > 0 ? commands[0].t : 0;
+  return commands.map((entry) => {
+    at += Math.min(entry.t - prevT, maxGap) / speed;
+    prevT = entry.t;
+    return { at: Math.round(at), t: entry.t, client: entry.client, type: entry.type, payload: entry.payload || {} };
+  });
+}
+
+class SessionReplayer {
+  /**
+   * @param {Array} timeline - From buildTimeline()
+   * @param {object} [options]
+   *   - connector: ClawMateConnector to send through (default: new one on port)
+   *   - port: Bridge port (default 9320)
+   *   - out: Writable stream for received replies/events (NDJSON)
+   */
+  constructor(timeline, options = {}) {
+    this.timeline = timeline;
+    this.connector = options.connector || new ClawMateConnector(options.port || 9320, { name: 'replay' });
+    this.out = options.out || null;
+    this.results = { sent: 0, failed: 0 };
+    this._startedAt = 0;
+  }
+
+  async run() {
+    await this.connector.connect();
+    if (!this.connector.hasControl) {
+      try {
+        await this.connector.claimControl();
+      } catch (err) {
+        console.warn(`[Replay] Could not claim control (${err.message}) -- commands may be refused`);
+      }
+    }
+
+    this._startedAt = Date.now();
+    if (this.out) {
+      this.connector.ws.on('message', (data) => this._recordIncoming(data));
+    }
+
+    const inFlight = [];
+    for (const step of this.timeline) {
+      const wait = this._startedAt + step.at - Date.now();
+      if (wait > 0) await sleep(wait);
+      inFlight.push(this._send(step));
+    }
+    await Promise.all(inFlight);
+    this.connector.disconnect();
+    return this.results;
+  }
+
+  async _send(step) {
+    console.log(`[Replay] +${(step.t / 1000).toFixed(1)}s ${step.client} ${step.type}`);
+    try {
+      await this.connector.sendCommand(step.type, step.payload, 10000);
+      this.results.sent++;
+    } catch (err) {
+      this.results.failed++;
+      console.warn(`[Replay] ${step.type} failed: ${err.message}`);
+    }
+  }
+
+  _recordIncoming(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+    const entry = { t: Date.now() - this._startedAt, dir: 'out', type: msg.type, payload: msg.payload };
+    this.out.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { header, entries } = readSession(options.file);
+  const timeline = buildTimeline(entries, options);
+
+  console.log(`[Replay] ${options.file}: recorded ${header.startedAt} (ClawMate ${header.appVersion}, protocol ${header.protocolVersion})`);
+  const duration = timeline.length ? timeline[timeline.length - 1].at : 0;
+  console.log(`[Replay] ${timeline.length} commands over ${(duration / 1000).toFixed(1)}s at ${options.speed}x`);
+
+  if (options.dryRun) {
+    for (const step of timeline) {
+      console.log(`  +${(step.at / 1000).toFixed(2)}s  ${step.client.padEnd(6)} ${step.type} ${JSON.stringify(step.payload)}`);
+    }
+    return;
+  }
+
+  const out = options.out ? fs.createWriteStream(options.out) : null;
+  const replayer = new SessionReplayer(timeline, { port: options.port, out });
+  const results = await replayer.run();
+  if (out) out.end();
+  console.log(`[Replay] Done: ${results.sent} sent, ${results.failed} failed`);
+  if (results.failed > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`[Replay] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildTimeline, SessionReplayer, parseArgs };
@@ -0,0 +1,183 @@
+/**
+ * AI Brain response cache
+ *
+ * Trigger responses are cached under a normalised key instead of the raw
+ * window title, so "index.js - clawmate - VS Code" and "index.js (2) -
+ * clawmate - VS Code" at 12:10 and 14:40 hit the same entry:
+ *   trigger | category | app | title tokens (in title order) | 3-hour bucket
+ * Numbers, punctuation, one-letter and repeated tokens are dropped from titles.
+ * Only LOW-importance triggers are answered from the cache -- the key isn't
+ * exact enough for errors and the like.
+ *
+ * Low-value triggers (coding_detected, terminal_active, ...) are skipped
+ * outright while their context matches the last one that reached the API.
+ *
+ * Entries persist through a Store-like { get, set } object (memory-only
+ * without one). Hit-rate stats are kept per session and in total.
+ * Electron-free.
+ */
+
+const DEFAULT_TTL = 3 * 60 * 60 * 1000;   // 3h
+const DEFAULT_MAX_ENTRIES = 200;
+const HOUR_BUCKET = 3;
+
+// Fire often with little new to say
+const LOW_VALUE_TRIGGERS = new Set([
+  'coding_detected', 'terminal_active', 'document_editing', 'dev_web_detected',
+  'app_switch', 'music_playing', 'news_reading', 'video_watching',
+]);
+// Context counts as unchanged at this title-token overlap (Jaccard)...
+const REPEAT_SIMILARITY = 0.75;
+// ...within this long of the last call for the trigger
+const REPEAT_WINDOW = 20 * 60 * 1000;
+
+/**
+ * Title -> distinct tokens in title order (lowercase, no numbers/punctuation)
+ */
+function titleTokens(title) {
+  if (!title) return [];
+  const tokens = String(title).toLowerCase()
+    .replace(/\d+/g, ' ')
+    .split(/[^\p{L}]+/u)
+    .filter(token => token.length > 1);
+  return [...new Set(tokens)];
+}
+
+/**
+ * @param {string} trigger
+ * @param {object} context - Trigger context (title/activeTitle, activeApp/appName, category)
+ * @param {Date} [now]
+ */
+function buildCacheKey(trigger, context = {}, now = new Date()) {
+  const tokens = titleTokens(context.title || context.activeTitle);
+  const app = String(context.activeApp || context.appName || '').toLowerCase();
+  const bucket = Math.floor(now.getHours() / HOUR_BUCKET);
+  return `${trigger}|${context.category || ''}|${app}|${tokens.join(' ')}|h${bucket}`;
+}
+
+function similarity(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  const setB = new Set(b);
+  const shared = a.filter(token => setB.has(token)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+class ResponseCache {
+  /**
+   * @param {object} [options]
+   *   - store: { get(key), set(key, value) } for persistence (e.g. Store('clawmate-ai-cache'))
+   *   - ttl: Entry lifetime in ms (default 3h)
+   *   - maxEntries: Oldest entries are evicted past this (default 200)
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+
+    this.entries = new Map(Object.entries(this.store?.get('entries') || {}));
+    this.totals = { hits: 0, misses: 0, skipped: 0, ...(this.store?.get('stats') || {}) };
+    this.session = { hits: 0, misses: 0, skipped: 0 };
+
+    // trigger -> { tokens, app, time } of the last context that reached the API
+    this._lastContext = new Map();
+    this._saveTimer = null;
+
+    this._prune();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && Date.now() - entry.timestamp <= this.ttl) {
+      this._count('hits');
+      return entry.response;
+    }
+    if (entry) this.entries.delete(key);
+    this._count('misses');
+    return null;
+  }
+
+  set(key, response) {
+    this.entries.delete(key);  // Re-insert as newest
+    this.entries.set(key, { response, timestamp: Date.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this._scheduleSave();
+  }
+
+  /**
+   * Low-value trigger whose context hasn't meaningfully changed since the
+   * last call -- not worth a response at all. Counted as skipped.
+   */
+  isRepeat(trigger, context = {}) {
+    if (!LOW_VALUE_TRIGGERS.has(trigger)) return false;
+    const last = this._lastContext.get(trigger);
+    if (!last || Date.now() - last.time > REPEAT_WINDOW) return false;
+
+    const app = String(context.activeApp || context.appName || '').toLowerCase();
+    const repeat = app === last.app
+      && similarity(titleTokens(context.title || context.activeTitle), last.tokens) >= REPEAT_SIMILARITY;
+    if (repeat) this._count('skipped');
+    return repeat;
+  }
+
+  /** Remember the context of a trigger that went to the API (for isRepeat) */
+  noteContext(trigger, context = {}) {
+    this._lastContext.set(trigger, {
+      tokens: titleTokens(context.title || context.activeTitle),
+      app: String(context.activeApp || context.appName || '').toLowerCase(),
+      time: Date.now(),
+    });
+  }
+
+  /**
+   * @returns {{ size, hits, misses, skipped, hitRate, total: { hits, misses, skipped, hitRate } }}
+   *   hitRate: hits / lookups (0..1)
+   */
+  getStats() {
+    const rate = s => (s.hits + s.misses > 0 ? Math.round((s.hits / (s.hits + s.misses)) * 1000) / 1000 : 0);
+    return {
+      size: this.entries.size,
+      ...this.session,
+      hitRate: rate(this.session),
+      total: { ...this.totals, hitRate: rate(this.totals) },
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+    this._lastContext.clear();
+    this._scheduleSave();
+  }
+
+  /** Write pending changes now (call on quit) */
+  flush() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    if (!this.store) return;
+    this.store.set('entries', Object.fromEntries(this.entries));
+    this.store.set('stats', this.totals);
+  }
+
+  _count(kind) {
+    this.session[kind]++;
+    this.totals[kind]++;
+    this._scheduleSave();
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (!entry || now - entry.timestamp > this.ttl) this.entries.delete(key);
+    }
+  }
+
+  // Batched: cache lookups happen on every trigger
+  _scheduleSave() {
+    if (!this.store || this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this.flush(), 5000);
+    if (this._saveTimer.unref) this._saveTimer.unref();
+  }
+}
+
+module.exports = { ResponseCache, buildCacheKey, titleTokens, LOW_VALUE_TRIGGERS };
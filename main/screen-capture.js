@@ -0,0 +1,324 @@
+/**
+ * Screen capture with privacy policies
+ *
+ * Every screenshot that leaves for an AI goes through capture():
+ *   ProactiveMonitor visual triggers, the bridge's query_screen (also the
+ *   HTTP API), the renderer's capture-screen and AI Brain's autonomous look.
+ *
+ * Policies (persisted through a Store-like { get, set }):
+ *   mode:           'on' (default) | 'local_only' (only for the on-device 'local' provider) | 'never'
+ *   area:           'screen' (default) | 'active_window' (crop to the focused window)
+ *   maskRegions:    [{ x, y, width, height, style: 'blur'|'black' }] in screen coordinates
+ *                   of the primary display -- blurred beyond reading or blacked out
+ *   excludedTitles: extra title patterns (substring or "/regex/flags") on top of the
+ *                   built-in banking / password manager / private browsing list
+ * Windows excluded in the privacy filter (excludedApps) are never captured either.
+ * All of them are set from the tray's Screen Capture menu; mask regions are
+ * taken from a window's area (maskActiveWindow).
+ *
+ * Every attempt is appended to an NDJSON audit log:
+ *   { t, purpose, destination, result: 'sent'|'blocked'|'failed', reason, title, area, width, height, bytes }
+ * Entries older than the retention period are dropped at startup; only the
+ * latest MAX_AUDIT_ENTRIES stay in memory for getAudit() and summary().
+ */
+const { desktopCapturer, screen, nativeImage } = require('electron');
+const { getActiveWindowTitle, getActiveWindowBounds } = require('./platform');
+const { HIDDEN_TITLE } = require('./privacy-filter');
+const { appendEntry, loadEntries } = require('./ndjson-log');
+
+const BLOCKED_TITLE_PATTERNS = [
+  // Banking / payments
+  /\bbank(ing)?\b/i, /online banking/i, /paypal/i, /\uC740\uD589/, /\uC778\uD130\uB137\uBC45\uD0B9/, /\uACF5\uB3D9\uC778\uC99D\uC11C/,
+  // Password managers / sign-in
+  /1password/i, /bitwarden/i, /lastpass/i, /keepass/i, /dashlane/i, /keychain access/i,
+  /\bpassword\b/i, /\bsign[ -]?in\b/i, /\blog[ -]?in\b/i, /\uBE44\uBC00\uBC88\uD638/, /\uB85C\uADF8\uC778/,
+  // Private browsing
+  /incognito/i, /inprivate/i, /private browsing/i, /\uC2DC\uD06C\uB9BF \uBAA8\uB4DC/,
+];
+
+const DEFAULTS = {
+  mode: 'on',
+  area: 'screen',
+  maskRegions: [],
+  excludedTitles: [],
+};
+
+const MASK_STYLES = ['blur', 'black'];
+const BLUR_FACTOR = 24;  // Blurred regions are shrunk this much and scaled back up
+const BLACK_PIXEL = Buffer.from([0, 0, 0, 255]);  // Opaque in BGRA and RGBA alike
+const AUDIT_RETENTION_DAYS = 30;
+const MAX_AUDIT_ENTRIES = 1000;  // Kept in memory; the log file has the full history
+
+/**
+ * "/regex/flags" or a case-insensitive substring -> RegExp (null if invalid)
+ */
+function toPattern(pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  try {
+    if (regex) return new RegExp(regex[1], regex[2]);
+    return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  } catch {
+    return null;
+  }
+}
+
+function isRect(r) {
+  return r && ['x', 'y', 'width', 'height'].every(k => Number.isFinite(r[k])) && r.width > 0 && r.height > 0;
+}
+
+/**
+ * Rectangle in screen coordinates -> pixel rectangle of an image showing `display`
+ * (clipped to the image; null when nothing is left)
+ */
+function toImageRect(rect, display, imageSize) {
+  const scaleX = imageSize.width / display.width;
+  const scaleY = imageSize.height / display.height;
+  const left = Math.max(0, Math.floor((rect.x - display.x) * scaleX));
+  const top = Math.max(0, Math.floor((rect.y - display.y) * scaleY));
+  const right = Math.min(imageSize.width, Math.ceil((rect.x + rect.width - display.x) * scaleX));
+  const bottom = Math.min(imageSize.height, Math.ceil((rect.y + rect.height - display.y) * scaleY));
+  if (right <= left || bottom <= top) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Copy of `image` with the masks drawn in. Blur patches are shrunk and scaled
+ * back up by nativeImage; black ones are filled row by row. Blur goes first
+ * so an overlapping patch can't bring back pixels a black mask hid.
+ */
+function applyMasks(image, masks) {
+  const size = image.getSize();
+  const bitmap = image.toBitmap();
+  const ordered = [...masks.filter(m => m.style === 'blur'), ...masks.filter(m => m.style !== 'blur')];
+  for (const { rect, style } of ordered) {
+    const rowBytes = rect.width * 4;
+    let patch = null;
+    if (style === 'blur') {
+      patch = image.crop(rect)
+        .resize({ width: Math.ceil(rect.width / BLUR_FACTOR), height: Math.ceil(rect.height / BLUR_FACTOR) })
+        .resize({ width: rect.width, height: rect.height })
+        .toBitmap();
+      if (patch.length !== rowBytes * rect.height) patch = null;  // Unexpected size: black it out instead
+    }
+    for (let row = 0; row < rect.height; row++) {
+      const offset = ((rect.y + row) * size.width + rect.x) * 4;
+      if (patch) patch.copy(bitmap, offset, row * rowBytes, (row + 1) * rowBytes);
+      else bitmap.fill(BLACK_PIXEL, offset, offset + rowBytes);
+    }
+  }
+  return nativeImage.createFromBitmap(bitmap, size);
+}
+
+class ScreenCapture {
+  /**
+   * @param {object} [options]
+   *   - store: { get(key), set(key, value) } for the policies
+   *   - auditPath: NDJSON audit log (no log without it)
+   *   - privacy: PrivacyFilter -- its excluded apps are never captured; audited titles are redacted
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.auditPath = options.auditPath || null;
+    this.privacy = options.privacy || null;
+    this.settings = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      const saved = this.store?.get(key);
+      if (saved !== undefined) this.settings[key] = saved;
+    }
+    this.audit = this.auditPath ? loadEntries(this.auditPath, AUDIT_RETENTION_DAYS).slice(-MAX_AUDIT_ENTRIES) : [];
+  }
+
+  /**
+   * Capture the primary display as base64 JPEG, if the policies allow it
+   * @param {object} request
+   *   - purpose: what it's for, e.g. 'trigger:error_loop', 'query_screen', 'autonomous'
+   *   - destination: 'bridge' | 'brain' | 'renderer' (audit only)
+   *   - local: the receiver is an on-device model (checked in 'local_only' mode)
+   *   - title: active window title, if the caller already knows it
+   *   - maxWidth, maxHeight, quality: JPEG size (default 960x540, 40)
+   * @returns {Promise<{ image, width, height }|null>} null: blocked or failed (see the audit log)
+   */
+  async capture(request = {}) {
+    const entry = {
+      purpose: request.purpose || 'other',
+      destination: request.destination || 'bridge',
+      area: this.settings.area,
+    };
+
+    const title = request.title !== undefined ? request.title : await getActiveWindowTitle();
+    const blocked = this._checkPolicy(title, !!request.local);
+    entry.title = this._auditTitle(title);
+    if (blocked) {
+      this._record({ ...entry, result: 'blocked', reason: blocked });
+      return null;
+    }
+
+    try {
+      const shot = await this._grab(request);
+      if (shot.error) {
+        this._record({ ...entry, result: shot.blocked ? 'blocked' : 'failed', reason: shot.error });
+        return null;
+      }
+      const jpegBuffer = shot.image.toJPEG(request.quality || 40);
+      const { width, height } = shot.image.getSize();
+      this._record({ ...entry, result: 'sent', reason: null, width, height, bytes: jpegBuffer.length });
+      return { image: jpegBuffer.toString('base64'), width, height };
+    } catch (err) {
+      this._record({ ...entry, result: 'failed', reason: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Why a capture may not be taken right now
+   * @returns {string|null} Reason, or null when allowed
+   */
+  _checkPolicy(title, local) {
+    if (this.settings.mode === 'never') return 'never_capture';
+    if (this.settings.mode === 'local_only' && !local) return 'local_only';
+    if (this.privacy && title && this.privacy.filterTitle(title) === HIDDEN_TITLE) return 'excluded_app';
+    if (title && BLOCKED_TITLE_PATTERNS.some(re => re.test(title))) return 'sensitive_window';
+    const custom = this.settings.excludedTitles.map(toPattern).filter(Boolean);
+    if (title && custom.some(re => re.test(title))) return 'excluded_title';
+    return null;
+  }
+
+  /**
+   * Screenshot of the primary display with masks applied and, in
+   * 'active_window' mode, cropped to the focused window
+   * @returns {Promise<{ image: NativeImage }|{ error: string, blocked?: boolean }>}
+   */
+  async _grab(request) {
+    const display = screen.getPrimaryDisplay();
+    const maxWidth = request.maxWidth || 960;
+    const maxHeight = request.maxHeight || 540;
+
+    // Look up the window before capturing so a failed lookup costs no screenshot
+    let windowRect = null;
+    if (this.settings.area === 'active_window') {
+      const bounds = await getActiveWindowBounds();
+      if (!isRect(bounds)) return { error: 'no_active_window', blocked: true };
+      // Win32 reports physical pixels; display bounds are DIP
+      windowRect = process.platform === 'win32' ? screen.screenToDipRect(null, bounds) : bounds;
+    }
+
+    const sources = await desktopCapturer.getSources({
+      types: ['screen'],
+      thumbnailSize: { width: Math.min(display.size.width, maxWidth), height: Math.min(display.size.height, maxHeight) },
+    });
+    if (sources.length === 0) return { error: 'No screen source found' };
+    const source = sources.find(s => s.display_id === String(display.id)) || sources[0];
+
+    let image = source.thumbnail;
+    const size = image.getSize();
+    const masks = this.settings.maskRegions
+      .map(region => ({ rect: toImageRect(region, display.bounds, size), style: region.style }))
+      .filter(mask => mask.rect);
+    if (masks.length > 0) image = applyMasks(image, masks);
+
+    if (windowRect) {
+      const crop = toImageRect(windowRect, display.bounds, size);
+      if (!crop) return { error: 'active_window_off_screen', blocked: true };
+      image = image.crop(crop);
+    }
+    return { image };
+  }
+
+  // === Settings ===
+
+  getSettings() {
+    return {
+      ...this.settings,
+      maskRegions: this.settings.maskRegions.map(r => ({ ...r })),
+      excludedTitles: [...this.settings.excludedTitles],
+    };
+  }
+
+  /**
+   * Validate and apply one setting
+   * @returns {boolean} Applied
+   */
+  update(key, value) {
+    const valid = {
+      mode: v => ['on', 'local_only', 'never'].includes(v),
+      area: v => v === 'screen' || v === 'active_window',
+      maskRegions: v => Array.isArray(v) && v.every(r => isRect(r) && MASK_STYLES.includes(r.style || 'black')),
+      excludedTitles: v => Array.isArray(v) && v.every(p => typeof p === 'string' && p.trim() && toPattern(p)),
+    }[key];
+    if (!valid || !valid(value)) return false;
+
+    if (key === 'maskRegions') {
+      value = value.map(r => ({ x: r.x, y: r.y, width: r.width, height: r.height, style: r.style || 'black' }));
+    } else if (key === 'excludedTitles') {
+      value = [...new Set(value.map(p => p.trim()))];
+    }
+    this.settings[key] = value;
+    if (this.store) this.store.set(key, value);
+    console.log(`[Screen Capture] ${key} updated`);
+    return true;
+  }
+
+  /**
+   * Add the area the focused window covers right now as a mask region
+   * @param {'blur'|'black'} style
+   * @returns {Promise<boolean>} Added (false: no focused window found)
+   */
+  async maskActiveWindow(style) {
+    const bounds = await getActiveWindowBounds();
+    if (!isRect(bounds)) return false;
+    // Win32 reports physical pixels; mask regions are DIP like the display bounds
+    const rect = process.platform === 'win32' ? screen.screenToDipRect(null, bounds) : bounds;
+    const region = {
+      x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height), style,
+    };
+    return this.update('maskRegions', [...this.settings.maskRegions, region]);
+  }
+
+  // === Audit log ===
+
+  /**
+   * Recent attempts (at most MAX_AUDIT_ENTRIES; the log file has the rest)
+   * @param {Date|number} [since] - Only entries at or after this time
+   */
+  getAudit(since = 0) {
+    const from = new Date(since).getTime();
+    return this.audit.filter(e => Date.parse(e.t) >= from);
+  }
+
+  /**
+   * @returns {{ sent, blocked, failed }}
+   */
+  summary(since = 0) {
+    const counts = { sent: 0, blocked: 0, failed: 0 };
+    for (const entry of this.getAudit(since)) counts[entry.result]++;
+    return counts;
+  }
+
+  _auditTitle(title) {
+    if (!title) return '';
+    return this.privacy ? this.privacy.filterTitle(title) : title;
+  }
+
+  _record(fields) {
+    const entry = {
+      t: new Date().toISOString(),
+      width: 0,
+      height: 0,
+      bytes: 0,
+      ...fields,
+    };
+    this.audit.push(entry);
+    if (this.audit.length > MAX_AUDIT_ENTRIES) this.audit.shift();
+    if (entry.result !== 'sent') {
+      console.log(`[Screen Capture] ${entry.purpose}: ${entry.result} (${entry.reason})`);
+    }
+    if (!this.auditPath) return;
+    try {
+      appendEntry(this.auditPath, entry);
+    } catch (err) {
+      console.error('[Screen Capture] Audit write failed:', err.message);
+    }
+  }
+}
+
+module.exports = { ScreenCapture, BLOCKED_TITLE_PATTERNS, toImageRect };
@@ -0,0 +1,183 @@
+/**
+ * AI Bridge session recorder
+ *
+ * Writes bridge traffic to an NDJSON file so odd pet behaviour can be
+ * reproduced later with main/replay-session.js.
+ *
+ * File layout (one JSON object per line):
+ *   { kind: 'header', format: 'clawmate-session', version: 1, startedAt, appVersion, protocolVersion }
+ *   { t, dir: 'in',   client, type, id?, payload }   command received from an agent
+ *   { t, dir: 'out',  client, type, id?, payload }   event/reply sent ('*' = broadcast)
+ *   { t, dir: 'meta', client, type, payload }        client_connected / client_disconnected / initial_state
+ * `t` is milliseconds since the session started.
+ *
+ * Screenshots (any `image` string) are never written inline:
+ *   screens: 'strip'     -> replaced by '[image N bytes]' (default)
+ *   screens: 'reference' -> saved next to the session as <name>-screens/<n>.jpg
+ *                           and replaced by { imageFile }
+ * Auth tokens never reach the recorder (hello is not recorded).
+ * Text goes through the privacy filter before it's written: window titles
+ * (title, activeTitle, titles, ...) via filterTitle -- excluded apps become
+ * '[private window]' -- and every other string, clipboard text included,
+ * has its secrets masked.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PrivacyFilter, redactText } = require('./privacy-filter');
+
+const FORMAT = 'clawmate-session';
+const FORMAT_VERSION = 1;
+
+// Strings shorter than this under an `image` key are left alone (already refs/placeholders)
+const MIN_IMAGE_LENGTH = 256;
+// Keys holding window titles / app names
+const TITLE_KEYS = new Set(['title', 'titles', 'activeTitle', 'searchTitle', 'activeApp', 'appName', 'from', 'to']);
+
+class SessionRecorder {
+  /**
+   * @param {string} dir - Folder for session files (created on demand)
+   * @param {object} [options]
+   *   - screens: 'strip' | 'reference'
+   *   - privacy: PrivacyFilter for titles (built-in rules without one)
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.screens = options.screens === 'reference' ? 'reference' : 'strip';
+    this.privacy = options.privacy || new PrivacyFilter();
+    this.filePath = null;
+    this._stream = null;
+    this._startedAt = 0;
+    this._screenCount = 0;
+  }
+
+  isRecording() {
+    return !!this._stream;
+  }
+
+  /**
+   * Open a new session file
+   * @param {object} [meta] - Extra header fields (appVersion, protocolVersion, ...)
+   * @returns {string} Session file path
+   */
+  start(meta = {}) {
+    if (this._stream) return this.filePath;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+    this.filePath = path.join(this.dir, `session-${stamp}.ndjson`);
+    this._stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this._stream.on('error', (err) => {
+      console.error('[Recorder] Write failed:', err.message);
+      this._stream = null;
+    });
+    this._startedAt = Date.now();
+    this._screenCount = 0;
+
+    this._write({
+      kind: 'header',
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      startedAt: new Date(this._startedAt).toISOString(),
+      ...meta,
+    });
+    console.log(`[Recorder] Recording bridge session to ${this.filePath}`);
+    return this.filePath;
+  }
+
+  stop() {
+    if (!this._stream) return null;
+    this._stream.end();
+    this._stream = null;
+    console.log(`[Recorder] Session saved: ${this.filePath}`);
+    return this.filePath;
+  }
+
+  /**
+   * @param {'in'|'out'|'meta'} dir
+   * @param {string} client - Client id, '*' for broadcasts, 'local' for in-process callers
+   * @param {string} type
+   * @param {object} payload
+   * @param {*} [id] - Correlation id
+   */
+  record(dir, client, type, payload, id) {
+    if (!this._stream) return;
+    const entry = { t: Date.now() - this._startedAt, dir, client, type };
+    if (id !== undefined && id !== null) entry.id = id;
+    entry.payload = this._scrub(payload);
+    this._write(entry);
+  }
+
+  _write(obj) {
+    try {
+      this._stream.write(JSON.stringify(obj) + '\n');
+    } catch (err) {
+      console.error('[Recorder] Serialize failed:', err.message);
+    }
+  }
+
+  /**
+   * Copy of value with screenshots stripped or saved to files and text filtered
+   */
+  _scrub(value, key) {
+    if (typeof value === 'string') {
+      if (key === 'image' && value.length >= MIN_IMAGE_LENGTH) return this._replaceImage(value);
+      if (TITLE_KEYS.has(key)) return this.privacy.filterTitle(value);
+      return redactText(value).text;
+    }
+    // Array items inherit the key (titles: [...])
+    if (Array.isArray(value)) return value.map(v => this._scrub(v, key));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        const scrubbed = this._scrub(v, k);
+        if (k === 'image' && scrubbed && typeof scrubbed === 'object') {
+          Object.assign(out, scrubbed);
+        } else {
+          out[k] = scrubbed;
+        }
+      }
+      return out;
+    }
+    return value;
+  }
+
+  _replaceImage(base64) {
+    const bytes = Math.floor(base64.length * 3 / 4);
+    if (this.screens !== 'reference') return `[image ${bytes} bytes]`;
+
+    const screensDir = this.filePath.replace(/\.ndjson$/, '-screens');
+    const fileName = `${++this._screenCount}.jpg`;
+    try {
+      fs.mkdirSync(screensDir, { recursive: true });
+      fs.writeFileSync(path.join(screensDir, fileName), Buffer.from(base64, 'base64'));
+      return { imageFile: path.join(path.basename(screensDir), fileName) };
+    } catch {
+      return `[image ${bytes} bytes]`;
+    }
+  }
+}
+
+/**
+ * Read a session file back
+ * @returns {{ header: object, entries: object[] }}
+ */
+function readSession(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(l => l.trim());
+  const parsed = lines.map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`${filePath}:${i + 1}: invalid JSON`);
+    }
+  });
+  const header = parsed[0];
+  if (!header || header.kind !== 'header' || header.format !== FORMAT) {
+    throw new Error(`${filePath}: not a ClawMate session file`);
+  }
+  if (header.version > FORMAT_VERSION) {
+    throw new Error(`${filePath}: session format v${header.version} is newer than this tool (v${FORMAT_VERSION})`);
+  }
+  return { header, entries: parsed.slice(1) };
+}
+
+module.exports = { SessionRecorder, readSession };
@@ -357,12 +357,61 @@ async function _executeTargetMove(sourceDir, filter, targetName, callbacks) {
   return finalResult;
 }
 
+/**
+ * Preview a smart file operation without touching the filesystem (dry run)
+ * Applies the same filters and category rules as executeSmartFileOp.
+ * @param {object} command - Same shape as executeSmartFileOp
+ * @returns {{ totalFiles: number, moves: Array<{ fileName: string, from: string, targetName: string }> }}
+ */
+function planSmartFileOp(command) {
+  const { source, filter, target, autoCategory } = command;
+  const moves = [];
+
+  if (autoCategory) {
+    for (const [category, files] of categorizeFiles(source)) {
+      if (category === 'Other' && files.length <= 2) continue;
+      for (const file of files) {
+        moves.push({ fileName: file.name, from: file.path, targetName: category });
+      }
+    }
+  } else {
+    for (const file of listFilteredFiles(source, filter)) {
+      moves.push({ fileName: file.name, from: file.path, targetName: target });
+    }
+  }
+
+  return { totalFiles: moves.length, moves };
+}
+
+/**
+ * Callbacks that play the carry animation in the pet window
+ * (sent over the same 'ai-command' channel as bridge commands)
+ * @param {Function} getWindow - Returns the main BrowserWindow
+ */
+function createAnimationCallbacks(getWindow) {
+  const send = (payload) => {
+    const win = getWindow();
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('ai-command', { type: 'smart_file_op', payload });
+    }
+  };
+  return {
+    onStart: (totalFiles) => send({ phase: 'start', totalFiles }),
+    onPickUp: (fileName, index) => send({ phase: 'pick_up', fileName, index }),
+    onDrop: (fileName, targetName, index) => send({ phase: 'drop', fileName, targetName, index }),
+    onComplete: (result) => send({ phase: 'complete', ...result }),
+    onError: (error) => send({ phase: 'error', error }),
+  };
+}
+
 function _sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 module.exports = {
   executeSmartFileOp,
+  planSmartFileOp,
+  createAnimationCallbacks,
   listFilteredFiles,
   categorizeFiles,
   validateFile,
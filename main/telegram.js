@@ -31,11 +31,14 @@ class TelegramBot extends EventEmitter {
    * @param {object} options - Additional options
    *   - token: Bot token (takes priority over env variable)
    *   - allowedChatIds: List of allowed chat IDs (security)
+   *   - aiBrain: AIBrain that answers chat messages
+   *   - dnd: DoNotDisturb -- pet speech isn't relayed while it's on (notify() alerts still are)
    */
   constructor(bridge, options = {}) {
     super();
     this.bridge = bridge;
     this.aiBrain = options.aiBrain || null;
+    this.dnd = options.dnd || null;
     this.bot = null;
     this.active = false;
     this.allowedChatIds = options.allowedChatIds || null;
@@ -142,7 +145,8 @@ class TelegramBot extends EventEmitter {
         '- Character change: "Change to blue cat"\n' +
         '- /reset: Reset to default character\n' +
         '- /status: Check pet status\n' +
-        '- /undo: Undo last file move'
+        '- /undo: Undo last file move\n' +
+        '- /forget: Forget our conversation so far'
       );
       return;
     }
@@ -157,6 +161,14 @@ class TelegramBot extends EventEmitter {
       return;
     }
 
+    if (text === '/forget') {
+      const forgotten = this.aiBrain ? this.aiBrain.memory.clearThread(chatId) : false;
+      await this.bot.sendMessage(chatId, forgotten
+        ? 'Conversation forgotten. Fresh start!'
+        : 'Nothing to forget yet.');
+      return;
+    }
+
     if (text === '/reset') {
       this._sendToBridge('reset_character', {});
       await this.bot.sendMessage(chatId, 'Reset to default character!');
@@ -177,16 +189,12 @@ class TelegramBot extends EventEmitter {
         // AI Brain handles conversation if available
         if (this.aiBrain?.isActive) {
           try {
-            const aiResponse = await this.aiBrain.callAPI(
-              [{ role: 'user', content: command.text }],
-              { importance: 'high', maxTokens: 200 }
-            );
-            const parsed = this.aiBrain._parseResponse(aiResponse);
-            if (parsed?.speech) {
-              await this.bot.sendMessage(chatId, `🦞 ${parsed.speech}`);
-              this._sendToBridge('speak', { text: parsed.speech, style: 'normal' });
-              if (parsed.action) this._sendToBridge('action', { state: parsed.action });
-              if (parsed.emotion) this._sendToBridge('emote', { emotion: parsed.emotion });
+            // Short speech streams into the pet's bubble; the full reply goes to the chat
+            const result = await this.aiBrain.chat(chatId, command.text);
+            if (result) {
+              await this.bot.sendMessage(chatId, `🦞 ${result.reply}`);
+              if (result.action) this._sendToBridge('action', { state: result.action });
+              if (result.emotion) this._sendToBridge('emote', { emotion: result.emotion });
               break;
             }
           } catch (err) {
@@ -566,11 +574,21 @@ class TelegramBot extends EventEmitter {
     this.bridge.emit(type, payload);
   }
 
+  /**
+   * Notify every chat that has talked to the bot (e.g. budget alerts)
+   * Sent even during DND: alerts fire once per threshold, so a held-back one is lost.
+   */
+  notify(text) {
+    this._broadcastToChats(`[Claw] ${text}`, { ignoreDnd: true });
+  }
+
   /**
    * Broadcast message to all active chats
+   * @param {object} [options] - { ignoreDnd: send even while Do Not Disturb is on }
    */
-  _broadcastToChats(text) {
+  _broadcastToChats(text, options = {}) {
     if (!this.bot || !this.active) return;
+    if (!options.ignoreDnd && this.dnd && this.dnd.isActive()) return;
 
     for (const chatId of this.activeChatIds) {
       this.bot.sendMessage(chatId, text).catch(() => {
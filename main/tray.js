@@ -1,15 +1,61 @@
 const { Tray, Menu, nativeImage, app, shell, dialog, clipboard } = require('electron');
+const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const Store = require('./store');
 const { undoAllMoves, getFileManifest } = require('./file-ops');
 const { isAutoStartEnabled, toggleAutoStart } = require('./autostart');
+const { createProvider } = require('./ai-providers');
+const { availableLanguages, getLocale, resolveLanguage } = require('./prompt-locale');
+const { startOfToday, startOfMonth } = require('./cost-ledger');
 
 let tray = null;
 let aiBridge = null;
 
 // (icon generated programmatically in createClawIcon)
 
+// AI Brain provider submenu (ids from ai-providers.js)
+const PROVIDER_LABELS = {
+  anthropic: 'Anthropic (Claude)',
+  openai: 'OpenAI-compatible API',
+  local: 'Local Server (Ollama / llama.cpp)',
+};
+
+// Do Not Disturb reasons (do-not-disturb.js getReason())
+const DND_REASON_LABELS = {
+  snooze: 'On (snoozed)',
+  quiet_hours: 'On (quiet hours)',
+  fullscreen: 'On (fullscreen app)',
+  meeting: 'On (meeting)',
+};
+
+/** Whole hours for the quiet-hours pickers, plus the current time if it's not one of them */
+function quietHourChoices(current) {
+  const hours = Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`);
+  return hours.includes(current) ? hours : [...hours, current].sort();
+}
+
+// Time to focus the window whose area gets masked (the open tray menu has focus)
+const MASK_DELAY = 5000;
+
+// Cost breakdown rows (ledger feature ids from cost-ledger.js; 'trigger:<name>' shown as is)
+const FEATURE_LABELS = {
+  autonomous: 'Autonomous thoughts',
+  telegram: 'Telegram chat',
+  telegram_summary: 'Telegram summaries',
+  character: 'Character generation',
+  other: 'Other',
+};
+
+function costBreakdownItems(rows) {
+  if (rows.length === 0) return [{ label: '  (no calls)', enabled: false }];
+  return rows.map(row => ({
+    label: `  ${FEATURE_LABELS[row.feature] || row.feature.replace(/^trigger:/, 'Trigger: ')}: $${row.cost.toFixed(3)}`,
+    sublabel: `${row.calls} call${row.calls === 1 ? '' : 's'}${row.visionCalls ? `, ${row.visionCalls} with screenshot` : ''}`,
+    enabled: false,
+  }));
+}
+
 /**
  * Character preset list
  * When selected from tray, sent to renderer via set_character command
@@ -119,13 +165,24 @@ function createClawIcon() {
   return nativeImage.createFromBuffer(buf, { width: size, height: size });
 }
 
-function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
+/**
+ * @param {object} options
+ *   - mainWindow, bridge: required
+ *   - getProactiveMonitor, getHttpApi: getters, since both are replaced at runtime
+ *   - aiConfig, aiBrain, promptPacks, costLedger, triggerRules, detectors, dnd,
+ *     privacy, screenCapture: optional -- their menu items are left out without them
+ */
+function setupTray({
+  mainWindow, bridge, getProactiveMonitor, getHttpApi = null, aiConfig = null, aiBrain = null, promptPacks = null,
+  costLedger = null, triggerRules = null, detectors = null, dnd = null, privacy = null, screenCapture = null,
+}) {
   aiBridge = bridge;
   const store = new Store('clawmate-config', {
     mode: 'pet',
     character: 'default',
     telegramToken: '',
     proactiveEnabled: true,
+    httpApiEnabled: false,
   });
 
   const icon = createClawIcon();
@@ -140,6 +197,26 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
     const currentChar = store.get('character') || 'default';
     const hasTelegramToken = !!(store.get('telegramToken'));
     const proactiveEnabled = store.get('proactiveEnabled') !== false;
+    const httpApiEnabled = !!store.get('httpApiEnabled');
+    const httpApi = getHttpApi ? getHttpApi() : null;
+    const provider = aiConfig ? createProvider(aiConfig) : null;
+    const modelSetting = aiConfig ? (aiConfig.get('model') || 'auto') : 'auto';
+    const breaker = aiBrain ? aiBrain.getStatus().breaker : null;
+    const selectedModel = provider && modelSetting !== 'auto' ? provider.modelFor(modelSetting) : null;
+    const languageSetting = aiConfig ? (aiConfig.get('language') || 'auto') : 'auto';
+    const dndStatus = dnd ? dnd.getStatus() : null;
+    // HIGH-importance triggers are the only ones DND can let through
+    const dndAllowChoices = dndStatus ? [...new Set([
+      ...(triggerRules ? Object.entries(triggerRules.list().triggers).filter(([, t]) => t.importance === 'high').map(([name]) => name) : []),
+      ...dndStatus.allowlist,
+    ])] : [];
+    const privacySettings = privacy ? privacy.getSettings() : null;
+    const activeApp = getProactiveMonitor ? getProactiveMonitor()?.getActiveApp() : '';
+    const activeTitle = getProactiveMonitor ? getProactiveMonitor()?.getActiveTitle() : '';
+    const captureSettings = screenCapture ? screenCapture.getSettings() : null;
+    const captureToday = screenCapture ? screenCapture.summary(startOfToday()) : null;
+    const customCategories = triggerRules ? triggerRules.list().categories.filter(c => c.custom).length : 0;
+    const packSetting = aiConfig && promptPacks && promptPacks.has(aiConfig.get('promptPack')) ? aiConfig.get('promptPack') : 'default';
 
     // Character submenu
     const characterSubmenu = Object.entries(CHARACTER_PRESETS).map(([key, preset]) => ({
@@ -249,6 +326,233 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
           }
         },
       },
+      ...(dndStatus ? [{
+        label: 'Do Not Disturb',
+        sublabel: dndStatus.active ? DND_REASON_LABELS[dndStatus.reason] : 'Off',
+        submenu: [
+          ...(dndStatus.snoozeUntil ? [
+            {
+              label: `Snoozed until ${new Date(dndStatus.snoozeUntil).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`,
+              enabled: false,
+            },
+            { label: 'Resume Now', click: () => dnd.cancelSnooze() },
+          ] : []),
+          { label: 'Snooze 30 Minutes', click: () => dnd.snooze(30) },
+          { label: 'Snooze 1 Hour', click: () => dnd.snooze(60) },
+          { label: `Snooze Until Tomorrow ${dndStatus.quietHours.end}`, click: () => dnd.snooze('tomorrow') },
+          { type: 'separator' },
+          {
+            label: `Quiet Hours (${dndStatus.quietHours.start}-${dndStatus.quietHours.end})`,
+            sublabel: dndStatus.quietHours.enabled ? 'Every day' : 'Off',
+            submenu: [
+              {
+                label: 'Enabled',
+                type: 'checkbox',
+                checked: dndStatus.quietHours.enabled,
+                click: (item) => dnd.update('quietHours', { enabled: item.checked }),
+              },
+              { type: 'separator' },
+              ...[['start', 'Starts At'], ['end', 'Ends At']].map(([key, label]) => ({
+                label,
+                submenu: quietHourChoices(dndStatus.quietHours[key]).map(time => ({
+                  label: time,
+                  type: 'radio',
+                  checked: dndStatus.quietHours[key] === time,
+                  click: () => dnd.update('quietHours', { [key]: time }),
+                })),
+              })),
+            ],
+          },
+          {
+            label: 'Let Through',
+            sublabel: 'Important alerts that still show during DND',
+            submenu: dndAllowChoices.map(trigger => ({
+              label: trigger,
+              type: 'checkbox',
+              checked: dndStatus.allowlist.includes(trigger),
+              click: (item) => dnd.update('allowlist', item.checked
+                ? [...dndStatus.allowlist, trigger]
+                : dndStatus.allowlist.filter(t => t !== trigger)),
+            })),
+          },
+          {
+            label: 'Auto: Fullscreen Apps',
+            sublabel: 'Presentations, screen sharing, video',
+            type: 'checkbox',
+            checked: dndStatus.autoFullscreen,
+            click: (item) => dnd.update('autoFullscreen', item.checked),
+          },
+          {
+            label: 'Auto: Meetings',
+            type: 'checkbox',
+            checked: dndStatus.autoMeeting,
+            click: (item) => dnd.update('autoMeeting', item.checked),
+          },
+        ],
+      }] : []),
+      ...(privacySettings ? [{
+        label: 'Clipboard Privacy',
+        submenu: [
+          {
+            label: 'Send Redacted Text',
+            sublabel: 'Keys, tokens and passwords masked',
+            type: 'radio',
+            checked: privacySettings.clipboardText === 'redacted',
+            click: () => privacy.update('clipboardText', 'redacted'),
+          },
+          {
+            label: 'Send Type Only',
+            sublabel: 'URL / email / text, never the content',
+            type: 'radio',
+            checked: privacySettings.clipboardText === 'type_only',
+            click: () => privacy.update('clipboardText', 'type_only'),
+          },
+          { type: 'separator' },
+          {
+            label: 'Skip Copies Containing Secrets',
+            type: 'checkbox',
+            checked: privacySettings.secretAction === 'skip',
+            click: (item) => privacy.update('secretAction', item.checked ? 'skip' : 'mask'),
+          },
+          { type: 'separator' },
+          ...privacySettings.excludedApps.map(app => ({
+            label: app,
+            sublabel: 'Excluded -- click to include again',
+            type: 'checkbox',
+            checked: true,
+            click: () => {
+              privacy.update('excludedApps', privacySettings.excludedApps.filter(a => a !== app));
+              buildAndSet();
+            },
+          })),
+          {
+            label: activeApp ? `Exclude ${activeApp}` : 'Exclude Active App',
+            enabled: !!activeApp && !privacySettings.excludedApps.includes(activeApp),
+            click: () => {
+              privacy.update('excludedApps', [...privacySettings.excludedApps, activeApp]);
+              buildAndSet();
+            },
+          },
+        ],
+      }] : []),
+      ...(captureSettings ? [{
+        label: 'Screen Capture',
+        sublabel: `Today: ${captureToday.sent} sent, ${captureToday.blocked} blocked`,
+        submenu: [
+          ...[
+            ['on', 'Allow Captures'],
+            ['local_only', 'Local Model Only'],
+            ['never', 'Never Capture'],
+          ].map(([mode, label]) => ({
+            label,
+            type: 'radio',
+            checked: captureSettings.mode === mode,
+            click: () => { screenCapture.update('mode', mode); buildAndSet(); },
+          })),
+          { type: 'separator' },
+          {
+            label: 'Active Window Only',
+            sublabel: 'Crop captures to the focused window',
+            type: 'checkbox',
+            checked: captureSettings.area === 'active_window',
+            click: (item) => screenCapture.update('area', item.checked ? 'active_window' : 'screen'),
+          },
+          { type: 'separator' },
+          ...captureSettings.maskRegions.map((region, index) => ({
+            label: `${region.style === 'blur' ? 'Blurred' : 'Blacked out'}: ${region.width}x${region.height} at ${region.x},${region.y}`,
+            sublabel: 'Click to remove',
+            click: () => {
+              screenCapture.update('maskRegions', captureSettings.maskRegions.filter((_, i) => i !== index));
+              buildAndSet();
+            },
+          })),
+          {
+            label: 'Blur a Window\'s Area...',
+            sublabel: `Focus the window within ${MASK_DELAY / 1000} seconds`,
+            click: () => maskWindowSoon('blur'),
+          },
+          {
+            label: 'Black Out a Window\'s Area...',
+            sublabel: `Focus the window within ${MASK_DELAY / 1000} seconds`,
+            click: () => maskWindowSoon('black'),
+          },
+          {
+            label: 'Clear Masked Regions',
+            enabled: captureSettings.maskRegions.length > 0,
+            click: () => { screenCapture.update('maskRegions', []); buildAndSet(); },
+          },
+          { type: 'separator' },
+          ...captureSettings.excludedTitles.map(pattern => ({
+            label: pattern,
+            sublabel: 'Never captured -- click to allow again',
+            type: 'checkbox',
+            checked: true,
+            click: () => {
+              screenCapture.update('excludedTitles', captureSettings.excludedTitles.filter(p => p !== pattern));
+              buildAndSet();
+            },
+          })),
+          {
+            label: activeTitle
+              ? `Never Capture "${activeTitle.length > 40 ? `${activeTitle.slice(0, 39)}\u2026` : activeTitle}"`
+              : 'Never Capture Active Window',
+            enabled: !!activeTitle && !captureSettings.excludedTitles.includes(activeTitle.trim()),
+            click: () => {
+              screenCapture.update('excludedTitles', [...captureSettings.excludedTitles, activeTitle]);
+              buildAndSet();
+            },
+          },
+          { type: 'separator' },
+          {
+            label: 'Open Capture Audit Log',
+            enabled: !!screenCapture.auditPath,
+            click: () => {
+              fs.mkdirSync(path.dirname(screenCapture.auditPath), { recursive: true });
+              fs.appendFileSync(screenCapture.auditPath, '');
+              shell.openPath(screenCapture.auditPath);
+            },
+          },
+        ],
+      }] : []),
+      ...(triggerRules && triggerRules.errors.length === 0 ? [{
+        label: 'Edit Trigger Rules...',
+        sublabel: `${customCategories} custom site categor${customCategories === 1 ? 'y' : 'ies'}`,
+        click: () => shell.openPath(triggerRules.ensureFile()),
+      }] : []),
+      // With mistakes in the file, list them so they can be fixed without digging through logs
+      ...(triggerRules && triggerRules.errors.length > 0 ? [{
+        label: 'Trigger Rules',
+        sublabel: `${triggerRules.errors.length} invalid rule(s) ignored`,
+        submenu: [
+          { label: 'Edit Trigger Rules...', click: () => shell.openPath(triggerRules.ensureFile()) },
+          { type: 'separator' },
+          ...triggerRules.errors.map(error => ({ label: error, enabled: false })),
+        ],
+      }] : []),
+      ...(detectors ? [{
+        label: 'Pattern Detectors',
+        submenu: [
+          ...detectors.list().map(d => ({
+            label: d.builtin ? d.id : `${d.id} (plugin)`,
+            sublabel: d.error ? `Error: ${d.error}` : d.description,
+            type: 'checkbox',
+            checked: d.enabled,
+            click: (item) => detectors.setEnabled(d.id, item.checked),
+          })),
+          { type: 'separator' },
+          {
+            label: 'Open Detectors Folder',
+            click: () => {
+              fs.mkdirSync(detectors.pluginDir, { recursive: true });
+              shell.openPath(detectors.pluginDir);
+            },
+          },
+          {
+            label: 'Reload Plugins',
+            click: () => { detectors.loadPlugins(); buildAndSet(); },
+          },
+        ],
+      }] : []),
       {
         label: 'File Interaction',
         type: 'checkbox',
@@ -258,6 +562,22 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
           if (mainWindow) mainWindow.webContents.send('config-changed', store.getAll());
         },
       },
+      {
+        label: 'Local HTTP API',
+        sublabel: httpApiEnabled && httpApi && !httpApi.isRunning() && httpApi.lastError
+          ? `Not running: ${httpApi.lastError}`
+          : 'http://127.0.0.1:9321 (bridge token)',
+        type: 'checkbox',
+        checked: httpApi ? httpApi.isRunning() : httpApiEnabled,
+        click: (item) => {
+          store.set('httpApiEnabled', item.checked);
+          const api = getHttpApi ? getHttpApi() : null;
+          if (api) {
+            if (item.checked) api.start();
+            else api.stop();
+          }
+        },
+      },
       {
         label: 'Launch at Startup',
         type: 'checkbox',
@@ -278,6 +598,13 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
             label: aiConfig.isActive() ? '✓ Active' : (aiConfig.isConfigured() ? '✗ Paused (budget)' : '✗ No API Key'),
             enabled: false,
           },
+          ...(breaker && breaker.state !== 'closed' ? [{
+            label: breaker.state === 'open'
+              ? `⚠ API errors -- retry at ${new Date(breaker.retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+              : '⚠ API errors -- retrying',
+            sublabel: breaker.lastError || undefined,
+            enabled: false,
+          }] : []),
           {
             label: 'Set API Key...',
             click: async () => {
@@ -285,12 +612,15 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
                 type: 'question',
                 buttons: ['Paste from Clipboard', 'Cancel'],
                 title: 'ClawMate AI Brain',
-                message: 'Anthropic API Key 설정',
-                detail: 'API 키를 클립보드에 복사한 후 "Paste from Clipboard"를 클릭하세요.\nhttps://console.anthropic.com/settings/keys',
+                message: `${provider.name} API Key 설정`,
+                detail: provider.id === 'anthropic'
+                  ? 'API 키를 클립보드에 복사한 후 "Paste from Clipboard"를 클릭하세요.\nhttps://console.anthropic.com/settings/keys'
+                  : 'API 키를 클립보드에 복사한 후 "Paste from Clipboard"를 클릭하세요.',
               });
               if (result.response === 0) {
                 const key = clipboard.readText().trim();
-                if (key && key.startsWith('sk-')) {
+                const looksValid = provider.id === 'anthropic' ? key.startsWith('sk-') : !!key;
+                if (looksValid) {
                   aiConfig.setApiKey(key);
                   buildAndSet();
                   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -304,8 +634,8 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
                     type: 'error',
                     buttons: ['OK'],
                     title: 'Invalid API Key',
-                    message: 'Anthropic API 키가 아닙니다.',
-                    detail: '"sk-ant-..." 형식이어야 합니다.',
+                    message: `${provider.name} API 키가 아닙니다.`,
+                    detail: provider.id === 'anthropic' ? '"sk-ant-..." 형식이어야 합니다.' : '클립보드가 비어 있습니다.',
                   });
                 }
               }
@@ -320,14 +650,125 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
             },
           },
           { type: 'separator' },
+          {
+            label: 'Provider',
+            submenu: [
+              ...Object.entries(PROVIDER_LABELS).map(([id, label]) => ({
+                label,
+                type: 'radio',
+                checked: (aiConfig.get('provider') || 'anthropic') === id,
+                click: () => { aiConfig.set('provider', id); buildAndSet(); },
+              })),
+              { type: 'separator' },
+              {
+                label: `Endpoint: ${provider.baseUrl}`,
+                enabled: false,
+              },
+              {
+                label: 'Set Endpoint URL...',
+                enabled: provider.id !== 'anthropic',
+                click: async () => {
+                  const result = await dialog.showMessageBox({
+                    type: 'question',
+                    buttons: ['Paste from Clipboard', 'Reset to Default', 'Cancel'],
+                    title: 'ClawMate AI Brain',
+                    message: 'Endpoint URL 설정',
+                    detail: 'OpenAI 호환 API 주소를 클립보드에 복사한 후 "Paste from Clipboard"를 클릭하세요.\n예: http://127.0.0.1:11434/v1 (Ollama), http://gpu-box:8080/v1 (llama.cpp)',
+                  });
+                  if (result.response === 0) {
+                    const url = clipboard.readText().trim();
+                    if (/^https?:\/\/\S+$/.test(url)) {
+                      aiConfig.set('providerBaseUrl', url);
+                    } else {
+                      await dialog.showMessageBox({
+                        type: 'error',
+                        buttons: ['OK'],
+                        title: 'Invalid URL',
+                        message: 'http:// 또는 https:// 로 시작하는 주소가 아닙니다.',
+                      });
+                    }
+                  } else if (result.response === 1) {
+                    aiConfig.set('providerBaseUrl', '');
+                  }
+                  buildAndSet();
+                },
+              },
+            ],
+          },
           {
             label: 'Model',
             submenu: [
-              { label: 'Auto (Recommended)', type: 'radio', checked: (aiConfig.get('model') || 'auto') === 'auto', click: () => { aiConfig.set('model', 'auto'); buildAndSet(); } },
-              { label: 'Haiku (Fast/Cheap)', type: 'radio', checked: aiConfig.get('model') === 'haiku', click: () => { aiConfig.set('model', 'haiku'); buildAndSet(); } },
-              { label: 'Sonnet (Smart)', type: 'radio', checked: aiConfig.get('model') === 'sonnet', click: () => { aiConfig.set('model', 'sonnet'); buildAndSet(); } },
+              { label: 'Auto (Recommended)', sublabel: 'By trigger importance', type: 'radio', checked: !selectedModel, click: () => { aiConfig.set('model', 'auto'); buildAndSet(); } },
+              ...provider.catalogue.map(entry => ({
+                label: `${entry.label} (${entry.tier === 'smart' ? 'Smart' : 'Fast'})`,
+                sublabel: `${entry.input || entry.output ? `$${entry.input}/$${entry.output} per 1M tokens` : 'Free'}${entry.vision ? ' · Vision' : ''}`,
+                type: 'radio',
+                checked: selectedModel === entry.id,
+                click: () => { aiConfig.set('model', entry.id); buildAndSet(); },
+              })),
             ],
           },
+          {
+            label: 'Language',
+            submenu: [
+              {
+                label: 'Auto',
+                sublabel: `System: ${getLocale(resolveLanguage('auto')).name}`,
+                type: 'radio',
+                checked: languageSetting === 'auto',
+                click: () => { aiConfig.update('language', 'auto'); buildAndSet(); },
+              },
+              ...availableLanguages().map(({ code, name }) => ({
+                label: name,
+                type: 'radio',
+                checked: languageSetting === code,
+                click: () => { aiConfig.update('language', code); buildAndSet(); },
+              })),
+            ],
+          },
+          ...(promptPacks ? [{
+            label: 'Prompt Pack',
+            submenu: [
+              ...promptPacks.list().map(pack => ({
+                label: pack.name,
+                sublabel: pack.persona ? `Persona: ${promptPacks.getPersona(pack.id).name}` : (pack.description || undefined),
+                type: 'radio',
+                checked: packSetting === pack.id,
+                click: () => { aiConfig.set('promptPack', pack.id); buildAndSet(); },
+              })),
+              { type: 'separator' },
+              {
+                label: 'Import Persona from Clipboard...',
+                click: async () => {
+                  let persona = null;
+                  try {
+                    persona = JSON.parse(clipboard.readText());
+                  } catch {}
+                  if (!persona || typeof persona !== 'object' || Array.isArray(persona)) {
+                    await dialog.showMessageBox({
+                      type: 'error',
+                      buttons: ['OK'],
+                      title: 'Invalid Persona',
+                      message: '클립보드에 페르소나 JSON이 없습니다.',
+                      detail: '예: {"name": "Claw", "personality": "차분하고 논리적", "speakingStyle": "반말", "catchphrases": ["흠..."]}',
+                    });
+                    return;
+                  }
+                  const id = promptPacks.importPersona(persona);
+                  aiConfig.set('promptPack', id);
+                  buildAndSet();
+                },
+              },
+              {
+                label: 'Open Prompt Packs Folder',
+                click: () => {
+                  const example = promptPacks.writeExample(aiConfig.getLanguage());
+                  if (example) shell.showItemInFolder(example);
+                  else shell.openPath(promptPacks.dir);
+                },
+              },
+            ],
+          }] : []),
           { type: 'separator' },
           {
             label: `Today: $${(aiConfig.get('todayCost') || 0).toFixed(3)} / $${(aiConfig.get('dailyBudget') || 0.50).toFixed(2)}`,
@@ -337,6 +778,34 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
             label: `Month: $${(aiConfig.get('monthCost') || 0).toFixed(3)} / $${(aiConfig.get('monthlyBudget') || 5.00).toFixed(2)}`,
             enabled: false,
           },
+          ...(costLedger ? [{
+            label: 'Cost Breakdown',
+            submenu: [
+              { label: 'Today', enabled: false },
+              ...costBreakdownItems(costLedger.breakdown(startOfToday())),
+              { type: 'separator' },
+              { label: 'This Month', enabled: false },
+              ...costBreakdownItems(costLedger.breakdown(startOfMonth())),
+              { type: 'separator' },
+              {
+                label: 'Export CSV...',
+                click: async () => {
+                  const result = await dialog.showSaveDialog({
+                    title: 'Export AI Cost Ledger',
+                    defaultPath: path.join(app.getPath('downloads'), `clawmate-ai-costs-${new Date().toISOString().slice(0, 10)}.csv`),
+                    filters: [{ name: 'CSV', extensions: ['csv'] }],
+                  });
+                  if (result.canceled || !result.filePath) return;
+                  try {
+                    costLedger.exportCSV(result.filePath);
+                    shell.showItemInFolder(result.filePath);
+                  } catch (err) {
+                    dialog.showErrorBox('Export failed', err.message);
+                  }
+                },
+              },
+            ],
+          }] : []),
           { type: 'separator' },
           {
             label: 'Telegram AI Chat',
@@ -438,6 +907,21 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
           await undoAllMoves();
         },
       },
+      ...(bridge && bridge.recorder ? [{
+        label: 'Record Bridge Session',
+        sublabel: bridge.isRecording() ? 'Recording...' : 'For bug reports (replay-session.js)',
+        type: 'checkbox',
+        checked: bridge.isRecording(),
+        click: (item) => {
+          if (item.checked) {
+            bridge.startRecording();
+          } else {
+            const filePath = bridge.stopRecording();
+            if (filePath) shell.showItemInFolder(filePath);
+          }
+          buildAndSet();
+        },
+      }] : []),
       { type: 'separator' },
       {
         label: 'Quit',
@@ -452,11 +936,38 @@ function setupTray(mainWindow, bridge, getProactiveMonitor, aiConfig = null) {
     tray.setContextMenu(buildMenu());
   }
 
+  function maskWindowSoon(style) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('ai-command', {
+        type: 'speak',
+        payload: { text: `Click the window to ${style === 'blur' ? 'blur' : 'black out'} -- I'll mark its area in ${MASK_DELAY / 1000} seconds!` },
+      });
+    }
+    setTimeout(async () => {
+      const added = await screenCapture.maskActiveWindow(style).catch(() => false);
+      if (!added) console.warn('[Tray] No focused window to mask');
+      buildAndSet();
+    }, MASK_DELAY);
+  }
+
   // Update menu when AI connection state changes
   if (aiBridge) {
     aiBridge.on('connected', () => buildAndSet());
     aiBridge.on('disconnected', () => buildAndSet());
   }
+  // ...and when the AI Brain circuit breaker opens/closes
+  if (aiBrain) aiBrain.on('breaker', () => buildAndSet());
+  // ...and when spending crosses an alert threshold (refreshes the cost lines)
+  if (aiBrain) aiBrain.on('budget_alert', () => buildAndSet());
+  // ...and when prompt pack files are added/edited
+  if (promptPacks) promptPacks.on('change', () => buildAndSet());
+  // ...and when trigger rules are edited
+  if (triggerRules) triggerRules.on('change', () => buildAndSet());
+  // ...and when a detector is switched on/off
+  if (detectors) detectors.on('change', () => buildAndSet());
+  // ...and when Do Not Disturb turns on/off
+  if (dnd) dnd.on('change', () => buildAndSet());
+  if (getHttpApi && getHttpApi()) getHttpApi().on('change', () => buildAndSet());
 
   buildAndSet();
   return tray;
@@ -0,0 +1,588 @@
+/**
+ * Trigger rules: what ProactiveMonitor watches for and how each trigger is handled
+ *
+ * One table drives ProactiveMonitor (title categories, cooldowns, screen
+ * capture) and AIBrainTriggers (importance, vision preference). The built-in
+ * rules below can be extended or overridden in <userData>/trigger-rules.json:
+ *   {
+ *     "categories": {
+ *       "tracker":  { "patterns": ["jira", "/\\bPROJ-\\d+\\b/"], "trigger": "ticket_detected",
+ *                     "cooldown": 120000, "vision": true, "importance": "medium" },
+ *       "shopping": { "extraPatterns": ["shop.corp.example"] },
+ *       "music":    { "enabled": false }
+ *     },
+ *     "triggers": { "coding_detected": { "cooldown": 600000, "importance": "low" } }
+ *   }
+ * Patterns are case-insensitive substrings, or regexes written "/source/flags"
+ * (matched against the original title). "patterns" replaces a built-in
+ * category's list, "extraPatterns" adds to it. New categories are matched
+ * before the built-in ones. A category's vision/importance apply to its
+ * trigger; vision: true also captures the screen. New triggers are worded by
+ * the generic prompt unless a prompt pack has triggers.<name>.
+ *
+ * There is no form for these rules: the tray's "Edit Trigger Rules..." opens
+ * the file in the default editor and lists what was wrong with it (errors).
+ * The file is watched, so saved edits apply to the next window title.
+ * Electron-free.
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const IMPORTANCE_LEVELS = ['high', 'medium', 'low'];
+const NAME_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+const MIN_COOLDOWN = 1000;
+const DEFAULT_TRIGGER = { cooldown: 30000, capture: false, vision: false, importance: 'low' };
+
+// =========================================================================
+// Built-in triggers
+//   cooldown: ms between fires
+//   capture: screen capture is bundled with the event (helps the AI judge)
+//   vision: preferred when batching LOW triggers for AI Brain
+//   importance: 'high' | 'medium' | 'low' (default) -- how fast AI Brain reacts
+// =========================================================================
+const BUILTIN_TRIGGERS = {
+  // Clipboard triggers
+  clipboard_copy: { cooldown: 10000 },
+  clipboard_screenshot: { cooldown: 30000 },
+  repeated_copy: { cooldown: 60000 },
+  url_copied: { cooldown: 15000 },
+  code_copied: { cooldown: 20000 },
+  long_text_copied: { cooldown: 30000 },
+  email_copied: { cooldown: 30000 },
+  phone_copied: { cooldown: 30000 },
+
+  // App/window triggers
+  app_switch: { cooldown: 20000 },
+  error_detected: { cooldown: 30000, capture: true, vision: true, importance: 'medium' },
+  error_loop: { cooldown: 120000, capture: true, vision: true, importance: 'high' },
+  meeting_detected: { cooldown: 300000, capture: true },
+  rapid_switching: { cooldown: 120000 },
+
+  // Behavior pattern triggers
+  search_pattern: { cooldown: 30000 },
+  idle_return: { cooldown: 60000, capture: true, importance: 'high' },
+  long_focus: { cooldown: 300000 },
+  deep_focus: { cooldown: 600000, capture: true, vision: true, importance: 'medium' },
+  social_scrolling: { cooldown: 300000, capture: true, vision: true, importance: 'medium' },
+  wiki_rabbit_hole: { cooldown: 120000, capture: true, importance: 'medium' },
+  price_comparison: { cooldown: 120000, capture: true, importance: 'medium' },
+  research_mode: { cooldown: 60000, capture: true },
+  procrastination: { cooldown: 120000, capture: true, importance: 'high' },
+  focus_break: { cooldown: 120000, capture: true, importance: 'medium' },
+  repeated_search: { cooldown: 60000, capture: true },
+
+  // Time triggers
+  late_night: { cooldown: 600000, importance: 'high' },
+  dawn_coding: { cooldown: 600000, importance: 'high' },
+  pre_lunch: { cooldown: 1800000 },
+  end_of_work: { cooldown: 1800000 },
+  weekend_work: { cooldown: 3600000 },
+
+  // Category triggers (a category's own cooldown wins)
+  shopping_detected: { cooldown: 120000, capture: true, vision: true, importance: 'medium' },
+  checkout_detected: { cooldown: 60000, capture: true, vision: true, importance: 'high' },
+  news_reading: { cooldown: 120000, capture: true, vision: true },
+  video_watching: { cooldown: 120000, capture: true, vision: true },
+  coding_detected: { cooldown: 300000, capture: true, vision: true, importance: 'medium' },
+  terminal_active: { cooldown: 300000, capture: true, vision: true },
+  music_playing: { cooldown: 300000 },
+  food_ordering: { cooldown: 120000, capture: true },
+  travel_planning: { cooldown: 120000, capture: true },
+  learning_activity: { cooldown: 300000, capture: true, vision: true },
+  email_checking: { cooldown: 120000, capture: true },
+  gaming_detected: { cooldown: 300000, capture: true, vision: true },
+  login_page: { cooldown: 60000 },
+  finance_activity: { cooldown: 120000, capture: true },
+  document_editing: { cooldown: 300000, capture: true, vision: true },
+  search_detected: { cooldown: 30000, capture: true },
+  wiki_browsing: { cooldown: 60000, capture: true },
+  dev_web_detected: { cooldown: 120000, capture: true, vision: true },
+  download_detected: { cooldown: 60000 },
+  reading_pdf: { cooldown: 300000, capture: true },
+  file_management: { cooldown: 120000, capture: true },
+};
+
+// =========================================================================
+// Built-in site/app categories (window title matching, in order)
+//   cooldown overrides the trigger's own for fires from this category
+// =========================================================================
+const BUILTIN_CATEGORIES = {
+  shopping: {
+    patterns: [
+      'amazon', 'ebay', 'coupang', '\uCFE0\uD321', 'gmarket', 'g\uB9C8\uCF13', '11st', '11\uBC88\uAC00',
+      'aliexpress', 'shopee', 'etsy', 'auction', '\uC625\uC158', 'tmon', '\uD2F0\uBAAC',
+      'wemakeprice', '\uC704\uBA54\uD504', 'musinsa', '\uBB34\uC2E0\uC0AC', 'oliveyoung',
+      '\uC62C\uB9AC\uBE0C\uC601', 'walmart', 'target.com', 'bestbuy', 'newegg',
+      'rakuten', 'taobao', 'jd.com', 'lazada', 'zalando',
+    ],
+    trigger: 'shopping_detected',
+    cooldown: 120000,
+  },
+  checkout: {
+    patterns: [
+      'cart', 'checkout', '\uC7A5\uBC14\uAD6C\uB2C8', '\uACB0\uC81C', 'payment',
+      '\uC8FC\uBB38', 'order confirm', '\uC8FC\uBB38\uD655\uC778', 'place order',
+      'buy now', '\uAD6C\uB9E4\uD558\uAE30', 'proceed to',
+    ],
+    trigger: 'checkout_detected',
+    cooldown: 60000,
+  },
+  news: {
+    patterns: [
+      'cnn', 'bbc', 'nytimes', 'reuters', 'bloomberg',
+      'naver.com/news', '\uB124\uC774\uBC84\uB274\uC2A4', 'daum.net/news', '\uB2E4\uC74C\uB274\uC2A4',
+      'hacker news', 'techcrunch', 'the verge', 'ars technica',
+      '\uC870\uC120\uC77C\uBCF4', '\uC911\uC559\uC77C\uBCF4', '\uB3D9\uC544\uC77C\uBCF4', '\uD55C\uACBD\uB808',
+    ],
+    trigger: 'news_reading',
+    cooldown: 120000,
+  },
+  social: {
+    patterns: [
+      'instagram', 'twitter', 'x.com', 'facebook', 'threads',
+      'tiktok', 'reddit', 'mastodon', 'bluesky', 'tumblr',
+      'linkedin feed', 'pinterest',
+    ],
+    trigger: 'social_scrolling',
+    cooldown: 120000,
+  },
+  video: {
+    patterns: [
+      'youtube', 'twitch', 'netflix', 'disney+', 'wavve', 'tving',
+      'watcha', 'hulu', 'prime video', 'crunchyroll', 'vimeo',
+      'dailymotion', 'bilibili', 'niconico',
+    ],
+    trigger: 'video_watching',
+    cooldown: 120000,
+  },
+  coding: {
+    patterns: [
+      'visual studio code', 'vscode', 'intellij', 'pycharm', 'webstorm',
+      'sublime text', 'atom', 'vim ', 'neovim', 'emacs', 'cursor',
+      'zed', 'android studio', 'xcode', 'rider', 'goland',
+    ],
+    trigger: 'coding_detected',
+    cooldown: 300000,
+  },
+  terminal: {
+    patterns: [
+      'powershell', 'cmd.exe', 'command prompt', 'windows terminal',
+      'git bash', 'wsl', 'terminal', 'iterm', 'hyper', 'alacritty',
+      'warp', 'kitty',
+    ],
+    trigger: 'terminal_active',
+    cooldown: 300000,
+  },
+  music: {
+    patterns: [
+      'spotify', 'apple music', 'youtube music', 'soundcloud',
+      'melon', 'genie', 'bugs', 'flo', 'vibe', 'tidal',
+      'deezer', 'pandora', 'amazon music',
+    ],
+    trigger: 'music_playing',
+    cooldown: 300000,
+  },
+  food: {
+    patterns: [
+      '\uBC30\uB2EC\uC758\uBBFC\uC871', 'baemin', '\uCFE0\uD321\uC774\uCE20', 'coupangeats',
+      '\uC694\uAE30\uC694', 'yogiyo', 'ubereats', 'uber eats',
+      'doordash', 'grubhub', 'deliveroo', 'just eat',
+    ],
+    trigger: 'food_ordering',
+    cooldown: 120000,
+  },
+  travel: {
+    patterns: [
+      'booking.com', 'airbnb', 'hotels.com', 'expedia', 'agoda',
+      '\uC57C\uB180\uC790', '\uC5EC\uAE30\uC5B4\uB54C', 'trip.com', 'skyscanner',
+      'google flights', 'kayak', '\uD2B8\uB9AC\uD50C', 'tripadvisor',
+      '\uC778\uD130\uD30C\uD06C', '\uB9C8\uC774\uB9AC\uC5BC\uD2B8\uB9BD',
+    ],
+    trigger: 'travel_planning',
+    cooldown: 120000,
+  },
+  learning: {
+    patterns: [
+      'udemy', 'coursera', 'khan academy', '\uC778\uD504\uB7F0', 'inflearn',
+      'nomadcoders', '\uB178\uB9C8\uB4DC\uCF54\uB354', 'edx', 'skillshare',
+      'pluralsight', 'leetcode', 'hackerrank', 'codecademy',
+      'duolingo', 'brilliant',
+    ],
+    trigger: 'learning_activity',
+    cooldown: 300000,
+  },
+  email: {
+    patterns: [
+      'gmail', 'outlook', 'yahoo mail', 'naver mail', '\uB124\uC774\uBC84 \uBA54\uC77C',
+      'protonmail', 'zoho mail', 'thunderbird', 'mail -',
+    ],
+    trigger: 'email_checking',
+    cooldown: 120000,
+  },
+  gaming: {
+    patterns: [
+      'steam', 'epic games', 'league of legends', 'valorant',
+      'overwatch', 'minecraft', 'roblox', 'genshin', 'fortnite',
+      'apex legends', 'counter-strike', 'dota', 'diablo',
+      'lost ark', '\uB85C\uC2A4\uD2B8\uC544\uD06C', 'maplestory', '\uBA54\uC774\uD50C\uC2A4\uD1A0\uB9AC',
+    ],
+    trigger: 'gaming_detected',
+    cooldown: 300000,
+  },
+  login: {
+    patterns: [
+      'sign in', 'log in', '\uB85C\uADF8\uC778', 'login', 'sign up',
+      '\uD68C\uC6D0\uAC00\uC785', 'create account', 'forgot password',
+      '\uBE44\uBC00\uBC88\uD638 \uCC3E\uAE30', 'reset password',
+    ],
+    trigger: 'login_page',
+    cooldown: 60000,
+  },
+  finance: {
+    patterns: [
+      '\uD1A0\uC2A4', 'toss', '\uCE74\uCE74\uC624\uBC45\uD06C', 'kakaobank',
+      '\uD0A4\uC6C0\uC99D\uAD8C', '\uBBF8\uB798\uC5D0\uC14B', '\uC0BC\uC131\uC99D\uAD8C',
+      '\uC2E0\uD55C\uD22C\uC790', 'robinhood', 'coinbase',
+      'binance', 'upbit', '\uC5C5\uBE44\uD2B8', 'trading',
+      '\uC8FC\uC2DD', 'stock', '\uC740\uD589', 'bank',
+    ],
+    trigger: 'finance_activity',
+    cooldown: 120000,
+  },
+  document: {
+    patterns: [
+      'google docs', 'google sheets', 'google slides',
+      'notion', 'microsoft word', 'microsoft excel', 'powerpoint',
+      'confluence', 'obsidian', 'roam research', 'bear',
+      'typora', 'mark text', '\uD55C\uAE00', 'hwp',
+    ],
+    trigger: 'document_editing',
+    cooldown: 300000,
+  },
+  search: {
+    patterns: [
+      'google.com/search', 'google - ', 'bing.com/search',
+      'naver.com/search', '\uB124\uC774\uBC84 \uAC80\uC0C9', 'duckduckgo',
+      'search results', '\uAC80\uC0C9\uACB0\uACFC',
+    ],
+    trigger: 'search_detected',
+    cooldown: 30000,
+  },
+  meeting: {
+    patterns: [
+      'zoom', 'teams', 'google meet', 'webex', 'slack huddle',
+      'discord call', 'skype', '\uD654\uC0C1\uD68C\uC758',
+    ],
+    trigger: 'meeting_detected',
+    cooldown: 300000,
+  },
+  wiki: {
+    patterns: [
+      'wikipedia', '\uC704\uD0A4\uD53C\uB514\uC544', '\uB098\uBB34\uC704\uD0A4', 'namu.wiki',
+      'fandom.com', 'wikia',
+    ],
+    trigger: 'wiki_browsing',
+    cooldown: 60000,
+  },
+  dev_web: {
+    patterns: [
+      'github', 'gitlab', 'bitbucket', 'stackoverflow', 'stack overflow',
+      'npm', 'pypi', 'crates.io', 'developer', 'documentation', 'docs',
+      'api reference', 'mdn web',
+    ],
+    trigger: 'dev_web_detected',
+    cooldown: 120000,
+  },
+  download: {
+    patterns: [
+      'download', '\uB2E4\uC6B4\uB85C\uB4DC', 'thanks for downloading',
+      'save as', '\uC800\uC7A5',
+    ],
+    trigger: 'download_detected',
+    cooldown: 60000,
+  },
+  reading: {
+    patterns: [
+      '.pdf', 'adobe reader', 'preview', 'kindle',
+      'e-book', 'ebook', 'epub',
+    ],
+    trigger: 'reading_pdf',
+    cooldown: 300000,
+  },
+  file_manager: {
+    patterns: [
+      'file explorer', '\uD30C\uC77C \uD0D0\uC0C9\uAE30', 'finder', 'nautilus',
+      'dolphin', 'thunar', 'files',
+    ],
+    trigger: 'file_management',
+    cooldown: 120000,
+  },
+};
+
+
+/**
+ * Pattern string -> (title, titleLower) => boolean
+ * @throws on a malformed regex
+ */
+function compilePattern(pattern) {
+  const regex = pattern.match(REGEX_PATTERN);
+  if (regex) {
+    // g/y would make test() stateful
+    const re = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    return title => re.test(title);
+  }
+  const needle = pattern.toLowerCase();
+  return (title, titleLower) => titleLower.includes(needle);
+}
+
+function checkTriggerFields(raw, where, errors) {
+  const fields = {};
+  if (raw.cooldown !== undefined) {
+    if (Number.isFinite(raw.cooldown) && raw.cooldown >= MIN_COOLDOWN) fields.cooldown = raw.cooldown;
+    else errors.push(`${where}.cooldown must be a number of ms >= ${MIN_COOLDOWN}`);
+  }
+  if (raw.importance !== undefined) {
+    if (IMPORTANCE_LEVELS.includes(raw.importance)) fields.importance = raw.importance;
+    else errors.push(`${where}.importance must be one of ${IMPORTANCE_LEVELS.join(', ')}`);
+  }
+  for (const key of ['vision', 'capture']) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] === 'boolean') fields[key] = raw[key];
+    else errors.push(`${where}.${key} must be true or false`);
+  }
+  // Vision without the screenshot is pointless; vision: false alone keeps capture as is
+  if (fields.vision && fields.capture === undefined) fields.capture = true;
+  return fields;
+}
+
+/**
+ * Built-in rules + user rules -> lookup tables. Bad entries are left out and
+ * reported in errors.
+ * @param {object} userRules - trigger-rules.json contents
+ * @returns {{ categories: Array<{ id, trigger, cooldown, patterns, match, custom }>, triggers: object, errors: string[] }}
+ */
+function compileRules(userRules = {}) {
+  const errors = [];
+  if (!userRules || typeof userRules !== 'object' || Array.isArray(userRules)) {
+    return { ...compileRules({}), errors: ['Rules must be a JSON object'] };
+  }
+
+  const triggers = {};
+  for (const [name, def] of Object.entries(BUILTIN_TRIGGERS)) {
+    triggers[name] = { ...DEFAULT_TRIGGER, ...def };
+  }
+  const overrideTrigger = (name, fields) => {
+    triggers[name] = { ...DEFAULT_TRIGGER, ...triggers[name], ...fields };
+  };
+
+  const added = [];
+  const builtins = new Map(Object.entries(BUILTIN_CATEGORIES).map(([id, def]) => [id, { id, ...def, custom: false }]));
+
+  for (const [id, raw] of Object.entries(userRules.categories || {})) {
+    const where = `categories.${id}`;
+    if (!NAME_PATTERN.test(id) || !raw || typeof raw !== 'object') {
+      errors.push(`${where}: invalid category`);
+      continue;
+    }
+    const base = builtins.get(id);
+    if (raw.enabled === false) {
+      builtins.delete(id);
+      continue;
+    }
+
+    const patterns = raw.patterns !== undefined ? raw.patterns : (base ? base.patterns : []);
+    const extra = raw.extraPatterns || [];
+    if (!Array.isArray(patterns) || !Array.isArray(extra) || ![...patterns, ...extra].every(p => typeof p === 'string' && p)) {
+      errors.push(`${where}: patterns must be non-empty strings`);
+      continue;
+    }
+    const trigger = raw.trigger !== undefined ? raw.trigger : base?.trigger;
+    if (typeof trigger !== 'string' || !NAME_PATTERN.test(trigger)) {
+      errors.push(`${where}.trigger must be a trigger name (letters, digits, _)`);
+      continue;
+    }
+    const fields = checkTriggerFields(raw, where, errors);
+    const { cooldown, ...triggerFields } = fields;
+
+    const category = {
+      id,
+      trigger,
+      cooldown: cooldown || base?.cooldown || null,
+      patterns: [...patterns, ...extra],
+      custom: true,
+    };
+    if (category.patterns.length === 0) {
+      errors.push(`${where}: needs at least one pattern`);
+      continue;
+    }
+    if (Object.keys(triggerFields).length > 0 || !triggers[trigger]) overrideTrigger(trigger, triggerFields);
+
+    if (base) builtins.set(id, category);
+    else added.push(category);
+  }
+
+  for (const [name, raw] of Object.entries(userRules.triggers || {})) {
+    if (!NAME_PATTERN.test(name) || !raw || typeof raw !== 'object') {
+      errors.push(`triggers.${name}: invalid trigger`);
+      continue;
+    }
+    overrideTrigger(name, checkTriggerFields(raw, `triggers.${name}`, errors));
+  }
+
+  // New categories first, so an internal wiki wins over the generic 'wiki'
+  const categories = [];
+  for (const category of [...added, ...builtins.values()]) {
+    try {
+      const matchers = category.patterns.map(compilePattern);
+      categories.push({ ...category, match: (title, titleLower) => matchers.some(m => m(title, titleLower)) });
+    } catch (err) {
+      errors.push(`categories.${category.id}: ${err.message}`);
+    }
+  }
+
+  return { categories, triggers, errors };
+}
+
+class TriggerRules extends EventEmitter {
+  /**
+   * @param {string} [filePath] - User rules JSON (built-in rules only without one)
+   */
+  constructor(filePath = null) {
+    super();
+    this.filePath = filePath;
+    this.userRules = {};
+    this.errors = [];
+    this._watcher = null;
+    this._reloadTimer = null;
+    this._apply(compileRules({}));
+  }
+
+  /**
+   * (Re)read the user rules; bad entries are skipped with a warning, and a
+   * file that doesn't parse keeps the rules that were loaded before
+   */
+  load() {
+    if (!this.filePath) return this;
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`[Trigger Rules] ${path.basename(this.filePath)} not loaded: ${err.message}`);
+        return this;
+      }
+      json = {};
+    }
+
+    const compiled = compileRules(json);
+    if (compiled.errors.length > 0) {
+      console.warn(`[Trigger Rules] Ignored: ${compiled.errors.join('; ')}`);
+    }
+    this.userRules = json;
+    this._apply(compiled);
+    return this;
+  }
+
+  /**
+   * Create an empty rules file to edit (no-op if it exists)
+   * @returns {string} File path
+   */
+  ensureFile() {
+    if (!fs.existsSync(this.filePath)) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ categories: {}, triggers: {} }, null, 2));
+    }
+    return this.filePath;
+  }
+
+  /**
+   * Reload on file changes (debounced); emits 'change'
+   */
+  watch() {
+    if (this._watcher || !this.filePath) return;
+    const dir = path.dirname(this.filePath);
+    const file = path.basename(this.filePath);
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+      // Watch the folder: editors often replace the file instead of writing it
+      this._watcher = fs.watch(dir, (event, filename) => {
+        if (filename && filename !== file) return;
+        clearTimeout(this._reloadTimer);
+        this._reloadTimer = setTimeout(() => {
+          this.load();
+          console.log(`[Trigger Rules] Reloaded (${this.categories.filter(c => c.custom).length} custom categories)`);
+          this.emit('change', this.list());
+        }, 300);
+      });
+    } catch (err) {
+      console.warn(`[Trigger Rules] Cannot watch ${dir}: ${err.message}`);
+    }
+  }
+
+  close() {
+    clearTimeout(this._reloadTimer);
+    if (this._watcher) this._watcher.close();
+    this._watcher = null;
+  }
+
+  /**
+   * Effective rules for display: { categories: [{ id, trigger, cooldown, patterns, custom }], triggers, errors }
+   */
+  list() {
+    return {
+      categories: this.categories.map(({ match, ...category }) => category),
+      triggers: { ...this.triggers },
+      errors: [...this.errors],
+    };
+  }
+
+  // === Lookups ===
+
+  /**
+   * @param {string} title - Window title
+   * @returns {string|null} Category id
+   */
+  categorize(title) {
+    const titleLower = title.toLowerCase();
+    const category = this.categories.find(c => c.match(title, titleLower));
+    return category ? category.id : null;
+  }
+
+  /** @returns {{ trigger, cooldown }|null} */
+  getCategory(id) {
+    const category = this.categories.find(c => c.id === id);
+    return category ? { trigger: category.trigger, cooldown: category.cooldown } : null;
+  }
+
+  getTrigger(name) {
+    return this.triggers[name] || DEFAULT_TRIGGER;
+  }
+
+  getCooldown(name) {
+    return this.getTrigger(name).cooldown;
+  }
+
+  getImportance(name) {
+    return this.getTrigger(name).importance;
+  }
+
+  /** Bundle a screen capture with the event */
+  capturesScreen(name) {
+    return this.getTrigger(name).capture;
+  }
+
+  /** Preferred when AI Brain batches LOW triggers */
+  prefersVision(name) {
+    return this.getTrigger(name).vision;
+  }
+
+  _apply({ categories, triggers, errors }) {
+    this.categories = categories;
+    this.triggers = triggers;
+    this.errors = errors;
+  }
+}
+
+module.exports = { TriggerRules, compileRules, BUILTIN_TRIGGERS, BUILTIN_CATEGORIES };
@@ -85,4 +85,10 @@ contextBridge.exposeInMainWorld('clawmate', {
   },
   getProactiveConfig: () => ipcRenderer.invoke('get-proactive-config'),
   setProactiveEnabled: (enabled) => ipcRenderer.invoke('set-proactive-enabled', enabled),
+
+  // === Do Not Disturb ===
+  getDndStatus: () => ipcRenderer.invoke('get-dnd-status'),
+  onDndChanged: (callback) => {
+    ipcRenderer.on('dnd-changed', (_, status) => callback(status));
+  },
 });
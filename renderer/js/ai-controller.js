@@ -58,6 +58,11 @@ const AIController = (() => {
         Speech.show(payload.text);
         break;
 
+      case 'speak_stream':
+        // Incremental speech from the AI Brain: { streamId, text, done }
+        Speech.stream(payload.streamId, payload.text, payload.done);
+        break;
+
       case 'think':
         Speech.show(`...${payload.text}...`);
         break;
@@ -170,10 +175,11 @@ const AIController = (() => {
         break;
 
       case 'list_movements':
-        // Request list of registered movement patterns
+        // Request list of registered movement patterns (answered to the requesting client)
         if (window.clawmate.reportToAI) {
           window.clawmate.reportToAI('movement_list', {
             movements: PetEngine.getRegisteredMovements(),
+            requestRef: command.requestRef,
           });
         }
         break;
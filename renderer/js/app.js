@@ -71,6 +71,9 @@
   // Initialize interactions
   Interactions.init();
 
+  // Do Not Disturb state first -- TimeAware greets right away
+  await DoNotDisturb.init();
+
   // Initialize time awareness (only proactive in autonomous mode)
   TimeAware.init();
 
@@ -34,7 +34,8 @@ const BrowserWatcher = (() => {
     if (!enabled) return;
     if (typeof Speech === 'undefined') return;
 
-    // Don't comment when in sleeping state
+    // Don't comment during Do Not Disturb or when in sleeping state
+    if (typeof DoNotDisturb !== 'undefined' && DoNotDisturb.isActive()) return;
     if (typeof StateMachine !== 'undefined' && StateMachine.getState() === 'sleeping') return;
 
     // Skip if ProactiveController reacted within last 5 seconds (avoid duplicate reactions)
@@ -0,0 +1,29 @@
+/**
+ * Do Not Disturb (Renderer)
+ *
+ * Mirrors the main process DND state (quiet hours, snooze, fullscreen/meeting)
+ * so renderer-side chatter -- time greetings, idle chatter, tips, browsing
+ * comments -- stays quiet too. Proactive events and AI thoughts are already
+ * held back in the main process.
+ */
+const DoNotDisturb = (() => {
+  let status = { active: false, reason: null };
+
+  async function init() {
+    if (!window.clawmate.getDndStatus) return;
+    window.clawmate.onDndChanged((next) => { status = next; });
+    try {
+      status = await window.clawmate.getDndStatus();
+    } catch {}
+  }
+
+  function isActive() {
+    return !!status.active;
+  }
+
+  function getStatus() {
+    return status;
+  }
+
+  return { init, isActive, getStatus };
+})();
@@ -1,6 +1,7 @@
 /**
  * Speech bubble system
  * - Typewriter effect (30ms/char)
+ * - Streaming: stream() appends real tokens as the AI Brain receives them
  * - Hold for 5s -> fade out
  * - Mode-based styling: Pet (rounded, red border) / Incarnation (angular, teal glow)
  */
@@ -8,11 +9,14 @@ const Speech = (() => {
   const CHAR_DELAY = 30;
   const DISPLAY_TIME = 5000;
   const FADE_TIME = 500;
+  const STREAM_STALL_TIME = 15000;  // Close a stream that never sends done
 
   let currentBubble = null;
   let typeTimer = null;
   let hideTimer = null;
   let mode = 'pet';
+  let streamId = null;
+  let streamText = null;
 
   function setMode(m) {
     mode = m;
@@ -60,7 +64,10 @@ const Speech = (() => {
     };
   }
 
-  function show(text) {
+  /**
+   * Create an empty bubble at the pet and return its text element
+   */
+  function createBubble() {
     hide(); // Remove existing bubble
 
     const container = document.getElementById('speech-container');
@@ -81,6 +88,21 @@ const Speech = (() => {
 
     container.appendChild(bubble);
     currentBubble = bubble;
+    return textEl;
+  }
+
+  function scheduleHide(delay) {
+    if (hideTimer) clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => {
+      if (currentBubble) {
+        currentBubble.classList.add('speech-fade');
+        setTimeout(() => hide(), FADE_TIME);
+      }
+    }, delay);
+  }
+
+  function show(text) {
+    const textEl = createBubble();
 
     // Typewriter effect
     let charIndex = 0;
@@ -96,17 +118,39 @@ const Speech = (() => {
 
     // Auto-hide
     const totalTypeTime = text.length * CHAR_DELAY;
-    hideTimer = setTimeout(() => {
-      if (currentBubble) {
-        currentBubble.classList.add('speech-fade');
-        setTimeout(() => hide(), FADE_TIME);
-      }
-    }, totalTypeTime + DISPLAY_TIME);
+    scheduleHide(totalTypeTime + DISPLAY_TIME);
+  }
+
+  /**
+   * Streamed speech: the first chunk of a stream opens a bubble, later
+   * chunks append to it, done starts the usual hold + fade.
+   * Any other show() in between ends the stream.
+   * @param {string} id - Stream ID (one bubble per stream)
+   * @param {string} text - New characters
+   * @param {boolean} done
+   */
+  function stream(id, text, done) {
+    if (id !== streamId) {
+      if (!text) return;  // done for a stream that was already replaced
+      streamText = createBubble();
+      streamId = id;
+    }
+    if (text) streamText.textContent += text;
+
+    if (done) {
+      streamId = null;
+      streamText = null;
+      scheduleHide(DISPLAY_TIME);
+    } else {
+      scheduleHide(STREAM_STALL_TIME);
+    }
   }
 
   function hide() {
     if (typeTimer) { clearInterval(typeTimer); typeTimer = null; }
     if (hideTimer) { clearTimeout(hideTimer); hideTimer = null; }
+    streamId = null;
+    streamText = null;
     if (currentBubble) {
       currentBubble.remove();
       currentBubble = null;
@@ -157,7 +201,7 @@ const Speech = (() => {
   }
 
   return {
-    show, hide, updatePosition, setMode,
+    show, stream, hide, updatePosition, setMode,
     getReactionMessage, getGreetingMessage, getTipMessage, getMilestoneMessage,
   };
 })();
@@ -3,6 +3,7 @@
  * - Morning greetings, lunch alerts, sleeping at night
  * - Random idle chatter
  * - Random tip messages
+ * Greetings, chatter and tips are skipped while Do Not Disturb is on.
  */
 const TimeAware = (() => {
   let lastGreetingHour = -1;
@@ -27,7 +28,9 @@ const TimeAware = (() => {
     const hour = new Date().getHours();
     const now = Date.now();
 
-    // Detect time period change -> greet
+    const quiet = DoNotDisturb.isActive();
+
+    // Detect time period change -> greet (skipped, not postponed, during DND)
     if (hour !== lastGreetingHour && [6, 12, 18, 23].includes(hour)) {
       showTimeGreeting();
       lastGreetingHour = hour;
@@ -46,7 +49,7 @@ const TimeAware = (() => {
 
     // Idle chatter when in idle state
     const state = StateMachine.getState();
-    if (state === 'idle' && now - lastChatterTime > CHATTER_COOLDOWN) {
+    if (!quiet && state === 'idle' && now - lastChatterTime > CHATTER_COOLDOWN) {
       if (Math.random() < chatterChance) {
         const msgs = window._messages;
         if (msgs && msgs.idle_chatter) {
@@ -58,7 +61,7 @@ const TimeAware = (() => {
     }
 
     // Tip messages (less frequently)
-    if (now - lastTipTime > TIP_COOLDOWN && Math.random() < 0.05) {
+    if (!quiet && now - lastTipTime > TIP_COOLDOWN && Math.random() < 0.05) {
       const tip = Speech.getTipMessage();
       if (tip) {
         Speech.show(tip);
@@ -68,6 +71,7 @@ const TimeAware = (() => {
   }
 
   function showTimeGreeting() {
+    if (DoNotDisturb.isActive()) return;
     const msg = Speech.getGreetingMessage();
     if (msg) Speech.show(msg);
     lastGreetingHour = new Date().getHours();
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CostLedger, startOfToday } = require('../main/cost-ledger');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawmate-ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'cost-ledger.ndjson');
+}
+
+test('breakdown totals per feature, most expensive first', (t) => {
+  const ledger = new CostLedger(tempFile(t));
+  ledger.record({ feature: 'autonomous', inputTokens: 100, outputTokens: 10, cost: 0.001 });
+  ledger.record({ feature: 'trigger:error_loop', inputTokens: 500, outputTokens: 50, cost: 0.01, vision: true });
+  ledger.record({ feature: 'autonomous', inputTokens: 100, outputTokens: 20, cost: 0.002 });
+
+  const rows = ledger.breakdown(startOfToday());
+  assert.deepStrictEqual(rows.map(r => r.feature), ['trigger:error_loop', 'autonomous']);
+  assert.deepStrictEqual(
+    { ...rows[1], cost: Number(rows[1].cost.toFixed(6)) },
+    { feature: 'autonomous', calls: 2, visionCalls: 0, inputTokens: 200, outputTokens: 30, cost: 0.003 },
+  );
+  assert.strictEqual(rows[0].visionCalls, 1);
+});
+
+test('earlier days count toward longer periods only', (t) => {
+  const file = tempFile(t);
+  const lastWeek = new Date(Date.now() - 7 * 86400000).toISOString();
+  fs.writeFileSync(file, JSON.stringify({ t: lastWeek, feature: 'telegram', inputTokens: 1, outputTokens: 1, cost: 0.5, vision: false }) + '\n');
+
+  const ledger = new CostLedger(file);
+  ledger.record({ feature: 'telegram', cost: 0.25 });
+  assert.strictEqual(ledger.breakdown(startOfToday())[0].cost, 0.25);
+  assert.strictEqual(ledger.breakdown(0)[0].cost, 0.75);
+  assert.strictEqual(ledger.breakdown(0)[0].calls, 2);
+});
+
+test('the CSV export reads every entry back from the file', (t) => {
+  const ledger = new CostLedger(tempFile(t));
+  ledger.record({ feature: 'character', provider: 'anthropic', model: 'a,b', cost: 0.1 });
+  const lines = ledger.toCSV().trim().split('\n');
+  assert.strictEqual(lines[0], 't,feature,provider,model,inputTokens,outputTokens,cost,vision');
+  assert.match(lines[1], /,character,anthropic,"a,b",0,0,0\.100000,false$/);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendEntry, loadEntries } = require('../main/ndjson-log');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawmate-ndjson-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'log.ndjson');
+}
+
+test('a missing file loads as empty', (t) => {
+  assert.deepStrictEqual(loadEntries(tempFile(t), 30), []);
+});
+
+test('appended entries load back in order', (t) => {
+  const file = tempFile(t);
+  const now = new Date().toISOString();
+  appendEntry(file, { t: now, n: 1 });
+  appendEntry(file, { t: now, n: 2 });
+  assert.deepStrictEqual(loadEntries(file, 30).map(e => e.n), [1, 2]);
+});
+
+test('expired and torn lines are dropped from the file', (t) => {
+  const file = tempFile(t);
+  const now = new Date().toISOString();
+  const old = new Date(Date.now() - 40 * 86400000).toISOString();
+  appendEntry(file, { t: old, n: 1 });
+  appendEntry(file, { t: now, n: 2 });
+  fs.appendFileSync(file, '{"t":"2026-');
+
+  assert.deepStrictEqual(loadEntries(file, 30).map(e => e.n), [2]);
+  assert.strictEqual(fs.readFileSync(file, 'utf-8'), JSON.stringify({ t: now, n: 2 }) + '\n');
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DetectorRegistry, BUILTIN_DETECTORS, normalizeEvents } = require('../main/pattern-detectors');
+
+const NOW = 1_000_000;
+const detector = id => BUILTIN_DETECTORS.find(d => d.id === id);
+
+/**
+ * Synthetic state: titles/copies/categories given as [secondsAgo, ...] oldest first
+ */
+function makeState({ title = '', category = null, titles = [], clips = [], categories = [] } = {}) {
+  return {
+    now: NOW,
+    title,
+    titleLower: title.toLowerCase(),
+    category,
+    appName: '',
+    titleHistory: titles.map(([ago, t, c]) => ({ title: t, category: c, timestamp: NOW - ago * 1000 })),
+    clipHistory: clips.map(([ago, text]) => ({ text, timestamp: NOW - ago * 1000 })),
+    categoryHistory: categories.map(([ago, c]) => ({ category: c, timestamp: NOW - ago * 1000 })),
+    idle: { idle: false, since: null },
+  };
+}
+
+test('wiki_rabbit_hole: 3 wiki pages within a minute', () => {
+  const titles = [[50, 'Cat - Wikipedia', 'wiki'], [30, 'Felidae - Wikipedia', 'wiki'], [5, 'Lion - Wikipedia', 'wiki']];
+  const event = detector('wiki_rabbit_hole').detect(makeState({ title: 'Lion - Wikipedia', titles }));
+  assert.deepStrictEqual(event, {
+    trigger: 'wiki_rabbit_hole',
+    context: { count: 3, titles: ['Cat - Wikipedia', 'Felidae - Wikipedia', 'Lion - Wikipedia'] },
+  });
+
+  // Too spread out, or not on a wiki right now
+  const stale = [[120, 'Cat - Wikipedia', 'wiki'], [30, 'Felidae - Wikipedia', 'wiki'], [5, 'Lion - Wikipedia', 'wiki']];
+  assert.strictEqual(detector('wiki_rabbit_hole').detect(makeState({ title: 'Lion - Wikipedia', titles: stale })), null);
+  assert.strictEqual(detector('wiki_rabbit_hole').detect(makeState({ title: 'index.js - VS Code', titles })), null);
+});
+
+test('price_comparison: 3 different shopping pages within a minute', () => {
+  const titles = [[40, 'Keyboard A - Amazon', 'shopping'], [20, 'Keyboard B - Amazon', 'shopping'], [5, 'Keyboard C - Coupang', 'shopping']];
+  assert.deepStrictEqual(detector('price_comparison').detect(makeState({ titles })), {
+    trigger: 'price_comparison', context: { count: 3, timespan: 60 },
+  });
+
+  const samePage = [[40, 'Keyboard A - Amazon', 'shopping'], [20, 'Keyboard A - Amazon', 'shopping'], [5, 'Keyboard B - Amazon', 'shopping']];
+  assert.strictEqual(detector('price_comparison').detect(makeState({ titles: samePage })), null);
+});
+
+test('research_mode: a search plus 2 copies within 30s', () => {
+  const titles = [[20, 'rust lifetimes - Google Search', 'search']];
+  const clips = [[15, 'fn longest'], [3, "'a"]];
+  assert.deepStrictEqual(detector('research_mode').detect(makeState({ titles, clips })), {
+    trigger: 'research_mode', context: { searches: 1, copies: 2 },
+  });
+
+  assert.strictEqual(detector('research_mode').detect(makeState({ titles, clips: clips.slice(1) })), null);
+  assert.strictEqual(detector('research_mode').detect(makeState({ titles: [[45, 'rust - Google Search', 'search']], clips })), null);
+});
+
+test('procrastination: 3 switches between work and entertainment within a minute', () => {
+  const categories = [[50, 'coding'], [40, 'video'], [30, 'coding'], [20, 'social']];
+  assert.deepStrictEqual(detector('procrastination').detect(makeState({ categories })), {
+    trigger: 'procrastination', context: { switches: 3, timespan: 60 },
+  });
+
+  // Work-to-work switches don't count
+  const working = [[50, 'coding'], [40, 'terminal'], [30, 'coding'], [20, 'document']];
+  assert.strictEqual(detector('procrastination').detect(makeState({ categories: working })), null);
+});
+
+test('repeated_search: 3 different searches within a minute', () => {
+  const titles = [[50, 'webpack error - Google Search', 'search'], [30, 'webpack 5 error - Google Search', 'search'], [5, 'vite instead - Google Search', 'search']];
+  assert.deepStrictEqual(detector('repeated_search').detect(makeState({ titles })), {
+    trigger: 'repeated_search', context: { count: 3, timespan: 60 },
+  });
+
+  const sameSearch = titles.map(([ago, , c]) => [ago, 'webpack error - Google Search', c]);
+  assert.strictEqual(detector('repeated_search').detect(makeState({ titles: sameSearch })), null);
+});
+
+test('normalizeEvents keeps valid events and drops the rest', () => {
+  assert.deepStrictEqual(normalizeEvents(null), []);
+  assert.deepStrictEqual(normalizeEvents({ trigger: 'x' }), [{ trigger: 'x', context: {}, cooldown: undefined }]);
+  assert.deepStrictEqual(
+    normalizeEvents([{ trigger: 'a', context: { n: 1 }, cooldown: 5000 }, { trigger: '' }, null, { context: {} }, { trigger: 'b', context: 'bad', cooldown: -1 }]),
+    [{ trigger: 'a', context: { n: 1 }, cooldown: 5000 }, { trigger: 'b', context: {}, cooldown: undefined }],
+  );
+});
+
+test('plugins stay unloaded until enabled, and bad ones are contained', (t) => {
+  const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawmate-detectors-'));
+  t.after(() => fs.rmSync(pluginDir, { recursive: true, force: true }));
+  const marker = path.join(pluginDir, 'loaded.txt');
+  fs.writeFileSync(path.join(pluginDir, 'late_night.js'), `
+    require('fs').writeFileSync(${JSON.stringify(marker)}, 'yes');
+    module.exports = { description: 'Late night', detect: () => ({ trigger: 'late_night' }) };
+  `);
+  fs.writeFileSync(path.join(pluginDir, 'throws.js'), "module.exports = () => { throw new Error('boom'); };");
+  fs.writeFileSync(path.join(pluginDir, 'no_detect.js'), 'module.exports = { description: 42 };');
+
+  const saved = {};
+  const store = { get: key => saved[key], set: (key, value) => { saved[key] = value; } };
+  const registry = new DetectorRegistry({ store, pluginDir }).loadPlugins();
+  assert.strictEqual(fs.existsSync(marker), false, 'plugin code ran before it was enabled');
+  assert.deepStrictEqual(registry.run(makeState()), []);
+
+  assert.strictEqual(registry.setEnabled('late_night', true), true);
+  assert.strictEqual(fs.existsSync(marker), true);
+  assert.deepStrictEqual(saved.detectors, { late_night: true });
+
+  registry.setEnabled('throws', true);
+  registry.setEnabled('no_detect', true);
+  const listed = Object.fromEntries(registry.list().map(d => [d.id, d]));
+  assert.strictEqual(listed.no_detect.error, 'must export detect(state)');
+  assert.strictEqual(listed.late_night.description, 'Late night');
+
+  // The throwing detector is skipped; the others still run
+  const events = registry.run(makeState());
+  assert.deepStrictEqual(events, [{ detector: 'late_night', trigger: 'late_night', context: {}, cooldown: undefined }]);
+
+  assert.strictEqual(registry.setEnabled('missing', true), false);
+});
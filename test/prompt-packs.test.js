@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptPacks, parsePack, normalizePersona } = require('../main/prompt-packs');
+
+test('malformed persona fields fall back to defaults', () => {
+  const persona = normalizePersona({
+    name: 42,
+    title: ['not', 'a', 'title'],
+    personality: 'grumpy',
+    catchphrases: 'yo',
+    greetings: ['hi', 3, null, 'hey'],
+    playfulness: '0.9',
+    color: 'red',
+  });
+  assert.strictEqual(persona.name, 'Claw');
+  assert.strictEqual(persona.title, 'Embodied intelligence');
+  assert.strictEqual(persona.personality, 'grumpy');
+  assert.deepStrictEqual(persona.catchphrases, []);
+  assert.deepStrictEqual(persona.greetings, ['hi', 'hey']);
+  assert.strictEqual(persona.playfulness, 0.3);
+  assert.strictEqual(persona.color, null);
+});
+
+test('a well-formed persona is kept as is', () => {
+  const persona = normalizePersona({
+    name: 'Pinch', title: 'Night owl', personality: 'calm', speakingStyle: 'formal',
+    catchphrases: ['snip snip'], boldness: 0.2, color: { primary: '#f00', eye: '#000', glow: 1 },
+  });
+  assert.strictEqual(persona.name, 'Pinch');
+  assert.deepStrictEqual(persona.catchphrases, ['snip snip']);
+  assert.strictEqual(persona.boldness, 0.2);
+  assert.deepStrictEqual(persona.color, { primary: '#f00', eye: '#000' });
+});
+
+test('packs with a malformed persona still parse', () => {
+  const pack = parsePack('odd', { persona: { catchphrases: 'yo', name: {} } });
+  assert.deepStrictEqual(pack.persona.catchphrases, []);
+  assert.strictEqual(pack.persona.name, 'Claw');
+});
+
+test('importPersona accepts a non-string name', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawmate-packs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const packs = new PromptPacks(dir);
+  const id = packs.importPersona({ name: 7, catchphrases: ['hi'] });
+  assert.strictEqual(id, 'persona-claw');
+  assert.deepStrictEqual(packs.getPersona(id).catchphrases, ['hi']);
+});
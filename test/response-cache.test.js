@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ResponseCache, buildCacheKey } = require('../main/response-cache');
+
+const noon = new Date(2026, 0, 1, 12, 10);
+
+test('titles that differ only in numbers and punctuation share a key', () => {
+  const a = buildCacheKey('coding_detected', { title: 'index.js - clawmate - VS Code', category: 'coding' }, noon);
+  const b = buildCacheKey('coding_detected', { title: 'index.js (2) - clawmate - VS Code', category: 'coding' }, new Date(2026, 0, 1, 14, 40));
+  assert.strictEqual(a, b);
+});
+
+test('every title token counts, not just the first ones alphabetically', () => {
+  const title = word => `TypeError: Cannot read properties of undefined (reading '${word}') - localhost:3000 - Chrome`;
+  assert.notStrictEqual(
+    buildCacheKey('error_detected', { title: title('user') }, noon),
+    buildCacheKey('error_detected', { title: title('zone') }, noon),
+  );
+  assert.notStrictEqual(
+    buildCacheKey('coding_detected', { title: 'UserProfileCard.tsx - clawmate - VS Code' }, noon),
+    buildCacheKey('coding_detected', { title: 'SettingsPanel.tsx - clawmate - VS Code' }, noon),
+  );
+});
+
+test('tokens keep title order', () => {
+  assert.notStrictEqual(
+    buildCacheKey('coding_detected', { title: 'alpha beta' }, noon),
+    buildCacheKey('coding_detected', { title: 'beta alpha' }, noon),
+  );
+});
+
+test('isRepeat skips a low-value trigger with the same context', () => {
+  const cache = new ResponseCache();
+  const context = { title: 'index.js - clawmate - VS Code', activeApp: 'VS Code' };
+  assert.strictEqual(cache.isRepeat('coding_detected', context), false);
+  cache.noteContext('coding_detected', context);
+  assert.strictEqual(cache.isRepeat('coding_detected', { ...context, title: 'index.js (2) - clawmate - VS Code' }), true);
+  assert.strictEqual(cache.isRepeat('coding_detected', { ...context, title: 'README.md - docs - VS Code' }), false);
+  assert.strictEqual(cache.isRepeat('error_detected', context), false);
+});